@@ -0,0 +1,70 @@
+/**
+ * Asset Bundle - Collects images and media shared by several exported files
+ * Batch exports write each image once into an assets folder instead of embedding it in every file
+ */
+
+import { fetchBlob, safeDecodeURIComponent, sanitizeFilename } from './utils.js';
+
+/**
+ * Create an empty asset bundle
+ * @param {string} [folder='assets'] - Folder the assets are written to, relative to the exported files
+ * @returns {{folder: string, files: Map<string, Blob>, sources: Map<string, string>}} - Asset bundle
+ */
+export function createAssetBundle(folder = 'assets') {
+  return {
+    folder,
+    files: new Map(),   // Bundle path -> file data
+    sources: new Map()  // Original source -> bundle path
+  };
+}
+
+/**
+ * File extensions for re-encoded images
+ */
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+/**
+ * Add an asset to the bundle, loading it unless it is already there
+ * @param {Object} bundle - Asset bundle from createAssetBundle
+ * @param {string} src - Asset URL
+ * @param {function(string): Promise<Blob>} [load] - Loads the asset data, defaults to fetching src
+ * @returns {Promise<string>} - Path of the asset inside the bundle
+ */
+export async function addAsset(bundle, src, load = fetchBlob) {
+  if (bundle.sources.has(src)) {
+    return bundle.sources.get(src);
+  }
+
+  const blob = await load(src);
+  const path = getUniquePath(bundle, src, IMAGE_EXTENSIONS[blob.type]);
+
+  bundle.files.set(path, blob);
+  bundle.sources.set(src, path);
+
+  return path;
+}
+
+/**
+ * Build a readable, unique bundle path for a source URL
+ * @param {Object} bundle - Asset bundle
+ * @param {string} src - Asset URL
+ * @param {string} [type] - Extension of the stored data when it differs from the source (re-encoded images)
+ * @returns {string} - Bundle path such as "assets/battle_map.webp"
+ */
+function getUniquePath(bundle, src, type) {
+  const basename = safeDecodeURIComponent(src.split(/[?#]/)[0].split('/').pop() || 'asset');
+  const dot = basename.lastIndexOf('.');
+  const stem = sanitizeFilename(dot > 0 ? basename.slice(0, dot) : basename) || 'asset';
+  const extension = type ?? (dot > 0 ? basename.slice(dot).toLowerCase().replace(/[^.a-z0-9]/g, '') : '');
+
+  let path = `${bundle.folder}/${stem}${extension}`;
+  for (let n = 2; bundle.files.has(path); n++) {
+    path = `${bundle.folder}/${stem}_${n}${extension}`;
+  }
+
+  return path;
+}
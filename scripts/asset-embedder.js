@@ -0,0 +1,379 @@
+/**
+ * Asset Embedder - Finds every file exported content points at and embeds, bundles or links it
+ * Covers <img src>, srcset on <img> and <picture><source>, url() in inline styles, SVG <image href>,
+ * video posters, and audio/video sources. Images go through the image optimizer first.
+ */
+
+import { addAsset } from './asset-bundle.js';
+import { CONFIG } from './config.js';
+import { optimizeImage } from './image-optimizer.js';
+import { fetchBlob, mapWithConcurrency, readAsDataURL, toAbsoluteUrl } from './utils.js';
+
+/**
+ * Sources that never point at a file on this server
+ */
+const INLINE_SOURCE = /^(?:data:|#|about:|mailto:|javascript:)/i;
+
+/**
+ * Embed every asset in some HTML, images optimized, as data URIs or asset bundle paths
+ * Audio and video are only bundled; in single-file exports they stay linked to this server.
+ * Assets are fetched a few at a time (CONFIG.FETCH.concurrency).
+ * @param {string} html - HTML content
+ * @param {Object} options - Asset options
+ * @param {Object|null} options.assets - Asset bundle, null to embed assets as data URIs
+ * @param {number} options.maxWidth - Maximum image width in pixels, 0 for no limit
+ * @param {string} options.format - One of IMAGE_FORMATS
+ * @param {number} options.quality - Encoder quality between 0 and 1
+ * @param {AbortSignal} [options.signal] - Aborts in-flight fetches and stops the export
+ * @param {Function} [options.onProgress] - Called with ('assets', {total}) up front and ('assets', {done: 1}) per asset
+ * @returns {Promise<{html: string, images: Array<{src: string, uses: number, copies: number, width: number|null, height: number|null, type: string, bytesBefore: number, bytesAfter: number, httpStatus: number}>, bytesBefore: number, bytesAfter: number, unresolved: Array<{src: string, status: string, httpStatus: number|null, element: string, attribute: string, reason: string}>}>} - HTML with embedded assets, one entry per distinct image, total image bytes without and with optimization, and references left pointing at this server ('failed' to load, or deliberately 'linked')
+ */
+export async function embedAssets(html, { assets, onProgress, ...settings }) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  // Group references to the same file, so each is fetched and encoded once
+  const groups = new Map();
+  for (const reference of findAssetReferences(template.content)) {
+    const src = toAbsoluteUrl(reference.src);
+    if (!groups.has(src)) groups.set(src, []);
+    groups.get(src).push(reference);
+  }
+
+  onProgress?.('assets', { total: groups.size });
+
+  const unresolved = [];
+
+  // Ids follow document order, whichever asset finishes first
+  const results = await mapWithConcurrency([...groups], CONFIG.FETCH.concurrency, async ([src, references], index) => {
+    try {
+      if (references.some(reference => reference.kind === 'media')) {
+        return await bundleMedia(src, references, assets, unresolved, settings.signal);
+      }
+      return await embedImage(src, references, `export-image-${index + 1}`, assets, settings);
+    } catch (error) {
+      if (settings.signal?.aborted) throw error;
+
+      // Still works while this server is up
+      for (const reference of references) reference.set(src);
+      unresolved.push(describeReference(src, references[0], 'failed', error.message, error.status));
+      console.warn('Intrinsics HTML Export | Failed to embed asset:', src, error);
+      return null;
+    } finally {
+      onProgress?.('assets', { done: 1 });
+    }
+  }, settings.signal);
+
+  const images = results.filter(result => result?.image).map(result => result.image);
+  const definitions = results.filter(result => result?.definition).map(result => result.definition);
+
+  const container = document.createElement('div');
+  container.appendChild(template.content);
+
+  // Images used more than once are defined once, up front; zero-size rather than hidden so <use> still renders them
+  let defs = '';
+  if (definitions.length) {
+    defs = `<svg class="export-image-definitions" width="0" height="0" aria-hidden="true" style="position: absolute;"><defs>${definitions.join('')}</defs></svg>`;
+  }
+
+  // Before: every use embedded at full size (bundled files were always shared)
+  const bytesBefore = images.reduce((total, image) => total + image.bytesBefore * (assets ? 1 : image.uses), 0);
+  const bytesAfter = images.reduce((total, image) => total + image.bytesAfter * image.copies, 0);
+
+  return { html: defs + container.innerHTML, images, bytesBefore, bytesAfter, unresolved };
+}
+
+/**
+ * Point every asset at its absolute server URL instead of embedding it
+ * @param {string} html - HTML content
+ * @returns {string} - HTML with absolute asset URLs
+ */
+export function linkAssets(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  for (const reference of findAssetReferences(template.content)) {
+    reference.set(toAbsoluteUrl(reference.src));
+  }
+
+  const container = document.createElement('div');
+  container.appendChild(template.content);
+  return container.innerHTML;
+}
+
+/**
+ * Find every file reference in some content
+ * kind is 'img' for a plain <img src> (which can be swapped for a shared SVG reference),
+ * 'media' for audio and video files, and 'image' for any other image reference
+ * @param {DocumentFragment|Element} root - Content to search
+ * @returns {Array<{src: string, kind: string, element: Element, attribute: string, set: function(string): void}>} - References, in document order
+ */
+function findAssetReferences(root) {
+  const references = [];
+  const add = (element, attribute, src, kind, set) => {
+    if (src && !INLINE_SOURCE.test(src.trim())) {
+      references.push({ src: src.trim(), kind, element, attribute, set });
+    }
+  };
+  const addAttribute = (element, attribute, kind) => {
+    add(element, attribute, element.getAttribute(attribute), kind, url => element.setAttribute(attribute, url));
+  };
+
+  for (const element of root.querySelectorAll('*')) {
+    const tag = element.localName.toLowerCase();
+
+    if (tag === 'img' && element.hasAttribute('src')) {
+      // Images with alternatives, or inside <picture>, must stay <img>
+      const shareable = !element.hasAttribute('srcset') && element.parentElement?.localName !== 'picture';
+      addAttribute(element, 'src', shareable ? 'img' : 'image');
+    } else if (tag === 'image') {
+      for (const attribute of ['href', 'xlink:href']) {
+        if (element.hasAttribute(attribute)) addAttribute(element, attribute, 'image');
+      }
+    } else if ((tag === 'audio' || tag === 'video' || tag === 'source') && element.hasAttribute('src')) {
+      // <source> also appears in <picture>, where it uses srcset
+      addAttribute(element, 'src', element.closest('audio, video') ? 'media' : 'image');
+    }
+
+    if (tag === 'video' && element.hasAttribute('poster')) {
+      addAttribute(element, 'poster', 'image');
+    }
+
+    if ((tag === 'img' || tag === 'source') && element.hasAttribute('srcset')) {
+      addTemplateReferences(element, 'srcset', parseSrcset(element.getAttribute('srcset')), url => url, add);
+    }
+
+    if (element.hasAttribute('style') && element.getAttribute('style').includes('url(')) {
+      addTemplateReferences(element, 'style', parseStyleUrls(element.getAttribute('style')), url => `url("${url}")`, add);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Add a reference for every URL in an attribute holding several (srcset, style)
+ * @param {Element} element - Element with the attribute
+ * @param {string} attribute - Attribute name
+ * @param {Array<string|{url: string}>} pieces - Attribute value split into literal text and URLs
+ * @param {function(string): string} format - Writes a URL back into the attribute
+ * @param {Function} add - Adds a reference
+ */
+function addTemplateReferences(element, attribute, pieces, format, add) {
+  const write = () => {
+    element.setAttribute(attribute, pieces.map(piece => typeof piece === 'string' ? piece : format(piece.url)).join(''));
+  };
+
+  for (const piece of pieces) {
+    if (typeof piece === 'string') continue;
+    add(element, attribute, piece.url, 'image', url => {
+      piece.url = url;
+      write();
+    });
+  }
+}
+
+/**
+ * Split a srcset into candidate URLs and the text between them
+ * URLs end at whitespace, so data URIs (which contain commas) survive a round trip
+ * @param {string} srcset - srcset attribute
+ * @returns {Array<string|{url: string}>} - Literal text and URLs
+ */
+function parseSrcset(srcset) {
+  const pieces = [];
+  let rest = srcset.trim();
+
+  while (rest) {
+    let url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+
+    // A candidate without descriptor may end in its comma
+    const trailing = url.match(/,+$/)?.[0] ?? '';
+    url = url.slice(0, url.length - trailing.length);
+    let text = trailing;
+
+    if (!trailing) {
+      const descriptor = rest.match(/^[^,]*,?\s*/)[0];
+      rest = rest.slice(descriptor.length);
+      text = descriptor;
+    } else {
+      const space = rest.match(/^\s*/)[0];
+      rest = rest.slice(space.length);
+      text += space;
+    }
+
+    if (url) pieces.push({ url });
+    pieces.push(text);
+  }
+
+  return pieces;
+}
+
+/**
+ * Split an inline style into url() values and the text around them
+ * @param {string} style - style attribute
+ * @returns {Array<string|{url: string}>} - Literal text and URLs
+ */
+function parseStyleUrls(style) {
+  const pieces = [];
+  let last = 0;
+
+  for (const match of style.matchAll(/url\(\s*(["']?)([^"')]+)\1\s*\)/g)) {
+    pieces.push(style.slice(last, match.index), { url: match[2] });
+    last = match.index + match[0].length;
+  }
+  pieces.push(style.slice(last));
+
+  return pieces;
+}
+
+/**
+ * Embed every reference to one image
+ * @param {string} src - Absolute image URL
+ * @param {Array} references - References to the image
+ * @param {string} id - Id for the shared definition, if the image is shown by more than one <img>
+ * @param {Object|null} assets - Asset bundle, null to embed as a data URI
+ * @param {Object} settings - Settings for optimizeImage
+ * @returns {Promise<{image: Object, definition: string|null}|null>} - Report entry, and the shared <image> definition if one is needed; null if the bundle already had the image
+ */
+async function embedImage(src, references, id, assets, settings) {
+  // Keep the original path on <img> elements, so the importer can point them back at it
+  for (const reference of references) {
+    if (reference.element.localName.toLowerCase() === 'img' && reference.attribute === 'src') {
+      reference.element.dataset.exportSrc = reference.src;
+    }
+  }
+
+  if (assets) {
+    // Bundled images are separate files, so every use already shares one copy
+    let optimized = null;
+    const path = await addAsset(assets, src, async () => {
+      optimized = await optimizeImage(src, settings);
+      return optimized.blob;
+    });
+    for (const reference of references) reference.set(path);
+    return optimized ? { image: describeImage(src, references.length, 1, optimized), definition: null } : null;
+  }
+
+  const optimized = await optimizeImage(src, settings);
+  const dataUrl = await readAsDataURL(optimized.blob);
+
+  // Plain <img> elements can share one copy; srcset, style and SVG references each carry their own
+  const shared = references.filter(reference => reference.kind === 'img');
+  const others = references.filter(reference => reference.kind !== 'img');
+
+  // SVG and GIF images aren't decoded by optimizeImage, but sharing them needs their size
+  if (shared.length > 1 && !optimized.width) {
+    Object.assign(optimized, await measureImage(dataUrl));
+  }
+
+  if (shared.length < 2 || !optimized.width) {
+    for (const reference of references) reference.set(dataUrl);
+    return { image: describeImage(src, references.length, references.length, optimized), definition: null };
+  }
+
+  for (const reference of others) reference.set(dataUrl);
+  for (const { element } of shared) {
+    element.replaceWith(createImageReference(element, id, optimized));
+  }
+
+  return {
+    image: describeImage(src, references.length, others.length + 1, optimized),
+    definition: `<image id="${id}" href="${dataUrl}" width="${optimized.width}" height="${optimized.height}"></image>`
+  };
+}
+
+/**
+ * Bundle an audio or video file, or link it to this server
+ * Media files are too large to embed as data URIs
+ * @param {string} src - Absolute media URL
+ * @param {Array} references - References to the file
+ * @param {Object|null} assets - Asset bundle, null for single-file exports
+ * @param {Array} unresolved - References left on this server, appended to
+ * @param {AbortSignal} [signal] - Aborts the fetch
+ * @returns {Promise<null>} - Media files are not listed with the images
+ */
+async function bundleMedia(src, references, assets, unresolved, signal) {
+  if (!assets) {
+    for (const reference of references) reference.set(src);
+    unresolved.push(describeReference(src, references[0], 'linked', 'audio and video are only bundled in ZIP exports; linked to this server'));
+    return null;
+  }
+
+  const path = await addAsset(assets, src, url => fetchBlob(url, { signal }));
+  for (const reference of references) reference.set(path);
+  return null;
+}
+
+/**
+ * Read the natural size of an image
+ * @param {string} url - Image URL
+ * @returns {Promise<{width: number, height: number}|null>} - Size, or null if the image has none (such as an SVG without width and height)
+ */
+async function measureImage(url) {
+  const image = new Image();
+  image.src = url;
+  try {
+    await image.decode();
+  } catch (error) {
+    return null;
+  }
+  return image.naturalWidth ? { width: image.naturalWidth, height: image.naturalHeight } : null;
+}
+
+/**
+ * Replace an <img> with an SVG that shows a shared image definition
+ * @param {HTMLImageElement} img - Image being replaced
+ * @param {string} id - Id of the shared <image>
+ * @param {{width: number, height: number}} size - Image size
+ * @returns {SVGSVGElement} - Inline SVG keeping the image's classes, size, alt text and original path
+ */
+function createImageReference(img, id, { width, height }) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('class', ['export-image', img.getAttribute('class')].filter(Boolean).join(' '));
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('width', img.getAttribute('width') || width);
+  if (img.getAttribute('height')) svg.setAttribute('height', img.getAttribute('height'));
+  if (img.getAttribute('style')) svg.setAttribute('style', img.getAttribute('style'));
+  if (img.dataset.exportSrc) svg.dataset.exportSrc = img.dataset.exportSrc;
+  svg.setAttribute('role', 'img');
+
+  const alt = img.getAttribute('alt') || img.getAttribute('title');
+  if (alt) {
+    const title = document.createElementNS(ns, 'title');
+    title.textContent = alt;
+    svg.appendChild(title);
+  }
+
+  const use = document.createElementNS(ns, 'use');
+  use.setAttribute('href', `#${id}`);
+  svg.appendChild(use);
+
+  return svg;
+}
+
+/**
+ * Summarize an optimized image for the export report
+ * @param {string} src - Image URL
+ * @param {number} uses - Number of times the image appears
+ * @param {number} copies - Number of times its data is stored in the output
+ * @param {{blob: Blob, bytesBefore: number, width: number|null, height: number|null, httpStatus: number}} optimized - From optimizeImage
+ * @returns {Object} - Image entry
+ */
+function describeImage(src, uses, copies, { blob, bytesBefore, width, height, httpStatus }) {
+  return { src, uses, copies, width, height, type: blob.type, bytesBefore, bytesAfter: blob.size, httpStatus };
+}
+
+/**
+ * Describe a reference that could not be embedded
+ * @param {string} src - Absolute URL
+ * @param {{element: Element, attribute: string}} reference - First reference to the file
+ * @param {string} status - 'failed' if it could not be loaded, 'linked' if it is never embedded
+ * @param {string} reason - Why it stays linked
+ * @param {number} [httpStatus] - HTTP status of a failed fetch
+ * @returns {{src: string, status: string, httpStatus: number|null, element: string, attribute: string, reason: string}} - Unresolved entry
+ */
+function describeReference(src, { element, attribute }, status, reason, httpStatus = null) {
+  return { src, status, httpStatus, element: element.localName.toLowerCase(), attribute, reason };
+}
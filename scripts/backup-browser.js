@@ -0,0 +1,214 @@
+/**
+ * Backup Browser - Lists a journal's snapshots, opens them, compares them with the journal and restores them
+ * Comparing and restoring read the snapshot's HTML export with the journal importer
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { formatBytes } from './export-report.js';
+import { showImportPreview } from './import-dialog.js';
+import { backupJournal, listSnapshots, readSnapshot } from './journal-backup.js';
+import { applyImport, planImport, readImportFile } from './journal-importer.js';
+import { renderDiff } from './text-diff.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Show a journal's snapshots
+ * @param {JournalEntry} journal - Journal
+ * @returns {Promise<void>} - Resolves when the browser is closed
+ */
+export async function openSnapshotBrowser(journal) {
+  let snapshots;
+  try {
+    snapshots = await listSnapshots(journal);
+  } catch (error) {
+    console.error('Intrinsics HTML Export | Could not read snapshots:', error);
+    ui.notifications.error(`Could not read the snapshots of ${journal.name}: ${error.message}`);
+    return;
+  }
+
+  let content = '<div class="intrinsics-snapshots">';
+  if (snapshots.length) {
+    content += '<ol class="snapshot-list">';
+    snapshots.forEach((snapshot, index) => {
+      content += `
+        <li class="snapshot" data-index="${index}">
+          <span class="snapshot-time">${escapeHtml(new Date(snapshot.savedAt).toLocaleString())}</span>
+          <span class="snapshot-details">${snapshot.pages} page(s), ${formatBytes(snapshot.size)}</span>
+          <a data-action="open" title="Open"><i class="fas fa-eye"></i></a>
+          <a data-action="compare" title="Compare with the journal"><i class="fas fa-code-compare"></i></a>
+        </li>`;
+    });
+    content += '</ol>';
+  } else {
+    content += '<p class="notes">This journal has no snapshots yet.</p>';
+  }
+  content += `<p class="notes">Up to ${game.settings.get(MODULE_ID, 'backupRetention')} snapshot(s) are kept, newest first.</p>`;
+  content += '</div>';
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `Snapshots: ${journal.name}`,
+      content,
+      buttons: {
+        backup: {
+          icon: '<i class="fas fa-floppy-disk"></i>',
+          label: 'Back Up Now',
+          callback: async () => {
+            try {
+              const snapshot = await backupJournal(journal);
+              ui.notifications.info(snapshot ? `Backed up ${journal.name}` : `${journal.name} is unchanged since its last snapshot`);
+            } catch (error) {
+              console.error('Intrinsics HTML Export | Backup failed:', error);
+              ui.notifications.error(`Backup failed: ${error.message}`);
+            }
+            resolve(openSnapshotBrowser(journal));
+          }
+        },
+        close: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Close',
+          callback: () => resolve()
+        }
+      },
+      default: 'close',
+      render: html => activateListeners(html[0] ?? html, journal, snapshots),
+      close: () => resolve()
+    }, { width: 480 }).render(true);
+  });
+}
+
+/**
+ * Wire up the snapshot actions
+ * @param {HTMLElement} element - Dialog content
+ * @param {JournalEntry} journal - Journal
+ * @param {Array<Object>} snapshots - Listed snapshots
+ */
+function activateListeners(element, journal, snapshots) {
+  element.querySelector('.snapshot-list')?.addEventListener('click', async event => {
+    const action = event.target.closest('[data-action]');
+    if (!action) return;
+
+    const snapshot = snapshots[Number(action.closest('li').dataset.index)];
+    try {
+      if (action.dataset.action === 'open') {
+        await openSnapshot(snapshot);
+      } else if (action.dataset.action === 'compare') {
+        await compareSnapshot(journal, snapshot);
+      }
+    } catch (error) {
+      console.error('Intrinsics HTML Export | Could not open snapshot:', error);
+      ui.notifications.error(`Could not open the snapshot: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Open a snapshot's HTML export in a new browser tab
+ * @param {Object} snapshot - Snapshot from listSnapshots
+ */
+async function openSnapshot(snapshot) {
+  const { html } = await readSnapshot(snapshot);
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8' }));
+  window.open(url, '_blank');
+
+  // The new tab has loaded the document long before this
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Show what changed in a journal since a snapshot, page by page, and offer to restore it
+ * @param {JournalEntry} journal - Journal
+ * @param {Object} snapshot - Snapshot from listSnapshots
+ */
+async function compareSnapshot(journal, snapshot) {
+  const data = await readSnapshot(snapshot);
+  const source = await readImportFile(new File([data.html], `${data.name}.html`, { type: 'text/html' }));
+  const plan = await planImport(source, { target: journal.uuid });
+  const time = new Date(snapshot.savedAt).toLocaleString();
+
+  let content = '<div class="intrinsics-snapshot-compare">';
+  content += `<p>Changes to ${escapeHtml(journal.name)} since ${escapeHtml(time)}.</p>`;
+  content += '<ul class="snapshot-pages">';
+
+  for (const entry of plan.entries) {
+    const name = entry.existing?.name ?? entry.page.name;
+    const { label, diff } = describeChange(entry);
+    content += `<li class="snapshot-page snapshot-${entry.action}"><strong>${escapeHtml(name)}</strong> <span class="snapshot-change">${escapeHtml(label)}</span>`;
+    if (diff.some(line => line.type !== 'same')) {
+      content += `<details><summary>Show changes</summary>${renderDiff(diff)}</details>`;
+    }
+    content += '</li>';
+  }
+
+  // Pages the snapshot doesn't have were added after it
+  const matched = new Set(plan.entries.map(entry => entry.existing).filter(Boolean));
+  for (const page of journal.pages.filter(page => !matched.has(page))) {
+    content += `<li class="snapshot-page snapshot-create"><strong>${escapeHtml(page.name)}</strong> <span class="snapshot-change">Added since</span></li>`;
+  }
+
+  content += '</ul>';
+  content += '<p class="notes">Restoring shows the changes it would make before anything is written. Pages added since the snapshot are kept.</p>';
+  content += '</div>';
+
+  new Dialog({
+    title: `Compare: ${journal.name}, ${time}`,
+    content,
+    buttons: {
+      restore: {
+        icon: '<i class="fas fa-clock-rotate-left"></i>',
+        label: 'Restore...',
+        callback: () => restoreSnapshot(plan)
+      },
+      close: {
+        icon: '<i class="fas fa-check"></i>',
+        label: 'Close'
+      }
+    },
+    default: 'close'
+  }, { width: 640, height: 'auto', resizable: true }).render(true);
+}
+
+/**
+ * Describe how a page changed since the snapshot
+ * The import plan compares the journal with the snapshot, so its diff runs the other way
+ * @param {Object} entry - Import plan entry for the snapshot's page
+ * @returns {{label: string, diff: Array<{type: string, text: string}>}} - Label and diff from snapshot to journal
+ */
+function describeChange(entry) {
+  const reverse = entry.diff.map(line => ({
+    ...line,
+    type: { added: 'removed', removed: 'added' }[line.type] ?? line.type
+  }));
+
+  if (entry.action === 'create') {
+    return { label: 'Deleted since', diff: reverse };
+  }
+  if (entry.action === 'update') {
+    const renamed = entry.rename ? `, was "${entry.rename}"` : '';
+    return { label: `Changed${renamed}`, diff: reverse };
+  }
+  if (entry.action === 'unchanged') {
+    return { label: 'Unchanged', diff: [] };
+  }
+  return { label: `Not compared: ${entry.reason}`, diff: [] };
+}
+
+/**
+ * Restore a snapshot through the import preview
+ * @param {Object} plan - Import plan for the snapshot
+ */
+async function restoreSnapshot(plan) {
+  // Images pasted into pages were kept as data URIs and are uploaded like imported ones
+  const folder = game.user.getFlag(MODULE_ID, 'importFolder') || `worlds/${game.world.id}/${CONFIG.IMPORT.folder}`;
+
+  try {
+    const entries = await showImportPreview(plan, folder);
+    if (!entries) return;
+
+    const { created, updated } = await applyImport(plan, entries, { folder });
+    ui.notifications.success(`Restored ${plan.journal.name}: ${created} page(s) recreated, ${updated} updated`);
+  } catch (error) {
+    console.error('Intrinsics HTML Export | Restore failed:', error);
+    ui.notifications.error(`Restore failed: ${error.message}. Check console for details.`);
+  }
+}
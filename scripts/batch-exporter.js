@@ -0,0 +1,274 @@
+/**
+ * Batch Exporter - Exports folders and compendium packs of journals into one ZIP
+ * Each journal goes through exportJournalToPDF; images, audio and video are shared in an assets folder
+ * Markdown batches hold one note per page instead, with a shared attachments folder and an index note
+ */
+
+import { createAssetBundle } from './asset-bundle.js';
+import { CONFIG } from './config.js';
+import { getPageAnchor } from './enricher.js';
+import { formatFilename, resolveExportOptions } from './export-options.js';
+import { getReportFilename } from './export-report.js';
+import { getMarkdownLinkTargets, renderWikilink } from './markdown-writer.js';
+import { createStandaloneHTML, exportJournalToPDF, getJournalSections } from './pdf-generator.js';
+import { publishFile, validatePublishing } from './server-publisher.js';
+import { downloadFile, escapeHtml, sanitizeFilename } from './utils.js';
+import { createZip } from './zip-writer.js';
+
+/**
+ * Export every journal in a folder and its subfolders
+ * @param {Folder} folder - A JournalEntry folder
+ * @param {Object} options - Export options passed to exportJournalToPDF
+ * @returns {Promise<{name: string, filename: string, path: string|null, index: string, exported: string[], failed: Array<{name: string, error: string}>, unresolved: Array<{journal: string, src: string, element: string, attribute: string, reason: string}>, reports: Object[]}>} - Batch result, with where the ZIP was published, the assets that stay linked to this server and each journal's export report
+ */
+export async function exportFolder(folder, options = {}) {
+  const folders = [folder, ...folder.getSubfolders(true)];
+  const journals = folders.flatMap(f => f.contents).filter(journal => journal.visible);
+
+  return exportJournalBatch(journals, { ...options, name: folder.name, root: folder });
+}
+
+/**
+ * Export every journal in a compendium pack
+ * @param {CompendiumCollection} pack - A JournalEntry compendium pack
+ * @param {Object} options - Export options passed to exportJournalToPDF
+ * @returns {Promise<{name: string, filename: string, path: string|null, index: string, exported: string[], failed: Array<{name: string, error: string}>, unresolved: Array<{journal: string, src: string, element: string, attribute: string, reason: string}>, reports: Object[]}>} - Batch result, with where the ZIP was published, the assets that stay linked to this server and each journal's export report
+ */
+export async function exportCompendium(pack, options = {}) {
+  if (pack.documentName !== 'JournalEntry') {
+    throw new Error(`${pack.title} is not a journal compendium`);
+  }
+
+  const journals = await pack.getDocuments();
+  return exportJournalBatch(journals, { ...options, name: pack.title });
+}
+
+/**
+ * Export several journals into a single ZIP with an index page
+ * @param {JournalEntry[]} journals - Journals to export
+ * @param {Object} options - Export options passed to exportJournalToPDF
+ * @param {string} options.name - Name of the batch, used for the ZIP and index title
+ * @param {Folder} [options.root] - Folder the index groups journals relative to
+ * @returns {Promise<{name: string, filename: string, path: string|null, index: string, exported: string[], failed: Array<{name: string, error: string}>, unresolved: Array<{journal: string, src: string, element: string, attribute: string, reason: string}>, reports: Object[]}>} - Batch result, with where the ZIP was published, the assets that stay linked to this server and each journal's export report
+ */
+export async function exportJournalBatch(journals, { name, root = null, ...options }) {
+  if (!journals.length) {
+    throw new Error(`${name} contains no journals`);
+  }
+
+  // Validate up front so bad options fail once instead of once per journal
+  const resolved = resolveExportOptions(options);
+  const publish = resolved.destination === 'server';
+  if (publish) {
+    validatePublishing('export.zip', resolved);
+  }
+
+  const markdown = resolved.outputFormat === 'markdown';
+  const sorted = journals.slice().sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0) || a.name.localeCompare(b.name));
+  const filenames = assignFilenames(sorted, CONFIG.OUTPUT_FORMATS[resolved.outputFormat].extension);
+  const linkTargets = markdown ? getMarkdownLinkTargets(sorted) : createLinkTargets(sorted, filenames);
+  const assets = createAssetBundle(markdown ? 'attachments' : 'assets');
+  const notes = new Map();
+
+  const files = [];
+  const exported = [];
+  const failed = [];
+  const unresolved = [];
+  const reports = [];
+
+  options.onProgress?.('journals', { total: sorted.length });
+
+  for (const journal of sorted) {
+    options.signal?.throwIfAborted();
+    console.log(`Intrinsics HTML Export | Batch ${exported.length + failed.length + 1}/${sorted.length}:`, journal.name);
+
+    try {
+      const result = await exportJournalToPDF(journal, {
+        ...options,
+        download: false,
+        filename: filenames.get(journal),
+        assets,
+        linkTargets
+      });
+      if (result.notes) {
+        files.push(...result.notes);
+        notes.set(journal, result.notes);
+      } else if (result.file) {
+        // PDFs, EPUBs and Word documents are already compressed
+        files.push({ name: result.filename, data: result.file, compress: false });
+      } else {
+        files.push({ name: result.filename, data: result.html });
+      }
+      exported.push(journal);
+      unresolved.push(...result.unresolved.map(item => ({ journal: journal.name, ...item })));
+      reports.push(result.report);
+    } catch (error) {
+      // Cancelling stops the whole batch
+      if (options.signal?.aborted) throw error;
+
+      console.warn('Intrinsics HTML Export | Skipped journal in batch:', journal.name, error);
+      failed.push({ name: journal.name, error: error.message });
+    }
+
+    options.onProgress?.('journals', { done: 1 });
+  }
+
+  if (!exported.length) {
+    throw new Error(`None of the journals in ${name} could be exported`);
+  }
+
+  const index = markdown ? 'index.md' : 'index.html';
+  files.unshift(markdown
+    ? { name: index, data: createIndexMarkdown(name, exported, notes, root) }
+    : { name: index, data: createIndexHTML(name, exported, filenames, root, resolved) });
+  for (const [path, blob] of assets.files) {
+    // Images, audio and video are already compressed
+    files.push({ name: path, data: blob, compress: false });
+  }
+
+  const filename = formatFilename(resolved.filenameTemplate, { name }, resolved, 'zip');
+
+  // One report file for the whole batch, next to the index
+  if (resolved.reportFormat === 'json') {
+    const batchReport = { title: name, filename, exportedAt: new Date().toISOString(), failed, reports };
+    files.splice(1, 0, { name: getReportFilename(filename), data: JSON.stringify(batchReport, null, 2) });
+  }
+
+  const zip = await createZip(files);
+  let path = null;
+  if (publish) {
+    ({ path } = await publishFile(zip, filename, resolved, { title: name }));
+  } else {
+    downloadFile(zip, filename);
+  }
+
+  return { name, filename, path, index, exported: exported.map(journal => journal.name), failed, unresolved, reports };
+}
+
+/**
+ * Give every journal a unique filename
+ * @param {JournalEntry[]} journals - Journals in the batch
+ * @param {string} extension - File extension of the output format
+ * @returns {Map<JournalEntry, string>} - Filenames
+ */
+function assignFilenames(journals, extension) {
+  const filenames = new Map();
+  const used = new Set(['index.html']);
+
+  for (const journal of journals) {
+    const stem = sanitizeFilename(journal.name) || 'journal';
+    let filename = `${stem}.${extension}`;
+    for (let n = 2; used.has(filename); n++) {
+      filename = `${stem}_${n}.${extension}`;
+    }
+    used.add(filename);
+    filenames.set(journal, filename);
+  }
+
+  return filenames;
+}
+
+/**
+ * Map every journal and page in the batch to its link in the exported files
+ * @param {JournalEntry[]} journals - Journals in the batch
+ * @param {Map<JournalEntry, string>} filenames - Filenames from assignFilenames
+ * @returns {Map<string, string>} - Links keyed by UUID
+ */
+function createLinkTargets(journals, filenames) {
+  const targets = new Map();
+
+  for (const journal of journals) {
+    const filename = filenames.get(journal);
+    targets.set(journal.uuid, filename);
+
+    for (const section of getJournalSections(journal)) {
+      for (const page of section.pages) {
+        targets.set(page.uuid, `${filename}#${getPageAnchor(page)}`);
+      }
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Create the index page linking every exported journal, grouped by folder
+ * @param {string} title - Batch name
+ * @param {JournalEntry[]} journals - Exported journals
+ * @param {Map<JournalEntry, string>} filenames - Filenames from assignFilenames
+ * @param {Folder|null} root - Folder the grouping is relative to
+ * @param {Object} options - Resolved export options
+ * @returns {string} - Index HTML document
+ */
+function createIndexHTML(title, journals, filenames, root, options) {
+  const groups = new Map();
+  for (const journal of journals) {
+    const path = getFolderPath(journal.folder, root);
+    if (!groups.has(path)) groups.set(path, []);
+    groups.get(path).push(journal);
+  }
+
+  let content = '<div class="journal-page">';
+  content += `<h1 class="journal-page-title">${escapeHtml(title)}</h1>`;
+  content += '<div class="journal-page-content export-index">';
+
+  for (const [path, group] of groups) {
+    if (path) {
+      content += `<h2>${escapeHtml(path)}</h2>`;
+    }
+    content += '<ul>';
+    for (const journal of group) {
+      content += `<li><a href="${encodeURI(filenames.get(journal))}">${escapeHtml(journal.name)}</a></li>`;
+    }
+    content += '</ul>';
+  }
+
+  content += '</div></div>';
+
+  return createStandaloneHTML(title, content, options);
+}
+
+/**
+ * Create the index note linking every exported page, grouped by folder and journal
+ * @param {string} title - Batch name
+ * @param {JournalEntry[]} journals - Exported journals
+ * @param {Map<JournalEntry, Array<{name: string, title: string}>>} notes - Each journal's notes
+ * @param {Folder|null} root - Folder the grouping is relative to
+ * @returns {string} - Index Markdown
+ */
+function createIndexMarkdown(title, journals, notes, root) {
+  const groups = new Map();
+  for (const journal of journals) {
+    const path = getFolderPath(journal.folder, root);
+    if (!groups.has(path)) groups.set(path, []);
+    groups.get(path).push(journal);
+  }
+
+  let markdown = `# ${title}\n`;
+
+  for (const [path, group] of groups) {
+    markdown += path ? `\n## ${path}\n\n` : '\n';
+    for (const journal of group) {
+      markdown += `- ${journal.name}\n`;
+      for (const note of notes.get(journal)) {
+        markdown += `  - ${renderWikilink(note.name.replace(/\.md$/, ''), note.title)}\n`;
+      }
+    }
+  }
+
+  return markdown;
+}
+
+/**
+ * Get a folder's path below the batch root
+ * @param {Folder|null} folder - The journal's folder
+ * @param {Folder|null} root - Batch root folder
+ * @returns {string} - Path such as "Act 1 / NPCs", empty at the root
+ */
+function getFolderPath(folder, root) {
+  const names = [];
+  for (let current = folder; current && current !== root; current = current.folder) {
+    names.unshift(current.name);
+  }
+  return names.join(' / ');
+}
@@ -0,0 +1,161 @@
+/**
+ * Book Builder - Dialog for combining several journals into one ordered book
+ * Chapters are picked from a list or dropped from the sidebar, then reordered by drag and drop
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Open the book builder
+ * @param {JournalEntry[]} [initial=[]] - Journals to start with
+ * @returns {Promise<{title: string, chapters: Array<{journal: JournalEntry, title: string}>}|null>} - Book definition, or null if cancelled
+ */
+export async function openBookBuilder(initial = []) {
+  const chapters = initial.map(journal => ({ journal, title: journal.name }));
+
+  const journalOptions = game.journal
+    .filter(journal => journal.visible)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(journal => `<option value="${journal.uuid}">${escapeHtml(journal.name)}</option>`)
+    .join('');
+
+  const content = `
+    <form class="intrinsics-book-builder">
+      <div class="form-group">
+        <label>Book Title</label>
+        <input type="text" name="title" value="${escapeHtml(game.world.title)}">
+      </div>
+      <div class="form-group">
+        <label>Add Journal</label>
+        <select name="journal">${journalOptions}</select>
+        <button type="button" data-action="add"><i class="fas fa-plus"></i></button>
+      </div>
+      <ol class="book-chapters"></ol>
+      <p class="notes">Drag chapters to reorder them, or drop journals here from the sidebar. Chapter titles are printed on the chapter dividers.</p>
+    </form>`;
+
+  return new Promise(resolve => {
+    const dialog = new Dialog({
+      title: 'Book Export',
+      content,
+      buttons: {
+        build: {
+          icon: '<i class="fas fa-book"></i>',
+          label: 'Build Book',
+          callback: html => {
+            const form = (html[0] ?? html).querySelector('form');
+            const title = form.elements.title.value.trim() || game.world.title;
+            resolve(chapters.length ? { title, chapters } : null);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Cancel',
+          callback: () => resolve(null)
+        }
+      },
+      default: 'build',
+      render: html => activateListeners(html[0] ?? html, chapters, dialog),
+      close: () => resolve(null)
+    }, { width: 480, classes: ['dialog', 'intrinsics-book-builder-dialog'] });
+
+    dialog.render(true);
+  });
+}
+
+/**
+ * Wire up the dialog controls
+ * @param {HTMLElement} element - Dialog content
+ * @param {Array<{journal: JournalEntry, title: string}>} chapters - Chapter list, edited in place
+ * @param {Dialog} dialog - The dialog, resized as the list changes
+ */
+function activateListeners(element, chapters, dialog) {
+  const form = element.querySelector('form');
+  const list = form.querySelector('.book-chapters');
+
+  const refresh = () => {
+    renderChapterList(list, chapters);
+    dialog.setPosition({ height: 'auto' });
+  };
+
+  form.querySelector('[data-action="add"]').addEventListener('click', async () => {
+    const journal = await fromUuid(form.elements.journal.value);
+    if (journal) {
+      chapters.push({ journal, title: journal.name });
+      refresh();
+    }
+  });
+
+  list.addEventListener('click', event => {
+    const remove = event.target.closest('[data-action="remove"]');
+    if (remove) {
+      chapters.splice(Number(remove.closest('li').dataset.index), 1);
+      refresh();
+    }
+  });
+
+  list.addEventListener('change', event => {
+    const input = event.target.closest('input[name="chapter-title"]');
+    if (input) {
+      chapters[Number(input.closest('li').dataset.index)].title = input.value;
+    }
+  });
+
+  list.addEventListener('dragstart', event => {
+    const item = event.target.closest('li');
+    if (item) {
+      event.dataTransfer.setData('text/plain', JSON.stringify({ bookChapter: Number(item.dataset.index) }));
+    }
+  });
+
+  // The whole form accepts drops so journals can land on an empty list
+  form.addEventListener('dragover', event => event.preventDefault());
+  form.addEventListener('drop', async event => {
+    event.preventDefault();
+
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData('text/plain'));
+    } catch (error) {
+      return;
+    }
+
+    const target = event.target.closest('.book-chapters li');
+    const targetIndex = target?.dataset.index !== undefined ? Number(target.dataset.index) : chapters.length;
+
+    if (Number.isInteger(data.bookChapter)) {
+      const [moved] = chapters.splice(data.bookChapter, 1);
+      chapters.splice(Math.min(targetIndex, chapters.length), 0, moved);
+    } else if (data.type === 'JournalEntry' && data.uuid) {
+      const journal = await fromUuid(data.uuid);
+      if (!journal) return;
+      chapters.splice(targetIndex, 0, { journal, title: journal.name });
+    } else {
+      return;
+    }
+
+    refresh();
+  });
+
+  refresh();
+}
+
+/**
+ * Render the chapter list
+ * @param {HTMLElement} list - The chapter list element
+ * @param {Array<{journal: JournalEntry, title: string}>} chapters - Chapters in order
+ */
+function renderChapterList(list, chapters) {
+  if (!chapters.length) {
+    list.innerHTML = '<li class="book-chapters-empty">No chapters yet</li>';
+    return;
+  }
+
+  list.innerHTML = chapters.map((chapter, index) => `
+    <li class="book-chapter-entry" data-index="${index}" draggable="true">
+      <i class="fas fa-grip-vertical"></i>
+      <input type="text" name="chapter-title" value="${escapeHtml(chapter.title)}">
+      <span class="book-chapter-source">${escapeHtml(chapter.journal.name)}</span>
+      <a data-action="remove" title="Remove"><i class="fas fa-trash"></i></a>
+    </li>`).join('');
+}
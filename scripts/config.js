@@ -2,6 +2,9 @@
  * Configuration constants for Journal PDF Enhanced
  */
 
+// Module identifier, used for settings and the public API
+export const MODULE_ID = 'intrinsics-pdf-exporter';
+
 export const CONFIG = {
   // HTML2Canvas rendering options
   // CRITICAL: backgroundColor is null (transparent), not white!
@@ -30,12 +33,62 @@ export const CONFIG = {
     }
   },
 
+  // Paper sizes offered for export, in millimetres (portrait)
+  PAPER_SIZES: {
+    a4: { label: 'A4', width: 210, height: 297 },
+    a5: { label: 'A5', width: 148, height: 210 },
+    letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+    legal: { label: 'US Legal', width: 215.9, height: 355.6 }
+  },
+
+  // Output formats, with the extension of the exported file
+  OUTPUT_FORMATS: {
+    html: { label: 'HTML (print to PDF from a browser)', extension: 'html' },
+    pdf: { label: 'PDF (vector, laid out in Foundry)', extension: 'pdf' },
+    epub: { label: 'EPUB 3 (e-readers)', extension: 'epub' },
+    docx: { label: 'Word (DOCX, for editing)', extension: 'docx' },
+    markdown: { label: 'Markdown (wikis, Obsidian)', extension: 'zip' }
+  },
+
   // Color detection thresholds
   COLOR_THRESHOLDS: {
     lightThreshold: 0.5,   // Luminance threshold for light/dark detection
     contrastRatio: 4.5     // WCAG AA standard minimum contrast
   },
 
+  // Asset fetching
+  FETCH: {
+    concurrency: 6         // Assets fetched at once; browsers open about six connections per server
+  },
+
+  // Font embedding limits
+  FONTS: {
+    maxFileBytes: 1024 * 1024,      // Larger font files are linked instead of embedded
+    maxTotalBytes: 4 * 1024 * 1024  // Budget for all fonts embedded in one export
+  },
+
+  // Enrichment options
+  ENRICHMENT: {
+    maxEmbedDepth: 3       // Nested @Embed levels resolved before giving up
+  },
+
+  // Importing exported files
+  IMPORT: {
+    folder: 'imports',     // Default folder for uploaded images, inside the world's folder
+    maxDiffSize: 250000    // Longer page comparisons (old lines x new lines) show every line as changed
+  },
+
+  // Publishing exports to the server
+  PUBLISH: {
+    folder: 'exports'      // Default folder for published files, inside the world's folder
+  },
+
+  // Journal snapshots
+  BACKUP: {
+    pack: 'journal-snapshots',  // Name of the world compendium snapshots are kept in
+    label: 'Journal Snapshots'  // Its title in the Compendium directory
+  },
+
   // Rendering container options
   RENDER_CONTAINER: {
     width: 800,            // Container width in pixels
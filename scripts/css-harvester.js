@@ -0,0 +1,361 @@
+/**
+ * CSS Harvester - Copies the stylesheet rules that exported content actually uses
+ * Rules are read from Foundry's loaded stylesheets, matched against the exported pages, and rescoped
+ * under .journal-page-content so system and module styles survive without touching the print layout
+ */
+
+/**
+ * Classes of the journal sheet the content is matched inside, so rules written
+ * for Foundry's journal sheet (v11-v13) still match their content
+ */
+const SHEET_CLASSES = 'app application window-app sheet journal-sheet journal-entry themed theme-light';
+
+/**
+ * Pseudo-classes that depend on interaction and never match a static element
+ */
+const DYNAMIC_PSEUDO = /:(?:hover|focus-within|focus-visible|focus|active|visited|target|checked|indeterminate|placeholder-shown)\b/g;
+
+/**
+ * Pseudo-elements, stripped before matching
+ */
+const PSEUDO_ELEMENT = /::?(?:before|after|marker|first-line|first-letter|placeholder|selection|backdrop|file-selector-button)\b|::[a-z-]+(?:\([^)]*\))?/g;
+
+/**
+ * Longest stretch of selector matching before yielding to the browser, in milliseconds
+ */
+const SLICE_MS = 25;
+
+/**
+ * Copy the stylesheet rules an export's content uses
+ * Every stylesheet is read once and every selector is matched once against the whole export,
+ * in short slices that yield to the browser so Foundry stays responsive.
+ * Stylesheets from other origins can't be read and are skipped
+ * @param {string} html - Export HTML, with each page's content in a .journal-page-content element
+ * @param {Object} [options] - Harvest options
+ * @param {AbortSignal} [options.signal] - Cancels the harvest between slices
+ * @returns {Promise<string>} - CSS text, empty if nothing matched
+ */
+export async function harvestStyles(html, { signal } = {}) {
+  const { rules, fontFaces } = readStylesheets();
+
+  // Mounted off-screen inside a journal sheet so ancestor selectors and body classes apply
+  const sheet = document.createElement('div');
+  sheet.className = SHEET_CLASSES;
+  sheet.style.cssText = 'position: absolute; left: -9999px; top: 0; width: 800px;';
+  sheet.innerHTML = `<article class="journal-entry-page text">${html}</article>`;
+  document.body.appendChild(sheet);
+
+  const matched = [];
+  const variables = new Map();
+
+  try {
+    const content = sheet.querySelector('.journal-page-content');
+    if (!content) return '';
+
+    let sliceStart = performance.now();
+    for (const entry of rules) {
+      if (performance.now() - sliceStart > SLICE_MS) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        signal?.throwIfAborted();
+        sliceStart = performance.now();
+      }
+
+      for (const selector of entry.selectors) {
+        const scoped = scopeSelector(selector, sheet);
+        if (scoped) {
+          matched.push({ ...entry, selector: scoped });
+        }
+      }
+    }
+
+    // Resolve the custom properties the matched rules use, as the content sees them
+    const computed = window.getComputedStyle(content);
+    for (const { rule } of matched) {
+      for (const name of findVariables(rule.style.cssText)) {
+        if (variables.has(name)) continue;
+        const value = computed.getPropertyValue(name).trim();
+        if (value) {
+          variables.set(name, value);
+        }
+      }
+    }
+  } finally {
+    sheet.remove();
+  }
+
+  return buildHarvestedCSS(matched, variables, fontFaces);
+}
+
+/**
+ * Read the rules of every loaded stylesheet
+ * @returns {{rules: Array, fontFaces: Array}} - Style rules and @font-face rules
+ */
+function readStylesheets() {
+  const rules = [];
+  const fontFaces = [];
+
+  for (const sheet of Array.from(document.styleSheets)) {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      console.warn('Intrinsics HTML Export | Cannot read stylesheet, skipping:', sheet.href);
+      continue;
+    }
+
+    collectRules(cssRules, sheet.href ?? document.baseURI, [], rules, fontFaces);
+  }
+
+  return { rules, fontFaces };
+}
+
+/**
+ * Walk a rule list, flattening cascade layers and remembering enclosing @media/@supports blocks
+ * @param {CSSRuleList} cssRules - Rules to walk
+ * @param {string} base - URL relative url() values resolve against
+ * @param {string[]} conditions - Enclosing at-rule preludes, outermost first
+ * @param {Array} rules - Collected style rules
+ * @param {Array} fontFaces - Collected @font-face rules
+ */
+function collectRules(cssRules, base, conditions, rules, fontFaces) {
+  for (const rule of Array.from(cssRules)) {
+    if (rule instanceof CSSStyleRule) {
+      rules.push({ rule, base, conditions, selectors: splitTopLevel(rule.selectorText, ',') });
+    } else if (rule instanceof CSSFontFaceRule) {
+      fontFaces.push({ rule, base });
+    } else if (rule instanceof CSSMediaRule) {
+      collectRules(rule.cssRules, base, [...conditions, `@media ${rule.conditionText ?? rule.media.mediaText}`], rules, fontFaces);
+    } else if (globalThis.CSSSupportsRule && rule instanceof CSSSupportsRule) {
+      collectRules(rule.cssRules, base, [...conditions, `@supports ${rule.conditionText}`], rules, fontFaces);
+    } else if (globalThis.CSSLayerBlockRule && rule instanceof CSSLayerBlockRule) {
+      collectRules(rule.cssRules, base, conditions, rules, fontFaces);
+    } else if (globalThis.CSSImportRule && rule instanceof CSSImportRule && rule.styleSheet) {
+      try {
+        collectRules(rule.styleSheet.cssRules, rule.styleSheet.href ?? base, conditions, rules, fontFaces);
+      } catch (error) {
+        // Cross-origin import
+      }
+    }
+  }
+}
+
+/**
+ * Build the stylesheet of everything harvested
+ * @param {Array} matched - Matched rules with their scoped selectors
+ * @param {Map<string, string>} variables - Custom properties the matched rules use, with their values
+ * @param {Array} fontFaces - Every @font-face rule
+ * @returns {string} - CSS text, empty if nothing matched
+ */
+function buildHarvestedCSS(matched, variables, fontFaces) {
+  if (!matched.length) return '';
+
+  const blocks = [];
+
+  if (variables.size) {
+    const declarations = Array.from(variables, ([name, value]) => `${name}: ${value};`).join(' ');
+    blocks.push(`.journal-page-content { ${declarations} }`);
+  }
+
+  const used = [];
+  for (const { selector, rule, base, conditions } of matched) {
+    const declarations = absolutizeUrls(rule.style.cssText, base);
+    used.push(declarations);
+
+    let block = `${selector} { ${declarations} }`;
+    for (const condition of conditions.slice().reverse()) {
+      block = `${condition} { ${block} }`;
+    }
+    blocks.push(block);
+  }
+
+  // Only the fonts the harvested rules (or the variables they use) name
+  const usedText = [...used, ...variables.values()].join(' ').toLowerCase();
+  const usedFonts = fontFaces.filter(({ rule }) => {
+    const family = rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim().toLowerCase();
+    return family && usedText.includes(family);
+  });
+
+  const fontCSS = usedFonts.map(({ rule, base }) => `@font-face { ${absolutizeUrls(rule.style.cssText, base)} }`);
+
+  console.log(`Intrinsics HTML Export | Harvested ${matched.length} style rule(s), ${usedFonts.length} font(s) and ${variables.size} variable(s)`);
+
+  return [...fontCSS, ...blocks].join('\n');
+}
+
+/**
+ * Rewrite a selector so it only reaches into exported content
+ * Leading compounds that only match the sheet around the content (.journal-entry-page, body.system-x)
+ * are dropped and replaced with .journal-page-content
+ * @param {string} selector - One selector from a selector list
+ * @param {HTMLElement} sheet - Mounted export
+ * @returns {string|null} - Scoped selector, or null if the selector matches nothing in the content
+ */
+function scopeSelector(selector, sheet) {
+  const test = toStaticSelector(selector);
+  if (!test || !matchesAny(sheet, test)) return null;
+
+  const parts = splitCompounds(selector);
+  while (parts.length > 1 && !matchesAny(sheet, toStaticSelector(parts[0].compound))) {
+    parts.shift();
+  }
+
+  const scoped = parts.map(({ combinator, compound }, i) => (i ? combinator : '') + compound).join('').trim();
+
+  // Bare element rules (p, h1, table) are the theme's job
+  if (!/[.#[]/.test(toStaticSelector(scoped))) return null;
+
+  return `.journal-page-content ${scoped}`;
+}
+
+/**
+ * Check whether any element inside a page's content matches a selector
+ * The content elements themselves and everything between pages only stand in for the sheet
+ * @param {HTMLElement} sheet - Mounted export
+ * @param {string} selector - Selector without dynamic pseudo-classes
+ * @returns {boolean} - True if something matches
+ */
+function matchesAny(sheet, selector) {
+  try {
+    return Array.from(sheet.querySelectorAll(selector)).some(element => element.parentElement?.closest('.journal-page-content'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Strip pseudo-elements and interaction pseudo-classes so a selector can be matched against static content
+ * @param {string} selector - Selector
+ * @returns {string} - Matchable selector, empty if nothing is left
+ */
+function toStaticSelector(selector) {
+  const stripped = selector.replace(PSEUDO_ELEMENT, '').replace(DYNAMIC_PSEUDO, '').trim();
+  return /[>+~]$/.test(stripped) ? `${stripped} *` : stripped || '';
+}
+
+/**
+ * Split a selector into compounds and the combinators between them
+ * @param {string} selector - Selector
+ * @returns {Array<{combinator: string, compound: string}>} - Compounds, left to right
+ */
+function splitCompounds(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  let combinator = '';
+
+  for (const char of selector.trim()) {
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+      current += char;
+    } else if (char === ')' || char === ']') {
+      depth--;
+      current += char;
+    } else if (depth === 0 && /[\s>+~]/.test(char)) {
+      if (current) {
+        parts.push({ combinator, compound: current });
+        current = '';
+        combinator = '';
+      }
+      combinator = /\s/.test(char) ? (combinator || ' ') : ` ${char} `;
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    parts.push({ combinator, compound: current });
+  }
+
+  return parts;
+}
+
+/**
+ * Split text on a separator outside brackets and quotes
+ * @param {string} text - Text to split, e.g. a selector list
+ * @param {string} separator - Single separator character
+ * @returns {string[]} - Trimmed, non-empty pieces
+ */
+function splitTopLevel(text, separator) {
+  const pieces = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      pieces.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  pieces.push(current.trim());
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Find the custom properties a declaration block reads
+ * @param {string} cssText - Declarations
+ * @returns {string[]} - Variable names such as --color-text
+ */
+function findVariables(cssText) {
+  return Array.from(cssText.matchAll(/var\(\s*(--[\w-]+)/g), match => match[1]);
+}
+
+/**
+ * Resolve relative url() values against the stylesheet they came from
+ * @param {string} cssText - Declarations
+ * @param {string} base - Stylesheet URL
+ * @returns {string} - Declarations with absolute URLs
+ */
+function absolutizeUrls(cssText, base) {
+  return cssText.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+    if (url.startsWith('data:')) return match;
+    try {
+      return `url("${new URL(url, base).href}")`;
+    } catch (error) {
+      return match;
+    }
+  });
+}
+
+/**
+ * List every @font-face rule in the loaded stylesheets
+ * @returns {Array<{family: string, weight: string, style: string, unicodeRange: string, urls: string[]}>} - Font faces with absolute URLs
+ */
+export function getDocumentFontFaces() {
+  const rules = [];
+  const fontFaces = [];
+
+  for (const sheet of Array.from(document.styleSheets)) {
+    try {
+      collectRules(sheet.cssRules, sheet.href ?? document.baseURI, [], rules, fontFaces);
+    } catch (error) {
+      // Cross-origin stylesheet
+    }
+  }
+
+  return fontFaces.map(({ rule, base }) => ({
+    family: rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim(),
+    weight: rule.style.getPropertyValue('font-weight') || 'normal',
+    style: rule.style.getPropertyValue('font-style') || 'normal',
+    unicodeRange: rule.style.getPropertyValue('unicode-range').trim(),
+    urls: Array.from(absolutizeUrls(rule.style.getPropertyValue('src'), base).matchAll(/url\("([^"]+)"\)/g), match => match[1])
+  }));
+}
@@ -0,0 +1,907 @@
+/**
+ * DOCX Writer - Converts exported HTML into a Word document for editors
+ * Page titles and headings map to Word's built-in heading styles, so the navigation pane and a Word
+ * table of contents work; lists, tables, bold/italic text, links and images are carried over.
+ * The whole OOXML package is written in the browser.
+ */
+
+import { CONFIG } from './config.js';
+import { getInlineStyle, walkContent } from './html-blocks.js';
+import { RUNNING_TOKENS, getPageGeometry, splitRunningTemplate } from './page-layout.js';
+import { escapeXml, fetchBlob, mapWithConcurrency, safeDecodeURIComponent } from './utils.js';
+import { createZip } from './zip-writer.js';
+
+/**
+ * XML namespaces of the document parts
+ */
+const NS = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture'
+};
+
+/**
+ * Relationship types
+ */
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Content types of the parts, by part name
+ */
+const CONTENT_TYPES = {
+  '/word/document.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+  '/word/styles.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml',
+  '/word/numbering.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml',
+  '/word/settings.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml',
+  '/word/header1.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+  '/word/footer1.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+  '/docProps/core.xml': 'application/vnd.openxmlformats-package.core-properties+xml',
+  '/docProps/app.xml': 'application/vnd.openxmlformats-officedocument.extended-properties+xml'
+};
+
+/**
+ * Image formats Word shows as they are; anything else is converted to PNG
+ */
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif'
+};
+
+/**
+ * Units: twentieths of a point (twips) per millimetre, and English Metric Units per millimetre and CSS pixel
+ */
+const TWIPS_PER_MM = 1440 / 25.4;
+const EMU_PER_MM = 36000;
+const EMU_PER_PX = 9525;
+
+/**
+ * Indent of each list level and block quote, in twips
+ */
+const INDENT = 720;
+
+/**
+ * How the content walk's pieces become paragraphs and tables (see walkContent)
+ */
+const PARAGRAPH_HANDLERS = {
+  text: (node, style, context, builder) => addText(builder, node.data, style, context),
+  lineBreak: (element, style, context, builder) => builder.runs.push({ ...style, break: true }),
+  image: (element, style, context, builder, state) => {
+    addBookmark(builder, element, state);
+    addImage(element, style, context, builder, state);
+  },
+  rule: (element, style, context, builder, state) => {
+    flush(builder, context, state);
+    builder.body.push(renderParagraph([], { ...context, rule: true }, builder, state));
+  },
+  table: (element, style, context, builder, state) => {
+    flush(builder, context, state);
+    addBookmark(builder, element, state);
+    convertTable(element, style, context, builder, state);
+  },
+  list: (element, style, context, builder, state) => {
+    flush(builder, context, state);
+    addBookmark(builder, element, state);
+    convertList(element, style, context, builder, state);
+  },
+  block: convertBlock,
+  inline: (element, style, context, builder, state) => addBookmark(builder, element, state)
+};
+
+/**
+ * Number formats of ordered list levels, repeating
+ */
+const NUMBER_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+/**
+ * Bullets of unordered list levels, repeating
+ */
+const BULLETS = ['•', '◦', '▪'];
+
+/**
+ * Convert exported HTML into a Word document
+ * @param {string} title - Document title
+ * @param {string} html - Exported content, with images embedded as data URIs
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.header] - Running header template (see splitRunningTemplate)
+ * @param {string} [options.footer] - Running footer template
+ * @param {boolean} [options.cover] - Whether the content starts with a cover page, which gets no header or footer
+ * @param {{title: string, authors: string[], language: string}} options.metadata - Document properties
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @returns {Promise<Blob>} - DOCX file, on the paper size, orientation and margins of the page layout options
+ */
+export async function createDOCX(title, html, options) {
+  const { metadata, signal } = options;
+
+  // Inert template: parsing doesn't load images or run anything
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const geometry = getPageGeometry(options);
+  const state = {
+    width: geometry.width - geometry.margin.left - geometry.margin.right - geometry.gutter,
+    height: geometry.height - geometry.margin.top - geometry.margin.bottom,
+    relationships: [
+      { type: 'styles', target: 'styles.xml' },
+      { type: 'numbering', target: 'numbering.xml' },
+      { type: 'settings', target: 'settings.xml' }
+    ],
+    links: new Map(),
+    images: new Map(),
+    bookmarks: new Map(),
+    bookmarkCount: 0,
+    lists: [],
+    drawings: 0
+  };
+
+  // Images are loaded up front, so the conversion itself never waits
+  await loadImages(template.content, state, signal);
+  signal?.throwIfAborted();
+
+  const builder = createBuilder();
+  walk(template.content, {}, { style: null, indent: 0, listDepth: 0 }, builder, state);
+  flush(builder, {}, state);
+  if (builder.bookmarks.length) {
+    builder.body.push(renderParagraph([], {}, builder, state));
+  }
+
+  const header = renderRunningText('hdr', options.header, title, state);
+  const footer = renderRunningText('ftr', options.footer, title, state);
+  const parts = new Map([
+    ['word/document.xml', renderDocument(builder.body, renderSection(geometry, options.cover, header, footer))],
+    ['word/styles.xml', renderStyles()],
+    ['word/numbering.xml', renderNumbering(state.lists)],
+    ['word/settings.xml', renderSettings(geometry)],
+    ['docProps/core.xml', renderCoreProperties(metadata)],
+    ['docProps/app.xml', renderAppProperties()]
+  ]);
+  if (header) parts.set('word/header1.xml', header.xml);
+  if (footer) parts.set('word/footer1.xml', footer.xml);
+
+  const media = [...state.images.values()].filter(Boolean);
+  const entries = [
+    { name: '[Content_Types].xml', data: renderContentTypes([...parts.keys()], media) },
+    { name: '_rels/.rels', data: renderPackageRelationships() },
+    { name: 'word/_rels/document.xml.rels', data: renderRelationships(state.relationships) },
+    ...[...parts].map(([name, data]) => ({ name, data })),
+    // Images are already compressed
+    ...media.map(image => ({ name: `word/${image.target}`, data: image.data, compress: false }))
+  ];
+
+  console.log(`Intrinsics HTML Export | Converted ${builder.body.length} paragraph(s) and table(s) to DOCX, with ${media.length} image(s)`);
+  const zip = await createZip(entries);
+  return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+}
+
+/**
+ * Create an empty paragraph builder
+ * @returns {{body: string[], runs: Object[], bookmarks: string[], marker: Object|null, pageBreak: boolean}} - Builder
+ */
+function createBuilder() {
+  return { body: [], runs: [], bookmarks: [], marker: null, pageBreak: false };
+}
+
+/**
+ * Walk the children of a node, collecting runs and emitting paragraphs and tables
+ * @param {Node} node - Parent node
+ * @param {Object} style - Inline style: bold, italic, underline, strike, mono, highlight, vertAlign, href
+ * @param {Object} context - Paragraph context: style, alignment, indent, list depth
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} state - Document state
+ */
+function walk(node, style, context, builder, state) {
+  walkContent(node, style, context, PARAGRAPH_HANDLERS, builder, state);
+}
+
+/**
+ * Emit a block element: headings, paragraphs and containers, with the page structure the exporter writes
+ * @param {HTMLElement} element - Block element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent paragraph context
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} state - Document state
+ */
+function convertBlock(element, style, context, builder, state) {
+  const tag = element.localName;
+  const classes = element.classList;
+
+  flush(builder, context, state);
+
+  // Title pages and chapter dividers fill a page of their own; page breaks are kept
+  const ownPage = classes.contains('export-cover') || classes.contains('book-title-page') || classes.contains('book-chapter');
+  if (ownPage || classes.contains('page-break')) {
+    builder.pageBreak = builder.body.length > 0;
+  }
+
+  addBookmark(builder, element, state);
+
+  const inner = { ...context };
+  let innerStyle = getInlineStyle(element, style);
+
+  if (/^h[1-6]$/.test(tag)) {
+    const title = classes.contains('book-title') || classes.contains('book-chapter-title') || classes.contains('export-cover-title');
+    inner.style = title ? 'Title' : `Heading${tag[1]}`;
+  } else if (tag === 'blockquote') {
+    Object.assign(inner, { style: 'Quote', indent: context.indent + INDENT });
+  } else if (tag === 'pre') {
+    Object.assign(inner, { style: 'Code', pre: true });
+  } else if (tag === 'dd') {
+    inner.indent = context.indent + INDENT;
+  } else if (tag === 'dt' || tag === 'summary') {
+    innerStyle = { ...innerStyle, bold: true };
+  } else if (tag === 'figure' || tag === 'center') {
+    inner.align = 'center';
+  } else if (tag === 'figcaption') {
+    inner.style = 'Caption';
+  } else if (classes.contains('export-cover')) {
+    inner.align = 'center';
+  }
+
+  const align = element.getAttribute('align') ?? element.style?.textAlign;
+  if (['left', 'center', 'right', 'justify'].includes(align)) {
+    inner.align = align;
+  }
+
+  walk(element, innerStyle, inner, builder, state);
+  flush(builder, inner, state);
+
+  if (ownPage || classes.contains('export-toc')) {
+    builder.pageBreak = true;
+  }
+}
+
+/**
+ * Emit the items of a list as numbered or bulleted paragraphs
+ * The generated table of contents becomes Word's TOC paragraph styles instead
+ * @param {HTMLElement} list - ul or ol element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent paragraph context
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} state - Document state
+ */
+function convertList(list, style, context, builder, state) {
+  const toc = list.classList.contains('export-toc-list');
+  const plain = toc || list.style?.listStyleType === 'none';
+  const level = Math.min(context.listDepth, 8);
+
+  // Every list is its own numbering instance, so numbers restart where the HTML restarts them
+  let numId = null;
+  if (!plain) {
+    state.lists.push({ ordered: list.localName === 'ol', level, start: Number(list.getAttribute('start')) || 1 });
+    numId = state.lists.length;
+  }
+
+  const itemContext = { ...context, listDepth: context.listDepth + 1, indent: plain ? context.indent : INDENT * (level + 1) };
+
+  for (const item of list.children) {
+    if (item.localName !== 'li') continue;
+
+    const depth = toc ? Number(item.className.match(/toc-depth-(\d)/)?.[1] ?? 0) : 0;
+    builder.marker = numId ? { numId, level } : null;
+
+    addBookmark(builder, item, state);
+    walk(item, style, toc ? { ...itemContext, style: `TOC${depth + 1}` } : itemContext, builder, state);
+    flush(builder, toc ? { ...itemContext, style: `TOC${depth + 1}` } : itemContext, state);
+    builder.marker = null;
+  }
+}
+
+/**
+ * Emit a table, with merged cells, repeated header rows and the cell content converted like any other
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent paragraph context
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} state - Document state
+ */
+function convertTable(table, style, context, builder, state) {
+  const rows = [];
+  const merged = [];  // Per grid column: rows still covered by a cell spanning down, and its width in columns
+  let columns = 0;
+  let leading = true;
+
+  for (const row of table.querySelectorAll('tr')) {
+    // Rows of nested tables are read with their own table
+    if (row.closest('table') !== table) continue;
+
+    const cells = [];
+    let column = 0;
+    const skipMerged = () => {
+      while (merged[column]?.rows) {
+        merged[column].rows--;
+        cells.push({ body: [], span: merged[column].span, merge: 'continue' });
+        column += merged[column].span;
+      }
+    };
+
+    for (const cell of row.cells) {
+      skipMerged();
+      const span = Math.max(1, cell.colSpan || 1);
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+      if (rowSpan > 1) {
+        merged[column] = { rows: rowSpan - 1, span };
+      }
+
+      const cellBuilder = createBuilder();
+      const cellStyle = cell.localName === 'th' ? { ...style, bold: true } : style;
+      walk(cell, cellStyle, { style: null, indent: 0, listDepth: 0 }, cellBuilder, state);
+      flush(cellBuilder, {}, state);
+      if (cellBuilder.bookmarks.length) {
+        cellBuilder.body.push(renderParagraph([], {}, cellBuilder, state));
+      }
+
+      cells.push({ body: cellBuilder.body, span, merge: rowSpan > 1 ? 'restart' : null, header: cell.localName === 'th' });
+      column += span;
+    }
+    skipMerged();
+
+    if (!cells.length) continue;
+    columns = Math.max(columns, column);
+
+    // Header rows at the top are repeated on every page the table runs over
+    const header = leading && (row.parentElement.localName === 'thead' || cells.every(cell => cell.header || cell.merge === 'continue'));
+    leading = header;
+    rows.push({ cells, header });
+  }
+
+  if (!rows.length) return;
+
+  if (builder.pageBreak) {
+    builder.body.push(renderParagraph([], {}, builder, state));
+  }
+
+  const available = Math.round(state.width * TWIPS_PER_MM) - context.indent;
+  const columnWidth = Math.floor(available / columns);
+
+  let xml = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/>';
+  xml += `<w:tblW w:w="${columnWidth * columns}" w:type="dxa"/>`;
+  if (context.indent) xml += `<w:tblInd w:w="${context.indent}" w:type="dxa"/>`;
+  xml += '<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>';
+  xml += `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>`;
+
+  for (const row of rows) {
+    xml += `<w:tr>${row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}`;
+    for (const cell of row.cells) {
+      xml += `<w:tc><w:tcPr><w:tcW w:w="${columnWidth * cell.span}" w:type="dxa"/>`;
+      if (cell.span > 1) xml += `<w:gridSpan w:val="${cell.span}"/>`;
+      if (cell.merge) xml += `<w:vMerge${cell.merge === 'restart' ? ' w:val="restart"' : ''}/>`;
+      xml += '</w:tcPr>';
+
+      // A cell must end with a paragraph, even after a nested table
+      const body = cell.body.join('');
+      xml += body && !body.endsWith('</w:tbl>') ? body : `${body}<w:p/>`;
+      xml += '</w:tc>';
+    }
+    xml += '</w:tr>';
+  }
+
+  xml += '</w:tbl>';
+  builder.body.push(xml);
+}
+
+/**
+ * Add an image run for an img, an embedded image reference or a video poster
+ * @param {Element} element - img, svg.export-image or video element
+ * @param {Object} style - Inline style, for the alt text fallback
+ * @param {Object} context - Paragraph context
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} state - Document state
+ */
+function addImage(element, style, context, builder, state) {
+  const src = getImageSource(element);
+  const image = src ? state.images.get(src) : null;
+  const alt = element.getAttribute('alt') ?? element.querySelector('title')?.textContent ?? '';
+
+  if (!image) {
+    if (alt) builder.runs.push({ ...style, italic: true, text: `[${alt}]` });
+    return;
+  }
+
+  // Only pixel sizes are used; percentages fall back to the image's own size
+  const size = (element.getAttribute('width') || element.style?.width || '').trim();
+  const pixels = /^\d+(?:\.\d+)?(?:px)?$/.test(size) ? parseFloat(size) : image.width;
+
+  // Never wider than the text, and the cover image fills the width but leaves room for the title
+  const available = (state.width - context.indent / TWIPS_PER_MM) * EMU_PER_MM;
+  let width = element.classList.contains('export-cover-image') ? available : Math.min(pixels * EMU_PER_PX, available);
+  let height = width * image.height / image.width;
+  const maxHeight = state.height * EMU_PER_MM * (element.classList.contains('export-cover-image') ? 0.6 : 1);
+  if (height > maxHeight) {
+    width *= maxHeight / height;
+    height = maxHeight;
+  }
+
+  state.drawings++;
+  const id = state.drawings;
+  const description = escapeXml(alt);
+  builder.runs.push({
+    xml: `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">`
+      + `<wp:extent cx="${Math.round(width)}" cy="${Math.round(height)}"/>`
+      + `<wp:docPr id="${id}" name="Picture ${id}" descr="${description}"/>`
+      + '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>'
+      + `<a:graphic><a:graphicData uri="${NS.pic}"><pic:pic>`
+      + `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}" descr="${description}"/><pic:cNvPicPr/></pic:nvPicPr>`
+      + `<pic:blipFill><a:blip r:embed="${image.rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+      + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${Math.round(width)}" cy="${Math.round(height)}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+      + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>'
+  });
+}
+
+/**
+ * Get the image an element shows
+ * @param {Element} element - img, svg.export-image or video element
+ * @returns {string|null} - Image URL, usually a data URI
+ */
+function getImageSource(element) {
+  if (element.localName === 'svg') {
+    // Shared images are referenced with <use> from the definitions embedAssets writes
+    const id = element.querySelector('use')?.getAttribute('href')?.slice(1);
+    const definition = id ? element.getRootNode().getElementById(id) : null;
+    return definition?.getAttribute('href') ?? definition?.getAttribute('xlink:href') ?? null;
+  }
+
+  return element.getAttribute(element.localName === 'video' ? 'poster' : 'src');
+}
+
+/**
+ * Load every image the content shows and add it to the package, each once
+ * @param {DocumentFragment} root - Parsed content
+ * @param {Object} state - Document state; images are keyed by source
+ * @param {AbortSignal} [signal] - Cancels the export
+ */
+async function loadImages(root, state, signal) {
+  const sources = new Set();
+  for (const element of root.querySelectorAll('img, video[poster], svg.export-image')) {
+    const src = getImageSource(element);
+    if (src) sources.add(src);
+  }
+
+  const images = await mapWithConcurrency([...sources], CONFIG.FETCH.concurrency, async src => {
+    try {
+      return await loadImage(src, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('Intrinsics HTML Export | Could not place image in DOCX:', src.slice(0, 100), error);
+      return null;
+    }
+  }, signal);
+
+  // Numbered in document order, whichever image loaded first
+  let count = 0;
+  [...sources].forEach((src, index) => {
+    const image = images[index];
+    if (image) {
+      count++;
+      image.target = `media/image${count}.${image.extension}`;
+      image.rId = addRelationship(state, 'image', image.target);
+    }
+    state.images.set(src, image);
+  });
+}
+
+/**
+ * Load an image, converting formats Word can't show to PNG
+ * @param {string} src - Image URL
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<{data: Blob, extension: string, width: number, height: number}>} - Image file and its size in pixels
+ */
+async function loadImage(src, signal) {
+  const blob = await fetchBlob(src, { signal });
+  const url = URL.createObjectURL(blob);
+
+  try {
+    const element = new Image();
+    element.src = url;
+    await element.decode();
+
+    // SVGs without a size decode at the CSS default of 300x150
+    const width = element.naturalWidth || 300;
+    const height = element.naturalHeight || 150;
+
+    if (IMAGE_TYPES[blob.type]) {
+      return { data: blob, extension: IMAGE_TYPES[blob.type], width, height };
+    }
+
+    // WebP, SVG and other formats are drawn to a canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(element, 0, 0, width, height);
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!png) throw new Error('Could not convert image to PNG');
+
+    return { data: png, extension: 'png', width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Add text to the paragraph being built
+ * @param {Object} builder - Paragraph builder
+ * @param {string} text - Text
+ * @param {Object} style - Inline style
+ * @param {Object} context - Paragraph context; preformatted text keeps its spaces and line breaks
+ */
+function addText(builder, text, style, context) {
+  if (context.pre) {
+    text.split('\n').forEach((line, index) => {
+      if (index) builder.runs.push({ ...style, break: true });
+      if (line) builder.runs.push({ ...style, text: line.replace(/\t/g, '    ') });
+    });
+    return;
+  }
+
+  const collapsed = text.replace(/\s+/g, ' ');
+  if (collapsed) {
+    builder.runs.push({ ...style, text: collapsed });
+  }
+}
+
+/**
+ * Bookmark an element's id, so links to it jump to the paragraph that follows
+ * @param {Object} builder - Paragraph builder
+ * @param {Element} element - Element
+ * @param {Object} state - Document state
+ */
+function addBookmark(builder, element, state) {
+  if (element.id) {
+    builder.bookmarks.push(getBookmarkName(state, element.id));
+  }
+}
+
+/**
+ * Get the bookmark name for an element id
+ * Names are hidden bookmarks (leading underscore) so they don't crowd Word's bookmark list
+ * @param {Object} state - Document state
+ * @param {string} id - Element id
+ * @returns {string} - Bookmark name, at most 40 characters as Word requires
+ */
+function getBookmarkName(state, id) {
+  if (!state.bookmarks.has(id)) {
+    state.bookmarks.set(id, `_Export${state.bookmarks.size + 1}`);
+  }
+  return state.bookmarks.get(id);
+}
+
+/**
+ * Emit the runs collected so far as a paragraph
+ * @param {Object} builder - Paragraph builder
+ * @param {Object} context - Paragraph context the runs belong to
+ * @param {Object} state - Document state
+ */
+function flush(builder, context, state) {
+  const runs = builder.runs;
+  builder.runs = [];
+
+  if (!runs.some(run => run.xml || run.text?.trim())) return;
+
+  // Spaces around the paragraph's text would show in Word; preformatted text keeps its indentation
+  if (!context.pre) {
+    const first = runs.find(run => run.text !== undefined || run.xml);
+    if (first?.text !== undefined) first.text = first.text.trimStart();
+    const last = runs.findLast(run => run.text !== undefined || run.xml);
+    if (last?.text !== undefined) last.text = last.text.trimEnd();
+  }
+
+  builder.body.push(renderParagraph(runs.filter(run => run.text !== ''), context, builder, state));
+
+  // Only the first paragraph of a list item carries its number
+  builder.marker = null;
+}
+
+/**
+ * Render a paragraph with its properties and the bookmarks waiting for one
+ * @param {Object[]} runs - Runs
+ * @param {Object} context - Paragraph context
+ * @param {Object} builder - Paragraph builder; its page break and list marker are used up
+ * @param {Object} state - Document state
+ * @returns {string} - Paragraph XML
+ */
+function renderParagraph(runs, context, builder, state) {
+  let properties = '';
+  if (context.style) properties += `<w:pStyle w:val="${context.style}"/>`;
+  if (builder.pageBreak) properties += '<w:pageBreakBefore/>';
+  if (builder.marker) properties += `<w:numPr><w:ilvl w:val="${builder.marker.level}"/><w:numId w:val="${builder.marker.numId}"/></w:numPr>`;
+  if (context.rule) properties += '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>';
+  if (context.indent && !builder.marker) properties += `<w:ind w:left="${context.indent}"/>`;
+  if (context.align) properties += `<w:jc w:val="${context.align === 'justify' ? 'both' : context.align}"/>`;
+  builder.pageBreak = false;
+
+  const bookmarks = builder.bookmarks.splice(0).map(name => {
+    state.bookmarkCount++;
+    return `<w:bookmarkStart w:id="${state.bookmarkCount}" w:name="${name}"/><w:bookmarkEnd w:id="${state.bookmarkCount}"/>`;
+  }).join('');
+
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${bookmarks}${renderRuns(runs, state)}</w:p>`;
+}
+
+/**
+ * Render runs, grouping linked runs into hyperlinks
+ * @param {Object[]} runs - Runs
+ * @param {Object} state - Document state
+ * @returns {string} - Run XML
+ */
+function renderRuns(runs, state) {
+  let xml = '';
+  let index = 0;
+
+  while (index < runs.length) {
+    const href = runs[index].href;
+    let end = index + 1;
+    while (end < runs.length && runs[end].href === href) end++;
+
+    const content = runs.slice(index, end).map(run => run.xml ?? renderRun(run)).join('');
+    if (!href) {
+      xml += content;
+    } else if (href.startsWith('#')) {
+      xml += `<w:hyperlink w:anchor="${getBookmarkName(state, safeDecodeURIComponent(href.slice(1)))}" w:history="1">${content}</w:hyperlink>`;
+    } else {
+      xml += `<w:hyperlink r:id="${getLinkRelationship(state, href)}" w:history="1">${content}</w:hyperlink>`;
+    }
+    index = end;
+  }
+
+  return xml;
+}
+
+/**
+ * Render a run of text or a line break
+ * @param {Object} run - Text and its inline style
+ * @returns {string} - Run XML
+ */
+function renderRun(run) {
+  let properties = '';
+  if (run.href) properties += '<w:rStyle w:val="Hyperlink"/>';
+  if (run.mono) properties += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+  if (run.bold) properties += '<w:b/>';
+  if (run.italic) properties += '<w:i/>';
+  if (run.strike) properties += '<w:strike/>';
+  if (run.highlight) properties += '<w:highlight w:val="yellow"/>';
+  if (run.underline) properties += '<w:u w:val="single"/>';
+  if (run.vertAlign) properties += `<w:vertAlign w:val="${run.vertAlign}"/>`;
+
+  const content = run.break ? '<w:br/>' : `<w:t xml:space="preserve">${escapeXml(run.text)}</w:t>`;
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+/**
+ * Get the relationship of a web link, adding it the first time
+ * @param {Object} state - Document state
+ * @param {string} href - Link target
+ * @returns {string} - Relationship id
+ */
+function getLinkRelationship(state, href) {
+  if (!state.links.has(href)) {
+    state.links.set(href, addRelationship(state, 'hyperlink', href, true));
+  }
+  return state.links.get(href);
+}
+
+/**
+ * Add a relationship from the document part
+ * @param {Object} state - Document state
+ * @param {string} type - Relationship type, the last part of its URI
+ * @param {string} target - Target part, or URL for external targets
+ * @param {boolean} [external=false] - Whether the target is outside the package
+ * @returns {string} - Relationship id
+ */
+function addRelationship(state, type, target, external = false) {
+  state.relationships.push({ type, target, external });
+  return `rId${state.relationships.length}`;
+}
+
+/**
+ * Render a running header or footer part
+ * Left, center and right parts are placed with tab stops; page numbers and the current page title are Word fields
+ * @param {string} root - Root element, 'hdr' or 'ftr'
+ * @param {string} template - Running text template
+ * @param {string} title - Document title
+ * @param {Object} state - Document state
+ * @returns {{xml: string, rId: string}|null} - Part XML and its relationship, null if the template is empty
+ */
+function renderRunningText(root, template, title, state) {
+  const parts = splitRunningTemplate(template);
+  if (!Object.values(parts).some(Boolean)) return null;
+
+  const fields = { pageNumber: 'PAGE', pageCount: 'NUMPAGES', page: 'STYLEREF "heading 1"' };
+  const renderPart = part => part.split(/(\{\w+\})/).filter(Boolean).map(piece => {
+    const token = piece.match(/^\{(\w+)\}$/)?.[1];
+    if (!RUNNING_TOKENS.includes(token)) return renderRun({ text: piece });
+    if (token === 'title') return renderRun({ text: title });
+    return `<w:fldSimple w:instr=" ${escapeXml(fields[token])} ">${renderRun({ text: token === 'page' ? '' : '1' })}</w:fldSimple>`;
+  }).join('');
+
+  const width = Math.round(state.width * TWIPS_PER_MM);
+  const tab = '<w:r><w:tab/></w:r>';
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:${root} xmlns:w="${NS.w}" xmlns:r="${NS.r}"><w:p><w:pPr><w:pStyle w:val="${root === 'hdr' ? 'Header' : 'Footer'}"/>`
+    + `<w:tabs><w:tab w:val="center" w:pos="${Math.round(width / 2)}"/><w:tab w:val="right" w:pos="${width}"/></w:tabs></w:pPr>`
+    + `${renderPart(parts.left)}${tab}${renderPart(parts.center)}${tab}${renderPart(parts.right)}</w:p></w:${root}>`;
+
+  const target = root === 'hdr' ? 'header1.xml' : 'footer1.xml';
+  return { xml, rId: addRelationship(state, root === 'hdr' ? 'header' : 'footer', target) };
+}
+
+/**
+ * Render the section properties: paper, margins, gutter and running text
+ * @param {Object} geometry - Page geometry from getPageGeometry
+ * @param {boolean} cover - Whether the first page is a cover without header or footer
+ * @param {{rId: string}|null} header - Header part
+ * @param {{rId: string}|null} footer - Footer part
+ * @returns {string} - Section properties XML
+ */
+function renderSection({ width, height, margin, gutter }, cover, header, footer) {
+  const twips = mm => Math.round(mm * TWIPS_PER_MM);
+
+  let xml = '<w:sectPr>';
+  if (header) xml += `<w:headerReference w:type="default" r:id="${header.rId}"/>`;
+  if (footer) xml += `<w:footerReference w:type="default" r:id="${footer.rId}"/>`;
+  xml += `<w:pgSz w:w="${twips(width)}" w:h="${twips(height)}"${width > height ? ' w:orient="landscape"' : ''}/>`;
+  xml += `<w:pgMar w:top="${twips(margin.top)}" w:right="${twips(margin.right)}" w:bottom="${twips(margin.bottom)}" w:left="${twips(margin.left)}"`;
+  xml += ` w:header="${twips(margin.top / 2)}" w:footer="${twips(margin.bottom / 2)}" w:gutter="${twips(gutter)}"/>`;
+  if (cover) xml += '<w:titlePg/>';
+  xml += '</w:sectPr>';
+
+  return xml;
+}
+
+/**
+ * Render the main document part
+ * @param {string[]} body - Paragraphs and tables
+ * @param {string} section - Section properties
+ * @returns {string} - Document XML
+ */
+function renderDocument(body, section) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}"><w:body>${body.join('')}${section}</w:body></w:document>`;
+}
+
+/**
+ * Render the styles part: Word's built-in paragraph styles under their own names, so they stay
+ * recognized (and translated) in Word and LibreOffice
+ * @returns {string} - Styles XML
+ */
+function renderStyles() {
+  const paragraph = (id, name, properties, runProperties = '', extra = '') => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>`
+    + `<w:basedOn w:val="Normal"/><w:next w:val="Normal"/>${extra}<w:qFormat/><w:pPr>${properties}</w:pPr><w:rPr>${runProperties}</w:rPr></w:style>`;
+
+  const headingSizes = [32, 28, 26, 24, 22, 22];
+  const headings = headingSizes.map((size, index) => paragraph(
+    `Heading${index + 1}`, `heading ${index + 1}`,
+    `<w:keepNext/><w:keepLines/><w:spacing w:before="${index ? 200 : 360}" w:after="80"/><w:outlineLvl w:val="${index}"/>`,
+    `<w:rFonts w:asciiTheme="majorHAnsi" w:hAnsiTheme="majorHAnsi"/><w:b/>${index === 5 ? '<w:i/>' : ''}<w:sz w:val="${size}"/>`
+  )).join('');
+
+  const tocs = Array.from({ length: 6 }, (_, index) => paragraph(
+    `TOC${index + 1}`, `toc ${index + 1}`,
+    `<w:spacing w:after="60"/><w:ind w:left="${index * 240}"/>`, '', '<w:uiPriority w:val="39"/>'
+  )).join('');
+
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS.w}">`
+    + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:asciiTheme="minorHAnsi" w:hAnsiTheme="minorHAnsi" w:eastAsiaTheme="minorEastAsia" w:cstheme="minorBidi"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>'
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + paragraph('Title', 'Title', '<w:spacing w:before="1200" w:after="480"/><w:jc w:val="center"/>', '<w:rFonts w:asciiTheme="majorHAnsi" w:hAnsiTheme="majorHAnsi"/><w:b/><w:sz w:val="56"/>')
+    + headings
+    + paragraph('Quote', 'Quote', '<w:ind w:left="720" w:right="720"/>', '<w:i/>')
+    + paragraph('Code', 'HTML Preformatted', '<w:spacing w:after="0" w:line="240" w:lineRule="auto"/>', '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/>')
+    + paragraph('Caption', 'caption', '<w:jc w:val="center"/>', '<w:i/><w:sz w:val="18"/>')
+    + paragraph('Header', 'header', '<w:spacing w:after="0"/>', '<w:color w:val="555555"/><w:sz w:val="18"/>')
+    + paragraph('Footer', 'footer', '<w:spacing w:after="0"/>', '<w:color w:val="555555"/><w:sz w:val="18"/>')
+    + tocs
+    + '<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/><w:semiHidden/></w:style>'
+    + '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:basedOn w:val="DefaultParagraphFont"/><w:rPr><w:color w:val="1A0DAB"/><w:u w:val="single"/></w:rPr></w:style>'
+    + '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:semiHidden/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/>'
+    + '<w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+    + '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:pPr><w:spacing w:before="40" w:after="40" w:line="240" w:lineRule="auto"/></w:pPr>'
+    + `<w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr></w:style>`
+    + '</w:styles>';
+}
+
+/**
+ * Render the numbering part: one bulleted and one numbered list definition, and an instance per list
+ * @param {Array<{ordered: boolean, level: number, start: number}>} lists - Lists in document order
+ * @returns {string} - Numbering XML
+ */
+function renderNumbering(lists) {
+  const levels = ordered => Array.from({ length: 9 }, (_, level) => `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>`
+    + (ordered
+      ? `<w:numFmt w:val="${NUMBER_FORMATS[level % NUMBER_FORMATS.length]}"/><w:lvlText w:val="%${level + 1}."/>`
+      : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${BULLETS[level % BULLETS.length]}"/>`)
+    + `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${INDENT * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+
+  const instances = lists.map((list, index) => `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>`
+    + (list.ordered ? `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride>` : '')
+    + '</w:num>').join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${NS.w}">`
+    + `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>`
+    + `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>`
+    + instances
+    + '</w:numbering>';
+}
+
+/**
+ * Render the settings part; with a gutter, margins are mirrored so the gutter is always on the inside
+ * @param {{gutter: number}} geometry - Page geometry
+ * @returns {string} - Settings XML
+ */
+function renderSettings({ gutter }) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${NS.w}">${gutter ? '<w:mirrorMargins/>' : ''}<w:defaultTabStop w:val="720"/><w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>`;
+}
+
+/**
+ * Render the document properties Word shows under File > Info
+ * @param {{title: string, authors: string[], language: string}} metadata - Document properties
+ * @returns {string} - Core properties XML
+ */
+function renderCoreProperties(metadata) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`
+    + `<dc:title>${escapeXml(metadata.title)}</dc:title>`
+    + `<dc:creator>${escapeXml(metadata.authors.join('; '))}</dc:creator>`
+    + `<dc:language>${escapeXml(metadata.language)}</dc:language>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>`
+    + `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>`
+    + '</cp:coreProperties>';
+}
+
+/**
+ * Render the application properties
+ * @returns {string} - Extended properties XML
+ */
+function renderAppProperties() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>Intrinsics HTML Exporter</Application></Properties>`;
+}
+
+/**
+ * Render the content types of every part
+ * @param {string[]} parts - Part names
+ * @param {Array<{extension: string}>} media - Images
+ * @returns {string} - Content types XML
+ */
+function renderContentTypes(parts, media) {
+  const extensions = [...new Set(media.map(image => image.extension))];
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + extensions.map(extension => `<Default Extension="${extension}" ContentType="image/${extension}"/>`).join('')
+    + parts.map(part => `<Override PartName="/${part}" ContentType="${CONTENT_TYPES[`/${part}`]}"/>`).join('')
+    + '</Types>';
+}
+
+/**
+ * Render the package relationships, which point at the document and its properties
+ * @returns {string} - Relationships XML
+ */
+function renderPackageRelationships() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/>`
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+    + `<Relationship Id="rId3" Type="${REL}/extended-properties" Target="docProps/app.xml"/>`
+    + '</Relationships>';
+}
+
+/**
+ * Render the document part's relationships
+ * @param {Array<{type: string, target: string, external?: boolean}>} relationships - Relationships; ids follow their order
+ * @returns {string} - Relationships XML
+ */
+function renderRelationships(relationships) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + relationships.map((relationship, index) => `<Relationship Id="rId${index + 1}" Type="${REL}/${relationship.type}" Target="${escapeXml(relationship.target)}"${relationship.external ? ' TargetMode="External"' : ''}/>`).join('')
+    + '</Relationships>';
+}
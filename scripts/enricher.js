@@ -0,0 +1,431 @@
+/**
+ * Enricher - Resolves Foundry enrichers into static HTML
+ * Turns @UUID links, inline rolls and @Embed content into markup that works outside Foundry
+ */
+
+import { CONFIG } from './config.js';
+import { canViewDocument, canViewPage, stripSecrets } from './player-filter.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Get the TextEditor implementation for the running Foundry version
+ * @returns {typeof TextEditor} - TextEditor class
+ */
+export function getTextEditor() {
+  return foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+}
+
+/**
+ * Get the in-document anchor id for a journal page
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {string} - Anchor id
+ */
+export function getPageAnchor(page) {
+  return `page-${page.id}`;
+}
+
+/**
+ * Get the in-document anchor id for a book chapter
+ * @param {JournalEntry} journal - The journal making up the chapter
+ * @returns {string} - Anchor id
+ */
+export function getChapterAnchor(journal) {
+  return `chapter-${journal.id}`;
+}
+
+/**
+ * Create the shared context for one export run
+ * Maps the UUID of every exported document to the link that replaces it
+ * @param {Array<{journal: JournalEntry, pages: JournalEntryPage[], anchor?: string}>} entries - Journals and the pages being exported, with an optional anchor for the journal itself
+ * @param {Object} options - Context options
+ * @param {string} options.linkMode - How to print links to documents outside the export ('text' or 'footnote')
+ * @param {Map<string, string>} [options.linkTargets] - Links to documents exported to sibling files, keyed by UUID
+ * @param {{user: User, level: number}|null} options.viewer - Player the export is for, null for GM view
+ * @returns {Object} - Export context
+ */
+export function createExportContext(entries, { linkMode = 'footnote', linkTargets, viewer = null } = {}) {
+  const anchors = new Map(linkTargets);
+
+  for (const { journal, pages, anchor } of entries) {
+    for (const page of pages) {
+      anchors.set(page.uuid, `#${getPageAnchor(page)}`);
+    }
+
+    // Links to the journal itself jump to its chapter, or its first exported page
+    if (anchor) {
+      anchors.set(journal.uuid, `#${anchor}`);
+    } else if (pages.length) {
+      anchors.set(journal.uuid, `#${getPageAnchor(pages[0])}`);
+    }
+  }
+
+  // Everything the sanitizer removed, tagged with the page it came from
+  const removed = [];
+
+  // Links and embeds that could not become in-document links, for the export report
+  const unresolvedLinks = [];
+
+  return { anchors, linkMode, viewer, removed, unresolvedLinks };
+}
+
+/**
+ * Enrich a page's HTML and convert Foundry-native markup to static equivalents
+ * @param {string} html - Raw page HTML
+ * @param {JournalEntryPage} page - The page the HTML belongs to
+ * @param {Object} context - Export context from createExportContext
+ * @returns {Promise<string>} - Static HTML, with footnotes appended if any were created
+ */
+export async function enrichPageContent(html, page, context) {
+  if (!html) return '';
+
+  const state = { page, context, footnotes: [], depth: 0 };
+
+  const container = document.createElement('div');
+  container.innerHTML = await enrichRaw(html, page, state);
+
+  if (context.viewer) {
+    stripSecrets(container);
+  }
+
+  convertContentLinks(container, context, state);
+  convertInlineRolls(container);
+  convertInteractiveElements(container);
+
+  if (state.footnotes.length) {
+    container.appendChild(createFootnoteList(state));
+  }
+
+  return container.innerHTML;
+}
+
+/**
+ * Run Foundry's enrichment on an HTML string
+ * @param {string} html - Raw HTML
+ * @param {JournalEntryPage} page - Document used to resolve relative links
+ * @param {Object} state - Per-page enrichment state
+ * @returns {Promise<string>} - Enriched HTML
+ */
+async function enrichRaw(html, page, state) {
+  // Foundry v11 has no @Embed enricher, and Foundry's own doesn't know who the player view is for,
+  // so in either case inline embeds ourselves first, redacting the ones the player can't see
+  const ownEmbeds = game.release.generation < 12 || Boolean(state.context.viewer);
+  if (ownEmbeds) {
+    html = await inlineEmbeds(html, page, state);
+  }
+
+  // Player view never includes unrevealed secrets, whoever runs the export
+  const enrichOptions = {
+    secrets: state.context.viewer ? false : page.isOwner,
+    documents: true,
+    links: true,
+    rolls: true,
+    embeds: !ownEmbeds,
+    relativeTo: page
+  };
+
+  // The async flag is required on v11 and deprecated afterwards
+  if (game.release.generation < 12) {
+    enrichOptions.async = true;
+  }
+
+  return getTextEditor().enrichHTML(html, enrichOptions);
+}
+
+/**
+ * Replace @Embed[...] references with the enriched content they point to
+ * Embedded content is enriched like the page itself, so it loses its secrets in player view too
+ * @param {string} html - Raw HTML
+ * @param {JournalEntryPage} page - Document used to resolve relative UUIDs
+ * @param {Object} state - Per-page enrichment state
+ * @returns {Promise<string>} - HTML with embeds inlined
+ */
+async function inlineEmbeds(html, page, state) {
+  const pattern = /@Embed\[([^\]]+)\](?:\{([^}]*)\})?/g;
+  const matches = Array.from(html.matchAll(pattern));
+  if (!matches.length) return html;
+
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of matches) {
+    result += html.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    const uuid = match[1].trim().split(/\s+/)[0];
+    const label = match[2];
+    result += await renderEmbed(uuid, label, page, state);
+  }
+
+  return result + html.slice(lastIndex);
+}
+
+/**
+ * Render the content of an embedded document
+ * @param {string} uuid - UUID of the embedded document
+ * @param {string} [label] - Optional caption
+ * @param {JournalEntryPage} page - Document used to resolve relative UUIDs
+ * @param {Object} state - Per-page enrichment state
+ * @returns {Promise<string>} - Embedded HTML, or the caption as text if it cannot be resolved
+ */
+async function renderEmbed(uuid, label, page, state) {
+  const fallback = `<span class="content-embed broken">${escapeHtml(label || uuid)}</span>`;
+
+  const unresolved = reason => {
+    state.context.unresolvedLinks.push({ page: state.page.name, uuid, text: label || uuid, reason });
+  };
+
+  if (state.depth >= CONFIG.ENRICHMENT.maxEmbedDepth) {
+    console.warn('Intrinsics HTML Export | Embed depth limit reached at:', uuid);
+    unresolved('embed nested too deep');
+    return fallback;
+  }
+
+  let doc;
+  try {
+    doc = await fromUuid(uuid, { relative: page });
+  } catch (error) {
+    console.warn('Intrinsics HTML Export | Failed to resolve embed:', uuid, error);
+  }
+  if (!doc) {
+    unresolved('embedded document not found');
+    return fallback;
+  }
+
+  // Embedded pages need the same ownership as exported ones, since their whole content is shown
+  const visible = doc.documentName === 'JournalEntryPage'
+    ? canViewPage(doc, state.context.viewer)
+    : canViewDocument(doc.uuid, state.context.viewer);
+  if (!visible) {
+    state.context.unresolvedLinks.push({ page: state.page.name, uuid, text: '[redacted]', reason: 'embedded document hidden from the player, redacted', redacted: true });
+    return '<span class="content-embed redacted">[redacted]</span>';
+  }
+
+  const caption = label || doc.name;
+  let body = '';
+
+  if (doc.type === 'image' && doc.src) {
+    body = `<img src="${escapeHtml(doc.src)}" alt="${escapeHtml(doc.image?.caption || caption)}">`;
+  } else if (doc.text?.content) {
+    state.depth++;
+    try {
+      body = await enrichRaw(doc.text.content, doc, state);
+    } finally {
+      state.depth--;
+    }
+  } else {
+    unresolved('embedded document has no content to show');
+    return fallback;
+  }
+
+  return `<figure class="content-embed">${body}<figcaption>${escapeHtml(caption)}</figcaption></figure>`;
+}
+
+/**
+ * Convert enriched content links
+ * Links to exported pages become anchors, everything else becomes plain text (optionally footnoted).
+ * Both keep the target in data-uuid and data-hash, so the importer can restore the @UUID link.
+ * @param {HTMLElement} container - Enriched content
+ * @param {Object} context - Export context
+ * @param {Object} state - Per-page enrichment state
+ */
+function convertContentLinks(container, context, state) {
+  for (const link of container.querySelectorAll('a.content-link')) {
+    const uuid = link.dataset.uuid;
+    const label = link.textContent.trim();
+
+    // Even the link text of a hidden document can be a spoiler
+    if (uuid && !canViewDocument(uuid, context.viewer)) {
+      context.unresolvedLinks.push({ page: state.page.name, uuid, text: '[redacted]', reason: 'hidden from the player, redacted', redacted: true });
+      const redacted = document.createElement('span');
+      redacted.className = 'document-reference redacted';
+      redacted.textContent = '[redacted]';
+      link.replaceWith(redacted);
+      continue;
+    }
+
+    const anchor = uuid ? context.anchors.get(uuid) : null;
+
+    if (anchor) {
+      const internal = document.createElement('a');
+      internal.className = 'document-link';
+
+      // Links to a heading use the heading's page-prefixed anchor (see addHeadingAnchors)
+      const hash = link.dataset.hash;
+      internal.href = hash && link.dataset.type === 'JournalEntryPage' ? `${anchor}-${hash}` : anchor;
+      internal.textContent = label;
+      setLinkTarget(internal, link);
+      link.replaceWith(internal);
+      continue;
+    }
+
+    const text = document.createElement('span');
+    text.className = 'document-reference';
+    text.textContent = label;
+    setLinkTarget(text, link);
+
+    const broken = link.classList.contains('broken');
+    if (broken) {
+      text.classList.add('broken');
+    }
+
+    link.replaceWith(text);
+
+    const footnote = context.linkMode === 'footnote' && uuid && !broken;
+    if (footnote) {
+      addFootnote(text, uuid, describeLink(link, label), state);
+    }
+
+    context.unresolvedLinks.push({
+      page: state.page.name,
+      uuid: uuid ?? null,
+      text: label,
+      reason: broken ? 'target document not found' : `not part of the export, printed as ${footnote ? 'a footnote' : 'text'}`
+    });
+  }
+}
+
+/**
+ * Copy a content link's target onto the element replacing it
+ * @param {HTMLElement} element - Converted link
+ * @param {HTMLAnchorElement} link - Enriched content link
+ */
+function setLinkTarget(element, link) {
+  if (link.dataset.uuid) element.dataset.uuid = link.dataset.uuid;
+  if (link.dataset.hash) element.dataset.hash = link.dataset.hash;
+}
+
+/**
+ * Build a human readable description of a content link target
+ * @param {HTMLAnchorElement} link - Enriched content link
+ * @param {string} label - Link text
+ * @returns {string} - Description such as "Actor: Goblin Boss"
+ */
+function describeLink(link, label) {
+  // Foundry's own CONFIG, shadowed by the module config import
+  const typeLabel = globalThis.CONFIG[link.dataset.type]?.documentClass?.metadata?.label;
+  const type = typeLabel ? game.i18n.localize(typeLabel) : link.dataset.type;
+
+  let description = type ? `${type}: ${label}` : label;
+
+  const pack = link.dataset.pack && game.packs.get(link.dataset.pack);
+  if (pack) {
+    description += ` (${pack.title})`;
+  }
+
+  return description;
+}
+
+/**
+ * Attach a footnote reference after an element
+ * @param {HTMLElement} element - Element to annotate
+ * @param {string} uuid - Target document UUID (repeated targets share one footnote)
+ * @param {string} text - Footnote text
+ * @param {Object} state - Per-page enrichment state
+ */
+function addFootnote(element, uuid, text, state) {
+  let index = state.footnotes.findIndex(note => note.uuid === uuid);
+  if (index === -1) {
+    state.footnotes.push({ uuid, text });
+    index = state.footnotes.length - 1;
+  }
+
+  const number = index + 1;
+  const ref = document.createElement('sup');
+  ref.className = 'export-footnote-ref';
+  const link = document.createElement('a');
+  link.href = `#fn-${state.page.id}-${number}`;
+  link.textContent = String(number);
+  ref.appendChild(link);
+  element.after(ref);
+}
+
+/**
+ * Create the footnote list for a page
+ * @param {Object} state - Per-page enrichment state
+ * @returns {HTMLElement} - Ordered list of footnotes
+ */
+function createFootnoteList(state) {
+  const list = document.createElement('ol');
+  list.className = 'export-footnotes';
+
+  state.footnotes.forEach((note, index) => {
+    const item = document.createElement('li');
+    item.id = `fn-${state.page.id}-${index + 1}`;
+    item.textContent = note.text;
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Replace inline roll buttons with their printed formula
+ * The formula, label and roll mode stay in data attributes, so the importer can restore the roll
+ * @param {HTMLElement} container - Enriched content
+ */
+function convertInlineRolls(container) {
+  for (const roll of container.querySelectorAll('a.inline-roll')) {
+    const formula = getRollFormula(roll);
+    const label = roll.textContent.trim();
+
+    // Immediate rolls show their result as the label, which is meaningless on paper
+    const isResult = roll.classList.contains('inline-result');
+
+    const text = document.createElement('span');
+    text.className = 'inline-roll-formula';
+    if (!formula) {
+      text.textContent = label;
+    } else if (isResult || !label || label === formula) {
+      text.textContent = formula;
+    } else {
+      text.textContent = `${label} (${formula})`;
+    }
+
+    if (formula) {
+      text.dataset.formula = formula;
+      if (isResult) {
+        text.dataset.immediate = 'true';
+      } else if (label && label !== formula) {
+        text.dataset.label = label;
+      }
+      if (roll.dataset.mode) text.dataset.mode = roll.dataset.mode;
+      if (roll.dataset.flavor) text.dataset.flavor = roll.dataset.flavor;
+    }
+
+    roll.replaceWith(text);
+  }
+}
+
+/**
+ * Read the formula from an enriched inline roll
+ * @param {HTMLAnchorElement} roll - Inline roll element
+ * @returns {string|null} - Roll formula
+ */
+function getRollFormula(roll) {
+  if (roll.dataset.formula) {
+    return roll.dataset.formula;
+  }
+
+  if (roll.dataset.roll) {
+    try {
+      return JSON.parse(unescape(roll.dataset.roll)).formula;
+    } catch (error) {
+      console.warn('Intrinsics HTML Export | Could not parse inline roll data', error);
+    }
+  }
+
+  return roll.dataset.tooltip || null;
+}
+
+/**
+ * Replace remaining Foundry-only interactive links (system enrichers, buttons) with plain text
+ * @param {HTMLElement} container - Enriched content
+ */
+function convertInteractiveElements(container) {
+  for (const link of container.querySelectorAll('a:not([href]), a[href="#"]')) {
+    const text = document.createElement('span');
+    text.className = 'enriched-text';
+    text.textContent = link.textContent.trim();
+    link.replaceWith(text);
+  }
+}
@@ -0,0 +1,429 @@
+/**
+ * EPUB Writer - Packages exported HTML as an EPUB 3 book for e-readers
+ * Every journal page becomes its own XHTML chapter, the table of contents becomes the navigation document,
+ * and images and fonts are packaged as files next to them
+ */
+
+import { createZip } from './zip-writer.js';
+import { escapeXml, safeDecodeURIComponent } from './utils.js';
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Media types of packaged files, by extension
+ */
+const MEDIA_TYPES = {
+  xhtml: 'application/xhtml+xml',
+  css: 'text/css',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/mp4',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+};
+
+/**
+ * Top-level elements that become a chapter of their own, and the epub:type of that chapter
+ */
+const SECTION_TYPES = {
+  'export-cover': 'cover',
+  'book-title-page': 'titlepage',
+  'book-chapter': 'part',
+  'journal-category': 'chapter',
+  'journal-page': 'chapter'
+};
+
+/**
+ * Attributes and elements that load a file
+ */
+const SOURCE_SELECTOR = 'img, image, source, audio, video, track, iframe, [style]';
+
+/**
+ * A CSS url() value; the second group is the URL
+ */
+const URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+/**
+ * Package exported content as an EPUB 3 file
+ * @param {string} title - Book title
+ * @param {string} html - Export content with bundled assets (see extractJournalContent)
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.theme] - Print theme id, for the body class
+ * @param {boolean} [options.preserveColors] - Whether colors were preserved, for the body class
+ * @param {boolean} [options.toc] - Also show the navigation document as a page where the table of contents was
+ * @param {string} options.styles - Finished stylesheet; its fonts point into options.fonts
+ * @param {Object} options.assets - Asset bundle holding the images, audio and video the content points at
+ * @param {Object} [options.fonts] - Asset bundle holding the embedded fonts
+ * @param {Array<{id: string, text: string, depth: number}>} options.navigation - Table of contents entries, in document order
+ * @param {{identifier: string, title: string, authors: string[], publisher: string, language: string}} options.metadata - Publication metadata
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @returns {Promise<Blob>} - EPUB file
+ */
+export async function createEPUB(title, html, options) {
+  const { metadata, assets, fonts = null, navigation = [] } = options;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const packaged = new Set([...assets.files.keys(), ...(fonts?.files.keys() ?? [])]);
+  const sections = splitSections(template.content);
+  for (const section of sections) {
+    section.properties = cleanReferences(section.element, packaged);
+    section.title = section.element.querySelector('h1, h2, h3, h4, h5, h6')?.textContent.trim() ?? '';
+  }
+
+  // Ids now live in separate files, so in-document links need the file they point into
+  const targets = new Map();
+  for (const section of sections) {
+    for (const element of [section.element, ...section.element.querySelectorAll('[id]')]) {
+      if (element.id && !targets.has(element.id)) targets.set(element.id, section.file);
+    }
+  }
+  for (const section of sections) {
+    resolveLinks(section, targets);
+  }
+
+  // Without table of contents entries, every titled chapter is listed
+  let navEntries = navigation
+    .filter(entry => entry.text && targets.has(entry.id))
+    .map(entry => ({ href: `${targets.get(entry.id)}#${encodeURIComponent(entry.id)}`, text: entry.text, depth: entry.depth }));
+  if (!navEntries.length) {
+    navEntries = sections
+      .filter(section => section.title && section.type !== 'cover')
+      .map(section => ({ href: section.file, text: section.title, depth: 0 }));
+  }
+  if (!navEntries.length) {
+    navEntries = [{ href: sections[0].file, text: title, depth: 0 }];
+  }
+
+  // The navigation document is listed in the reading order only where the table of contents was asked for
+  const spine = sections.map(section => section.file);
+  if (options.toc) {
+    const position = sections.findIndex(section => section.type !== 'cover' && section.type !== 'titlepage');
+    spine.splice(position < 0 ? spine.length : position, 0, 'nav.xhtml');
+  }
+
+  const bodyClasses = [`theme-${options.theme ?? 'clean'}`];
+  if (options.preserveColors) {
+    bodyClasses.push('preserve-colors');
+  }
+
+  const coverImage = sections.find(section => section.type === 'cover')?.element.querySelector('.export-cover-image')?.getAttribute('src') ?? null;
+
+  const manifest = [
+    { id: 'nav', href: 'nav.xhtml', type: MEDIA_TYPES.xhtml, properties: ['nav'] },
+    { id: 'styles', href: 'styles.css', type: MEDIA_TYPES.css, properties: [] },
+    ...sections.map((section, index) => ({ id: `section-${index + 1}`, href: section.file, type: MEDIA_TYPES.xhtml, properties: section.properties })),
+    ...[...assets.files, ...(fonts?.files ?? [])].map(([path, blob], index) => ({
+      id: `asset-${index + 1}`,
+      href: path,
+      type: getMediaType(path, blob),
+      properties: path === coverImage ? ['cover-image'] : []
+    }))
+  ];
+
+  options.signal?.throwIfAborted();
+
+  const entries = [
+    // The mimetype must come first and uncompressed, so readers can recognize the file
+    { name: 'mimetype', data: 'application/epub+zip', compress: false },
+    { name: 'META-INF/container.xml', data: renderContainer() },
+    { name: 'OEBPS/content.opf', data: renderPackage(metadata, manifest, spine, coverImage) },
+    { name: 'OEBPS/nav.xhtml', data: renderDocument(metadata.title, renderNavigation(navEntries), bodyClasses, metadata.language) },
+    { name: 'OEBPS/styles.css', data: packageStylesheet(options.styles, packaged) },
+    ...sections.map(section => ({
+      name: `OEBPS/${section.file}`,
+      data: renderDocument(section.title || title, new XMLSerializer().serializeToString(section.element), bodyClasses, metadata.language, section.type)
+    })),
+    // Images, audio, video and fonts are already compressed
+    ...[...assets.files, ...(fonts?.files ?? [])].map(([path, blob]) => ({ name: `OEBPS/${path}`, data: blob, compress: false }))
+  ];
+
+  const zip = await createZip(entries);
+  return new Blob([zip], { type: 'application/epub+zip' });
+}
+
+/**
+ * Split the export content into chapters
+ * The cover, title page, book chapter dividers, category headings and journal pages each get a file;
+ * the generated table of contents is dropped in favour of the navigation document
+ * @param {DocumentFragment} root - Export content
+ * @returns {Array<{file: string, element: Element, type: string}>} - Chapters in reading order
+ */
+function splitSections(root) {
+  const sections = [];
+  const add = (element, type) => {
+    const number = sections.filter(section => section.type !== 'cover').length + 1;
+    const file = type === 'cover' ? 'cover.xhtml' : `section-${String(number).padStart(3, '0')}.xhtml`;
+    sections.push({ file, element, type });
+  };
+
+  let loose = null;
+  for (const node of [...root.childNodes]) {
+    if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) continue;
+
+    const type = node.nodeType === Node.ELEMENT_NODE
+      ? Object.entries(SECTION_TYPES).find(([name]) => node.classList.contains(name))?.[1]
+      : null;
+
+    if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('export-toc')) {
+      loose = null;
+      continue;
+    }
+
+    if (!type) {
+      // Anything between chapters stays with the content around it
+      if (!loose) {
+        loose = document.createElement('div');
+        add(loose, 'chapter');
+      }
+      loose.appendChild(node);
+      continue;
+    }
+    loose = null;
+
+    if (node.classList.contains('journal-category')) {
+      // The category heading gets a file of its own, then each of its pages
+      const pages = [...node.children].filter(child => child.classList.contains('journal-page'));
+      pages.forEach(page => page.remove());
+      add(node, type);
+      pages.forEach(page => add(page, 'chapter'));
+      continue;
+    }
+
+    add(node, type);
+  }
+
+  return sections;
+}
+
+/**
+ * Remove file references an EPUB can't hold: images that stayed on this server, frames and relative links outside the package
+ * Remote audio and video are allowed, but the chapter must declare them
+ * @param {Element} element - Chapter content
+ * @param {Set<string>} packaged - Paths of the packaged files
+ * @returns {string[]} - Manifest properties of the chapter
+ */
+function cleanReferences(element, packaged) {
+  const properties = new Set();
+  const isLocal = url => !url || url.startsWith('data:') || url.startsWith('#') || packaged.has(url);
+
+  for (const source of element.querySelectorAll(SOURCE_SELECTOR)) {
+    const tag = source.localName.toLowerCase();
+
+    if ((tag === 'audio' || tag === 'video' || source.closest('audio, video')) && !isLocal(source.getAttribute('src'))) {
+      properties.add('remote-resources');
+    } else if (tag === 'iframe') {
+      // Frames would load this server or the web; keep a link to what they showed
+      const link = document.createElement('a');
+      link.href = source.getAttribute('src') ?? '';
+      link.textContent = source.getAttribute('title') || link.href;
+      source.replaceWith(link);
+      continue;
+    } else if (tag === 'img' && !isLocal(source.getAttribute('src'))) {
+      source.replaceWith(source.getAttribute('alt') ?? '');
+      continue;
+    } else if (tag === 'image' && !isLocal(source.getAttribute('href') ?? source.getAttribute('xlink:href'))) {
+      source.remove();
+      continue;
+    }
+
+    if (source.hasAttribute('poster') && !isLocal(source.getAttribute('poster'))) {
+      source.removeAttribute('poster');
+    }
+
+    if (source.hasAttribute('srcset') && source.getAttribute('srcset').split(',').some(candidate => !isLocal(candidate.trim().split(/\s+/)[0]))) {
+      if (tag === 'source') {
+        source.remove();
+        continue;
+      }
+      source.removeAttribute('srcset');
+    }
+
+    if (source.getAttribute('style')?.includes('url(')) {
+      source.setAttribute('style', source.getAttribute('style').replace(URL_PATTERN, (match, quote, url) => isLocal(url) ? match : 'none'));
+    }
+  }
+
+  for (const link of element.querySelectorAll('a[href]')) {
+    const href = link.getAttribute('href');
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#') && !packaged.has(href.split('#')[0])) {
+      // Other exported files aren't in this book
+      const text = document.createElement('span');
+      text.append(...link.childNodes);
+      link.replaceWith(text);
+    }
+  }
+
+  if (element.querySelector('svg')) {
+    properties.add('svg');
+  }
+
+  return [...properties];
+}
+
+/**
+ * Point in-document links at the chapter file holding their target
+ * @param {{file: string, element: Element}} section - Chapter
+ * @param {Map<string, string>} targets - Chapter file of every id
+ */
+function resolveLinks({ file, element }, targets) {
+  for (const link of element.querySelectorAll('a[href^="#"]')) {
+    const id = safeDecodeURIComponent(link.getAttribute('href').slice(1));
+    const target = targets.get(id);
+    if (target && target !== file) {
+      link.setAttribute('href', `${target}#${encodeURIComponent(id)}`);
+    }
+  }
+}
+
+/**
+ * Render the navigation document's table of contents
+ * Entries nest by depth; a depth can only be one deeper than the entry before it
+ * @param {Array<{href: string, text: string, depth: number}>} entries - Table of contents entries, at least one
+ * @returns {string} - Navigation markup
+ */
+function renderNavigation(entries) {
+  const minDepth = Math.min(...entries.map(entry => entry.depth));
+
+  let list = '';
+  let open = -1;
+  for (const entry of entries) {
+    const depth = Math.min(entry.depth - minDepth, open + 1);
+    if (depth > open) {
+      list += '<ol>';
+    } else {
+      list += '</li>';
+      for (; open > depth; open--) list += '</ol></li>';
+    }
+    list += `<li><a href="${escapeXml(entry.href)}">${escapeXml(entry.text)}</a>`;
+    open = depth;
+  }
+  for (; open >= 0; open--) list += '</li></ol>';
+
+  return `<nav epub:type="toc" id="toc" class="export-toc">
+    <h1 class="export-toc-title">Contents</h1>
+    ${list.replace('<ol>', '<ol class="export-toc-list">')}
+  </nav>`;
+}
+
+/**
+ * Render an XHTML content document
+ * @param {string} title - Document title
+ * @param {string} body - Serialized XHTML body content
+ * @param {string[]} bodyClasses - Classes of the body, for the theme
+ * @param {string} language - BCP 47 language tag
+ * @param {string} [type] - epub:type of the chapter
+ * @returns {string} - XHTML document
+ */
+function renderDocument(title, body, bodyClasses, language, type = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML_NS}" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(language)}" xml:lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body class="${escapeXml(bodyClasses.join(' '))}"${type ? ` epub:type="${type}"` : ''}>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render META-INF/container.xml, which points readers at the package document
+ * @returns {string} - Container XML
+ */
+function renderContainer() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+}
+
+/**
+ * Render the package document: metadata, every file in the book and the reading order
+ * @param {{identifier: string, title: string, authors: string[], publisher: string, language: string}} metadata - Publication metadata
+ * @param {Array<{id: string, href: string, type: string, properties: string[]}>} manifest - Packaged files
+ * @param {string[]} spine - Chapter files in reading order
+ * @param {string|null} coverImage - Path of the cover image
+ * @returns {string} - Package XML
+ */
+function renderPackage(metadata, manifest, spine, coverImage) {
+  // dcterms:modified must be given to the second, in UTC
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const ids = new Map(manifest.map(item => [item.href, item.id]));
+  const coverId = coverImage ? ids.get(coverImage) : null;
+
+  const items = manifest.map(item => {
+    const properties = item.properties.length ? ` properties="${item.properties.join(' ')}"` : '';
+    return `    <item id="${item.id}" href="${escapeXml(encodeURI(item.href))}" media-type="${item.type}"${properties}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(metadata.language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(metadata.identifier)}</dc:identifier>
+    <dc:title>${escapeXml(metadata.title)}</dc:title>
+${metadata.authors.map(author => `    <dc:creator>${escapeXml(author)}</dc:creator>\n`).join('')}    <dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>
+    <dc:language>${escapeXml(metadata.language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>${coverId ? `\n    <meta name="cover" content="${coverId}"/>` : ''}
+  </metadata>
+  <manifest>
+${items.join('\n')}
+  </manifest>
+  <spine>
+${spine.map(file => `    <itemref idref="${ids.get(file)}"/>`).join('\n')}
+  </spine>
+</package>`;
+}
+
+/**
+ * Drop stylesheet references to this server; fonts that could not be packaged fall back to an installed copy
+ * @param {string} css - Export stylesheet
+ * @param {Set<string>} packaged - Paths of the packaged files
+ * @returns {string} - Stylesheet for the book
+ */
+function packageStylesheet(css, packaged) {
+  const isPackaged = url => url.startsWith('data:') || packaged.has(url);
+
+  // Font sources are a list: drop the ones on this server, and the whole rule if nothing is left
+  const fonts = css.replace(/@font-face\s*\{[^}]*\}/g, rule => {
+    if ([...rule.matchAll(URL_PATTERN)].every(match => isPackaged(match[2]))) return rule;
+
+    const src = rule.match(/src:\s*([^;}]*)/)?.[1];
+    const sources = src?.match(/(?:local|url)\([^)]*\)(?:\s*format\([^)]*\))?/g) ?? [];
+    const kept = sources.filter(source => source.startsWith('local(') || isPackaged(source.match(/url\(\s*(["']?)([^"')]+)\1/)[2]));
+    return kept.length ? rule.replace(src, kept.join(', ')) : '';
+  });
+
+  return fonts.replace(URL_PATTERN, (match, quote, url) => isPackaged(url) ? match : 'none');
+}
+
+/**
+ * Get the media type of a packaged file
+ * @param {string} path - Path inside the package
+ * @param {Blob} blob - File data
+ * @returns {string} - Media type
+ */
+function getMediaType(path, blob) {
+  const extension = path.split('.').pop().toLowerCase();
+  return MEDIA_TYPES[extension] ?? (blob.type || 'application/octet-stream');
+}
@@ -0,0 +1,484 @@
+/**
+ * Export Dialog - Asks for export options before a journal is exported
+ * The last choices are remembered per user in a user flag
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { REMEMBERED_OPTIONS, validateExportOptions } from './export-options.js';
+import { REPORT_FORMATS } from './export-report.js';
+import { IMAGE_DPI, IMAGE_FORMATS } from './image-optimizer.js';
+import { ORIENTATIONS, RUNNING_TOKENS } from './page-layout.js';
+import { getJournalSections } from './pdf-generator.js';
+import { EXPORT_MODES, canViewPage, resolveViewer } from './player-filter.js';
+import { getFilePicker } from './server-files.js';
+import { DESTINATIONS, SERVER_CONFLICTS, SHARE_MODES, getDefaultServerFolder, getPublishableFormats } from './server-publisher.js';
+import { getThemeChoices, hasTheme } from './themes.js';
+import { TOC_DEPTHS } from './toc.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Show the export options dialog
+ * Players get the same dialog without the mode and player choices; they always export their own player view
+ * @param {string} name - Name of the journal, folder or pack being exported
+ * @param {JournalEntry} [journal] - Journal being exported; adds the page selection
+ * @returns {Promise<Object|null>} - Export options, or null if the dialog was cancelled
+ */
+export async function promptExportOptions(name, journal = null) {
+  const defaults = getDefaults();
+
+  let content = '<form class="intrinsics-export-options">';
+
+  if (game.user.isGM) {
+    content += `
+      <div class="form-group">
+        <label>Export Mode</label>
+        <select name="mode">${renderOptions(EXPORT_MODES, defaults.mode)}</select>
+      </div>
+      <div class="form-group">
+        <label>Player</label>
+        <select name="userId">
+          <option value="">Current user</option>
+          ${renderOptions(getPlayerChoices(), defaults.userId)}
+        </select>
+        <p class="notes">Player view includes only the pages this player can see, and removes secrets and links to hidden documents.</p>
+      </div>`;
+  }
+
+  if (journal) {
+    content += `
+      <fieldset class="export-pages">
+        <legend>Pages</legend>
+        ${renderPageList(journal)}
+      </fieldset>`;
+  }
+
+  const paperSizes = Object.fromEntries(Object.entries(CONFIG.PAPER_SIZES).map(([key, size]) => [key, size.label]));
+  paperSizes.custom = 'Custom';
+  const outputFormats = Object.fromEntries(Object.entries(CONFIG.OUTPUT_FORMATS).map(([key, format]) => [key, format.label]));
+
+  content += `
+      <div class="form-group">
+        <label>Format</label>
+        <select name="outputFormat">${renderOptions(outputFormats, defaults.outputFormat)}</select>
+        <p class="notes">Themes, colors, system styles and fonts don't apply to PDF, Word or Markdown. PDF, EPUB, Word and Markdown exports always include their images; page layout doesn't apply to EPUB or Markdown.</p>
+      </div>
+      <div class="form-group">
+        <label>Theme</label>
+        <select name="theme">${renderOptions(getThemeChoices(), defaults.theme)}</select>
+      </div>
+      <div class="form-group">
+        <label>Paper Size</label>
+        <select name="paperSize">${renderOptions(paperSizes, defaults.paperSize)}</select>
+        <select name="orientation">${renderOptions(ORIENTATIONS, defaults.orientation)}</select>
+      </div>
+      <div class="form-group">
+        <label>Custom Size (mm)</label>
+        <input type="number" name="paperWidth" value="${defaults.paperWidth}" min="50" max="1000" step="1" title="Width">
+        <input type="number" name="paperHeight" value="${defaults.paperHeight}" min="50" max="1000" step="1" title="Height">
+      </div>
+      <div class="form-group">
+        <label>Margins (mm)</label>
+        <input type="number" name="marginTop" value="${defaults.marginTop}" min="0" max="100" step="1" title="Top">
+        <input type="number" name="marginRight" value="${defaults.marginRight}" min="0" max="100" step="1" title="Right (outside)">
+        <input type="number" name="marginBottom" value="${defaults.marginBottom}" min="0" max="100" step="1" title="Bottom">
+        <input type="number" name="marginLeft" value="${defaults.marginLeft}" min="0" max="100" step="1" title="Left (inside)">
+        <input type="number" name="gutter" value="${defaults.gutter}" min="0" max="50" step="1" title="Gutter">
+        <p class="notes">Top, right, bottom, left and gutter. A gutter widens the inside margin for binding and mirrors the margins on left-hand pages.</p>
+      </div>
+      <div class="form-group">
+        <label>Header</label>
+        <input type="text" name="header" value="${escapeHtml(defaults.header)}">
+      </div>
+      <div class="form-group">
+        <label>Footer</label>
+        <input type="text" name="footer" value="${escapeHtml(defaults.footer)}">
+        <p class="notes">Tokens: ${RUNNING_TOKENS.map(token => `{${token}}`).join(', ')}. Separate left, center and right parts with |.</p>
+      </div>
+      <div class="form-group">
+        <label>Cover Page</label>
+        <input type="checkbox" name="cover" ${defaults.cover ? 'checked' : ''}>
+        <input type="text" name="coverImage" value="${escapeHtml(defaults.coverImage)}" placeholder="Cover image">
+        <button type="button" class="export-cover-browse" title="Browse"><i class="fas fa-file-import"></i></button>
+      </div>
+      <div class="form-group">
+        <label>Embed Images</label>
+        <input type="checkbox" name="embedImages" ${defaults.embedImages ? 'checked' : ''}>
+        <p class="notes">Embedded images work offline but make the file larger. Otherwise images link to this server.</p>
+      </div>
+      <div class="form-group">
+        <label>Image Resolution</label>
+        <select name="imageDPI">${renderOptions(IMAGE_DPI, defaults.imageDPI)}</select>
+      </div>
+      <div class="form-group">
+        <label>Image Format</label>
+        <select name="imageFormat">${renderOptions(IMAGE_FORMATS, defaults.imageFormat)}</select>
+        <input type="number" name="imageQuality" value="${defaults.imageQuality}" min="0.1" max="1" step="0.05" title="Quality">
+        <p class="notes">Transparent images stay PNG. Lower quality gives smaller files.</p>
+      </div>
+      <div class="form-group">
+        <label>Preserve Colors</label>
+        <input type="checkbox" name="preserveColors" ${defaults.preserveColors ? 'checked' : ''}>
+        <p class="notes">Keep colored text and light backgrounds that stay readable on white paper. Otherwise all text prints black.</p>
+      </div>
+      <div class="form-group">
+        <label>System Styles</label>
+        <input type="checkbox" name="harvestStyles" ${defaults.harvestStyles ? 'checked' : ''}>
+        <p class="notes">Copy the game system and module styles the content uses, such as callouts and stat blocks.</p>
+      </div>
+      <div class="form-group">
+        <label>Embed Fonts</label>
+        <input type="checkbox" name="embedFonts" ${defaults.embedFonts ? 'checked' : ''}>
+        <p class="notes">Include the fonts the content uses so the document looks the same everywhere.</p>
+      </div>
+      <div class="form-group">
+        <label>Table of Contents</label>
+        <input type="checkbox" name="toc" ${defaults.toc ? 'checked' : ''}>
+        <select name="tocDepth">${renderOptions(TOC_DEPTHS, defaults.tocDepth)}</select>
+      </div>
+      <div class="form-group">
+        <label>Filename</label>
+        <input type="text" name="filenameTemplate" value="${escapeHtml(defaults.filenameTemplate)}">
+        <p class="notes">Tokens: {name}, {world}, {date}, {mode}, {player}</p>
+      </div>
+      <div class="form-group">
+        <label>Export Report</label>
+        <select name="reportFormat">${renderOptions(REPORT_FORMATS, defaults.reportFormat)}</select>
+      </div>`;
+
+  // Publishing uploads the file, which needs the upload permission
+  if (game.user.can('FILES_UPLOAD')) {
+    const publishable = getPublishableFormats().map(key => CONFIG.OUTPUT_FORMATS[key].label);
+    content += `
+      <div class="form-group">
+        <label>Save To</label>
+        <select name="destination">${renderOptions(DESTINATIONS, defaults.destination)}</select>
+        <p class="notes export-server-refused">Foundry doesn't accept uploads of this format, so it can only be downloaded.</p>
+      </div>
+      <div class="form-group export-server">
+        <label>Server Folder</label>
+        <input type="text" name="serverFolder" value="${escapeHtml(defaults.serverFolder)}">
+        <button type="button" class="export-folder-browse" title="Browse"><i class="fas fa-folder-open"></i></button>
+        <p class="notes">Foundry only accepts uploads of some file types. Formats that can be published: ${escapeHtml(publishable.join(', ') || 'none')}. HTML is published as an XHTML page (.xml), which browsers open like the HTML file.</p>
+      </div>
+      <div class="form-group export-server">
+        <label>Existing File</label>
+        <select name="serverConflict">${renderOptions(SERVER_CONFLICTS, defaults.serverConflict)}</select>
+      </div>
+      <div class="form-group export-server">
+        <label>Chat Message</label>
+        <select name="shareChat">${renderOptions(SHARE_MODES, defaults.shareChat)}</select>
+      </div>
+      <fieldset class="export-server export-share-users">
+        <legend>Whisper To</legend>
+        ${renderUserList(defaults.shareUsers)}
+      </fieldset>`;
+  }
+
+  content += '</form>';
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `Export "${name}"`,
+      content,
+      buttons: {
+        export: {
+          icon: '<i class="fas fa-file-export"></i>',
+          label: 'Export',
+          callback: html => {
+            const options = readForm(html);
+            try {
+              if (options.pages?.length === 0) {
+                throw new Error('Select at least one page to export');
+              }
+              validateExportOptions(options);
+            } catch (error) {
+              ui.notifications.error(error.message);
+              resolve(null);
+              return;
+            }
+
+            // The dialog closes as soon as this returns, so the choices are saved without holding up the export
+            resolve(options);
+            rememberOptions(options);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Cancel',
+          callback: () => resolve(null)
+        }
+      },
+      default: 'export',
+      render: html => activateListeners(html[0] ?? html),
+      close: () => resolve(null)
+    }, { width: 420 }).render(true);
+  });
+}
+
+/**
+ * Get the values the dialog starts with: the user's last choices, then the module settings
+ * @returns {Object} - Default export options
+ */
+function getDefaults() {
+  const remembered = { ...game.user.getFlag(MODULE_ID, 'exportOptions') };
+
+  // The module that registered the remembered theme may have been disabled since
+  if (remembered.theme && !hasTheme(remembered.theme)) {
+    delete remembered.theme;
+  }
+
+  return {
+    outputFormat: game.settings.get(MODULE_ID, 'outputFormat'),
+    mode: game.settings.get(MODULE_ID, 'exportMode'),
+    userId: '',
+    theme: 'clean',
+    embedImages: true,
+    imageDPI: game.settings.get(MODULE_ID, 'imageDPI'),
+    imageFormat: game.settings.get(MODULE_ID, 'imageFormat'),
+    imageQuality: game.settings.get(MODULE_ID, 'imageQuality'),
+    preserveColors: game.settings.get(MODULE_ID, 'preserveColors'),
+    harvestStyles: game.settings.get(MODULE_ID, 'harvestStyles'),
+    embedFonts: game.settings.get(MODULE_ID, 'embedFonts'),
+    toc: game.settings.get(MODULE_ID, 'tableOfContents'),
+    tocDepth: game.settings.get(MODULE_ID, 'tocDepth'),
+    paperSize: CONFIG.PDF_OPTIONS.format,
+    paperWidth: CONFIG.PAPER_SIZES.a4.width,
+    paperHeight: CONFIG.PAPER_SIZES.a4.height,
+    orientation: CONFIG.PDF_OPTIONS.orientation,
+    marginTop: CONFIG.PDF_OPTIONS.margin.top,
+    marginRight: CONFIG.PDF_OPTIONS.margin.right,
+    marginBottom: CONFIG.PDF_OPTIONS.margin.bottom,
+    marginLeft: CONFIG.PDF_OPTIONS.margin.left,
+    gutter: 0,
+    header: game.settings.get(MODULE_ID, 'runningHeader'),
+    footer: game.settings.get(MODULE_ID, 'runningFooter'),
+    cover: false,
+    coverImage: '',
+    filenameTemplate: game.settings.get(MODULE_ID, 'filenameTemplate'),
+    reportFormat: game.settings.get(MODULE_ID, 'reportFormat'),
+    destination: game.settings.get(MODULE_ID, 'exportDestination'),
+    serverFolder: game.settings.get(MODULE_ID, 'serverFolder') || getDefaultServerFolder(),
+    serverConflict: game.settings.get(MODULE_ID, 'serverConflict'),
+    shareChat: game.settings.get(MODULE_ID, 'shareChat'),
+    shareUsers: [],
+    ...remembered
+  };
+}
+
+/**
+ * Enable the custom size inputs for the custom paper size, open file pickers for the cover image and server folder,
+ * and show the publishing choices only when publishing
+ * @param {HTMLElement} html - Dialog content
+ */
+function activateListeners(html) {
+  const form = html.querySelector('form');
+  const paperSize = form.elements.paperSize;
+  const updateCustomSize = () => {
+    form.elements.paperWidth.disabled = paperSize.value !== 'custom';
+    form.elements.paperHeight.disabled = paperSize.value !== 'custom';
+  };
+  paperSize.addEventListener('change', updateCustomSize);
+  updateCustomSize();
+
+  form.querySelector('.export-cover-browse').addEventListener('click', () => {
+    const picker = getFilePicker();
+    new picker({
+      type: 'image',
+      current: form.elements.coverImage.value,
+      callback: path => {
+        form.elements.coverImage.value = path;
+        form.elements.cover.checked = true;
+      }
+    }).render(true);
+  });
+
+  const destination = form.elements.destination;
+  if (!destination) return;
+
+  const publishable = getPublishableFormats();
+  const updateServer = () => {
+    const server = destination.value === 'server';
+    const whisper = form.elements.shareChat.value === 'whisper';
+    for (const element of form.querySelectorAll('.export-server')) {
+      const shown = server && (!element.classList.contains('export-share-users') || whisper);
+      element.style.display = shown ? '' : 'none';
+    }
+
+    // Say so up front, rather than failing the export
+    const refused = server && !publishable.includes(form.elements.outputFormat.value);
+    form.querySelector('.export-server-refused').style.display = refused ? '' : 'none';
+  };
+  destination.addEventListener('change', updateServer);
+  form.elements.shareChat.addEventListener('change', updateServer);
+  form.elements.outputFormat.addEventListener('change', updateServer);
+  updateServer();
+
+  form.querySelector('.export-folder-browse').addEventListener('click', () => {
+    const picker = getFilePicker();
+    new picker({
+      type: 'folder',
+      current: form.elements.serverFolder.value,
+      callback: path => {
+        form.elements.serverFolder.value = path;
+      }
+    }).render(true);
+  });
+}
+
+/**
+ * Save the options the dialog remembers for the current user
+ * @param {Object} options - Export options from the form
+ */
+async function rememberOptions(options) {
+  const remembered = {};
+  for (const key of REMEMBERED_OPTIONS) {
+    if (key in options) {
+      remembered[key] = options[key];
+    }
+  }
+
+  // A player chosen for the last export is forgotten once GM view is picked again
+  if (game.user.isGM && !('userId' in options)) {
+    remembered.userId = '';
+  }
+
+  try {
+    await game.user.setFlag(MODULE_ID, 'exportOptions', remembered);
+  } catch (error) {
+    console.warn('Intrinsics HTML Export | Could not remember export options:', error);
+  }
+}
+
+/**
+ * Get the players a GM can export a player view for
+ * @returns {Object<string, string>} - User names keyed by id
+ */
+function getPlayerChoices() {
+  return Object.fromEntries(game.users.filter(user => !user.isGM).map(user => [user.id, user.name]));
+}
+
+/**
+ * Render a checkbox for every other user, for whispering a published file
+ * @param {string[]} selected - Ids of the users checked
+ * @returns {string} - Checkbox list
+ */
+function renderUserList(selected) {
+  const users = game.users.filter(user => user !== game.user);
+  if (!users.length) {
+    return '<p class="notes">There are no other users.</p>';
+  }
+
+  return users
+    .map(user => `
+      <label class="export-user-choice">
+        <input type="checkbox" name="shareUsers" value="${user.id}" ${selected.includes(user.id) ? 'checked' : ''}>
+        ${escapeHtml(user.name)}${user.isGM ? ' (GM)' : ''}
+      </label>`)
+    .join('');
+}
+
+/**
+ * Render select options
+ * @param {Object<string, string>} choices - Labels keyed by value
+ * @param {*} selected - Selected value
+ * @returns {string} - Option elements
+ */
+function renderOptions(choices, selected) {
+  return Object.entries(choices)
+    .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === String(selected) ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+}
+
+/**
+ * Render a checkbox for every page of a journal, all checked
+ * Players only see the pages their own player view would include
+ * @param {JournalEntry} journal - The journal being exported
+ * @returns {string} - Checkbox list
+ */
+function renderPageList(journal) {
+  const viewer = game.user.isGM ? null : resolveViewer();
+
+  return getJournalSections(journal)
+    .flatMap(section => section.pages)
+    .filter(page => canViewPage(page, viewer))
+    .map(page => `
+      <label class="export-page-choice">
+        <input type="checkbox" name="pages" value="${page.id}" checked>
+        ${escapeHtml(page.name)}
+      </label>`)
+    .join('');
+}
+
+/**
+ * Read export options from the dialog form
+ * @param {jQuery|HTMLElement} html - Dialog content
+ * @returns {Object} - Export options
+ */
+function readForm(html) {
+  const form = (html[0] ?? html).querySelector('form');
+  const data = new FormData(form);
+
+  const options = {
+    outputFormat: data.get('outputFormat'),
+    theme: data.get('theme'),
+    paperSize: data.get('paperSize'),
+    orientation: data.get('orientation'),
+    marginTop: Number(data.get('marginTop')),
+    marginRight: Number(data.get('marginRight')),
+    marginBottom: Number(data.get('marginBottom')),
+    marginLeft: Number(data.get('marginLeft')),
+    gutter: Number(data.get('gutter')),
+    header: data.get('header').trim(),
+    footer: data.get('footer').trim(),
+    cover: data.has('cover'),
+    coverImage: data.get('coverImage').trim(),
+    embedImages: data.has('embedImages'),
+    imageDPI: Number(data.get('imageDPI')),
+    imageFormat: data.get('imageFormat'),
+    imageQuality: Number(data.get('imageQuality')),
+    preserveColors: data.has('preserveColors'),
+    harvestStyles: data.has('harvestStyles'),
+    embedFonts: data.has('embedFonts'),
+    toc: data.has('toc'),
+    tocDepth: Number(data.get('tocDepth')),
+    filenameTemplate: data.get('filenameTemplate').trim() || '{name}',
+    reportFormat: data.get('reportFormat')
+  };
+
+  // Disabled inputs are not submitted
+  if (options.paperSize === 'custom') {
+    options.paperWidth = Number(data.get('paperWidth'));
+    options.paperHeight = Number(data.get('paperHeight'));
+  }
+
+  // Users who can't upload always download
+  if (data.has('destination')) {
+    options.destination = data.get('destination');
+    options.serverFolder = data.get('serverFolder').trim().replace(/\/+$/, '');
+    options.serverConflict = data.get('serverConflict');
+    options.shareChat = data.get('shareChat');
+    options.shareUsers = data.getAll('shareUsers');
+  } else {
+    options.destination = 'download';
+  }
+
+  if (game.user.isGM) {
+    options.mode = data.get('mode');
+    if (options.mode === 'player' && data.get('userId')) {
+      options.userId = data.get('userId');
+    }
+  } else {
+    options.mode = 'player';
+  }
+
+  // Only restrict the pages when some were unchecked
+  const pageBoxes = form.querySelectorAll('input[name="pages"]');
+  if (pageBoxes.length) {
+    const pages = data.getAll('pages');
+    if (pages.length < pageBoxes.length) {
+      options.pages = pages;
+    }
+  }
+
+  return options;
+}
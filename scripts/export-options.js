@@ -0,0 +1,186 @@
+/**
+ * Export Options - Validation and defaults for the options every export entry point accepts
+ * The export dialog and the public API share this schema, so macros can do everything the dialog can
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { IMAGE_DPI, IMAGE_FORMATS } from './image-optimizer.js';
+import { REPORT_FORMATS } from './export-report.js';
+import { ORIENTATIONS, getPageGeometry } from './page-layout.js';
+import { EXPORT_MODES } from './player-filter.js';
+import { IFRAME_MODES } from './sanitizer.js';
+import { DESTINATIONS, SERVER_CONFLICTS, SHARE_MODES } from './server-publisher.js';
+import { getThemeChoices } from './themes.js';
+import { TOC_DEPTHS } from './toc.js';
+import { sanitizeFilename } from './utils.js';
+
+/**
+ * Accepted options
+ * type: accepted typeof value(s) ('array' for arrays)
+ * choices: function returning the allowed values
+ * min, max: allowed range of a number
+ * setting: module setting used when the option is not given
+ * default: value used when the option is not given and there is no setting
+ */
+const OPTION_SCHEMA = {
+  // Content
+  pages: { type: 'array' },
+  mode: { type: 'string', choices: () => Object.keys(EXPORT_MODES), setting: 'exportMode' },
+  userId: { type: 'string' },
+  ownershipLevel: { type: ['string', 'number'] },
+  linkMode: { type: 'string', choices: () => ['text', 'footnote'], setting: 'linkMode' },
+  iframeMode: { type: 'string', choices: () => Object.keys(IFRAME_MODES), setting: 'iframeMode' },
+  embedImages: { type: 'boolean', default: true },
+  imageDPI: { type: 'number', choices: () => Object.keys(IMAGE_DPI).map(Number), setting: 'imageDPI' },
+  imageFormat: { type: 'string', choices: () => Object.keys(IMAGE_FORMATS), setting: 'imageFormat' },
+  imageQuality: { type: 'number', min: 0.1, max: 1, setting: 'imageQuality' },
+  preserveColors: { type: 'boolean', setting: 'preserveColors' },
+  harvestStyles: { type: 'boolean', setting: 'harvestStyles' },
+  embedFonts: { type: 'boolean', setting: 'embedFonts' },
+
+  // Layout
+  theme: { type: 'string', choices: () => Object.keys(getThemeChoices()), default: 'clean' },
+  customCSS: { type: 'string', setting: 'customCSS' },
+  toc: { type: 'boolean', setting: 'tableOfContents' },
+  tocDepth: { type: 'number', choices: () => Object.keys(TOC_DEPTHS).map(Number), setting: 'tocDepth' },
+  paperSize: { type: 'string', choices: () => [...Object.keys(CONFIG.PAPER_SIZES), 'custom'], default: CONFIG.PDF_OPTIONS.format },
+  paperWidth: { type: 'number', min: 50, max: 1000, default: CONFIG.PAPER_SIZES.a4.width },
+  paperHeight: { type: 'number', min: 50, max: 1000, default: CONFIG.PAPER_SIZES.a4.height },
+  orientation: { type: 'string', choices: () => Object.keys(ORIENTATIONS), default: CONFIG.PDF_OPTIONS.orientation },
+  marginTop: { type: 'number', min: 0, max: 100, default: CONFIG.PDF_OPTIONS.margin.top },
+  marginRight: { type: 'number', min: 0, max: 100, default: CONFIG.PDF_OPTIONS.margin.right },
+  marginBottom: { type: 'number', min: 0, max: 100, default: CONFIG.PDF_OPTIONS.margin.bottom },
+  marginLeft: { type: 'number', min: 0, max: 100, default: CONFIG.PDF_OPTIONS.margin.left },
+  gutter: { type: 'number', min: 0, max: 50, default: 0 },
+  header: { type: 'string', setting: 'runningHeader' },
+  footer: { type: 'string', setting: 'runningFooter' },
+  cover: { type: 'boolean', default: false },
+  coverImage: { type: 'string', default: '' },
+
+  // Output
+  outputFormat: { type: 'string', choices: () => Object.keys(CONFIG.OUTPUT_FORMATS), setting: 'outputFormat' },
+  filenameTemplate: { type: 'string', setting: 'filenameTemplate' },
+  filename: { type: 'string' },
+  download: { type: 'boolean', default: true },
+  destination: { type: 'string', choices: () => Object.keys(DESTINATIONS), setting: 'exportDestination' },
+  serverFolder: { type: 'string', setting: 'serverFolder' },
+  serverConflict: { type: 'string', choices: () => Object.keys(SERVER_CONFLICTS), setting: 'serverConflict' },
+  shareChat: { type: 'string', choices: () => Object.keys(SHARE_MODES), setting: 'shareChat' },
+  shareUsers: { type: 'array', default: [] },
+  reportFormat: { type: 'string', choices: () => Object.keys(REPORT_FORMATS), setting: 'reportFormat' },
+
+  // Set by the export queue, or by API callers that want to cancel or follow an export
+  signal: { type: 'object' },
+  onProgress: { type: 'function' },
+
+  // Set by batch and book exports
+  assets: { type: 'object' },
+  linkTargets: { type: 'object' },
+  bookTitle: { type: 'string' }
+};
+
+/**
+ * Options remembered per user by the export dialog
+ */
+export const REMEMBERED_OPTIONS = ['outputFormat', 'mode', 'userId', 'theme', 'embedImages', 'imageDPI', 'imageFormat', 'imageQuality', 'preserveColors', 'harvestStyles', 'embedFonts', 'toc', 'tocDepth', 'paperSize', 'paperWidth', 'paperHeight', 'orientation', 'marginTop', 'marginRight', 'marginBottom', 'marginLeft', 'gutter', 'header', 'footer', 'cover', 'coverImage', 'filenameTemplate', 'reportFormat', 'destination', 'serverFolder', 'serverConflict', 'shareChat', 'shareUsers'];
+
+/**
+ * Validate export options
+ * @param {Object} options - Export options
+ * @throws {Error} - Listing every unknown option and invalid value
+ */
+export function validateExportOptions(options = {}) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(options)) {
+    const field = OPTION_SCHEMA[key];
+    if (!field) {
+      errors.push(`unknown option "${key}"`);
+      continue;
+    }
+
+    if (value === undefined || value === null) continue;
+
+    const types = [].concat(field.type);
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (!types.includes(type)) {
+      errors.push(`"${key}" must be of type ${types.join(' or ')}`);
+      continue;
+    }
+
+    // NaN and Infinity are numbers too, and slip past the range check
+    if (type === 'number' && !Number.isFinite(value)) {
+      errors.push(`"${key}" must be a finite number`);
+      continue;
+    }
+
+    const choices = field.choices?.();
+    if (choices && !choices.includes(value)) {
+      errors.push(`"${key}" must be one of ${choices.join(', ')}`);
+    }
+
+    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+      errors.push(`"${key}" must be between ${field.min} and ${field.max}`);
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid export options: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Validate export options and fill in defaults from settings
+ * @param {Object} options - Export options
+ * @returns {Object} - Complete export options
+ */
+export function resolveExportOptions(options = {}) {
+  validateExportOptions(options);
+
+  const resolved = {};
+  for (const [key, field] of Object.entries(OPTION_SCHEMA)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    } else if (field.setting) {
+      resolved[key] = game.settings.get(MODULE_ID, field.setting);
+    } else if ('default' in field) {
+      resolved[key] = field.default;
+    }
+  }
+
+  // Margins are only checked against the paper once both are known
+  const { width, height, margin, gutter } = getPageGeometry(resolved);
+  if (width - margin.left - margin.right - gutter < 20 || height - margin.top - margin.bottom < 20) {
+    throw new Error('Invalid export options: the margins leave less than 20 mm of the page for content');
+  }
+
+  return resolved;
+}
+
+/**
+ * Build a filename from a template
+ * Supported tokens: {name}, {world}, {date}, {mode}, {player}
+ * @param {string} template - Filename template
+ * @param {Object} data - Template data
+ * @param {string} data.name - Name of the journal, book or batch
+ * @param {Object} options - Resolved export options
+ * @param {string} [extension] - File extension, defaults to the output format's
+ * @returns {string} - Sanitized filename
+ */
+export function formatFilename(template, { name }, options, extension = CONFIG.OUTPUT_FORMATS[options.outputFormat]?.extension ?? 'html') {
+  const mode = game.user.isGM ? options.mode : 'player';
+  const player = mode === 'player'
+    ? (game.users.get(options.userId) ?? game.user).name
+    : '';
+
+  const tokens = {
+    name,
+    world: game.world.title,
+    date: new Date().toISOString().slice(0, 10),
+    mode,
+    player
+  };
+
+  const stem = (template || '{name}').replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? match);
+  return `${sanitizeFilename(stem) || 'export'}.${extension}`;
+}
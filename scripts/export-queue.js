@@ -0,0 +1,196 @@
+/**
+ * Export Queue - Runs exports one at a time with a progress panel and Cancel buttons
+ * Exports started while another is running wait their turn instead of being refused
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Progress counters shown in the panel, in display order
+ */
+const PROGRESS_LABELS = {
+  journals: 'Journals',
+  pages: 'Pages',
+  assets: 'Assets',
+  layout: 'Layout'
+};
+
+// Queued and running jobs, oldest first; the first one is running
+const jobs = [];
+let nextJobId = 1;
+let renderScheduled = false;
+
+/**
+ * Queue an export
+ * The task gets a signal that aborts when the job is cancelled and a progress callback;
+ * both are export options, so they can be spread into the options of exportJournalToPDF and friends
+ * @param {string} name - Name shown in the progress panel
+ * @param {function({signal: AbortSignal, onProgress: Function}): Promise<*>} task - Async function performing the export
+ * @returns {Promise<*>} - Result of the task; rejects with an AbortError if the job is cancelled
+ */
+export function enqueueExport(name, task) {
+  const controller = new AbortController();
+
+  const job = {
+    id: nextJobId++,
+    name,
+    controller,
+    running: false,
+    progress: {}
+  };
+
+  const done = new Promise((resolve, reject) => {
+    job.start = async () => {
+      job.running = true;
+      scheduleRender();
+      try {
+        controller.signal.throwIfAborted();
+        resolve(await task({
+          signal: controller.signal,
+          onProgress: (kind, update) => updateProgress(job, kind, update)
+        }));
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    // Cancelled before it started
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  jobs.push(job);
+  scheduleRender();
+
+  if (jobs.length === 1) {
+    runQueue();
+  }
+
+  return done;
+}
+
+/**
+ * Cancel a queued or running export
+ * A running export stops at its next page or asset; its in-flight fetches are aborted
+ * @param {number} id - Job id
+ */
+function cancelExport(id) {
+  const job = jobs.find(other => other.id === id);
+  if (!job) return;
+
+  console.log('Intrinsics HTML Export | Cancelling export:', job.name);
+  job.controller.abort();
+
+  if (!job.running) {
+    jobs.splice(jobs.indexOf(job), 1);
+    scheduleRender();
+  }
+}
+
+/**
+ * Count the exports waiting or running
+ * @returns {number} - Number of jobs in the queue
+ */
+export function getQueueLength() {
+  return jobs.length;
+}
+
+/**
+ * Run jobs until the queue is empty
+ */
+async function runQueue() {
+  while (jobs.length) {
+    const job = jobs[0];
+    await job.start();
+    jobs.shift();
+    scheduleRender();
+  }
+}
+
+/**
+ * Add to a job's progress
+ * Totals and counts are added rather than set, so a batch export can add up each journal's pages and assets
+ * @param {Object} job - Queued job
+ * @param {string} kind - Counter name, one of PROGRESS_LABELS
+ * @param {{done?: number, total?: number}} update - Amounts to add
+ */
+function updateProgress(job, kind, { done = 0, total = 0 }) {
+  const counter = job.progress[kind] ??= { done: 0, total: 0 };
+  counter.done += done;
+  counter.total += total;
+  scheduleRender();
+}
+
+/**
+ * Redraw the progress panel on the next frame, so bursts of progress updates draw once
+ */
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderPanel();
+  });
+}
+
+/**
+ * Draw the progress panel, or remove it when the queue is empty
+ */
+function renderPanel() {
+  let panel = document.getElementById('intrinsics-export-queue');
+
+  if (!jobs.length) {
+    panel?.remove();
+    return;
+  }
+
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'intrinsics-export-queue';
+    panel.addEventListener('click', event => {
+      const button = event.target.closest('[data-action="cancel"]');
+      if (button) {
+        cancelExport(Number(button.closest('[data-job-id]').dataset.jobId));
+      }
+    });
+    document.body.appendChild(panel);
+  }
+
+  panel.innerHTML = jobs.map(renderJob).join('');
+}
+
+/**
+ * Render one job of the progress panel
+ * @param {Object} job - Queued job
+ * @returns {string} - Job HTML
+ */
+function renderJob(job) {
+  const cancelling = job.controller.signal.aborted;
+
+  let status = 'Queued';
+  let bar = '';
+  if (job.running) {
+    const counters = Object.entries(PROGRESS_LABELS)
+      .filter(([kind]) => job.progress[kind]?.total)
+      .map(([kind, label]) => ({ label, ...job.progress[kind] }));
+
+    status = cancelling
+      ? 'Cancelling...'
+      : counters.map(({ label, done, total }) => `${label} ${done}/${total}`).join(' · ') || 'Preparing...';
+
+    // Indeterminate until something has been counted
+    const done = counters.reduce((sum, counter) => sum + counter.done, 0);
+    const total = counters.reduce((sum, counter) => sum + counter.total, 0);
+    bar = total ? `<progress value="${done}" max="${total}"></progress>` : '<progress></progress>';
+  }
+
+  return `
+    <div class="export-job${job.running ? ' running' : ''}" data-job-id="${job.id}">
+      <div class="export-job-header">
+        <span class="export-job-name">${escapeHtml(job.name)}</span>
+        <button type="button" data-action="cancel" title="Cancel" ${cancelling ? 'disabled' : ''}><i class="fas fa-times"></i></button>
+      </div>
+      ${bar}
+      <div class="export-job-status">${status}</div>
+    </div>`;
+}
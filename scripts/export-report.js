@@ -0,0 +1,218 @@
+/**
+ * Export Report - Structured record of what an export included, changed and could not resolve
+ * Every export returns one; it can also be shown in a dialog, written into the file as a comment,
+ * or saved next to it as JSON
+ */
+
+import { downloadFile, escapeHtml } from './utils.js';
+
+/**
+ * Where the report is written, besides the API result
+ */
+export const REPORT_FORMATS = {
+  none: 'Not included',
+  comment: 'HTML comment in the exported file',
+  json: 'Separate JSON file'
+};
+
+/**
+ * Build the report for one exported document
+ * Player view reports only count skipped pages and redactions, since naming them would give away what the player can't see
+ * @param {Object} data - What the export produced
+ * @param {string} data.title - Document title
+ * @param {string} data.filename - Exported filename
+ * @param {Object} data.options - Resolved export options
+ * @param {string|null} data.player - Player the export was made for, null for GM view
+ * @param {Array} data.pages - Pages exported or skipped
+ * @param {Array} data.removed - Sanitizer removals
+ * @param {Array} data.unresolvedLinks - Links and embeds that could not be resolved, redacted ones flagged
+ * @param {{images: Array, bytesBefore: number, bytesAfter: number}} data.images - Embedded images
+ * @param {Array} data.unresolved - Assets left linked to this server
+ * @param {{embedded: string[], failed: Array}} data.fonts - Embedded and linked fonts
+ * @param {Array} data.colorAdjustments - Colors changed by preserveColors
+ * @returns {Object} - Export report, plain data safe to serialize
+ */
+export function createExportReport({ title, filename, options, player, pages, removed, unresolvedLinks, images, unresolved, fonts, colorAdjustments }) {
+  const assets = [
+    ...images.images.map(image => ({
+      src: image.src,
+      status: options.assets ? 'bundled' : 'embedded',
+      httpStatus: image.httpStatus,
+      type: image.type,
+      uses: image.uses,
+      bytesBefore: image.bytesBefore,
+      bytesAfter: image.bytesAfter
+    })),
+    ...unresolved.map(({ src, status, httpStatus, element, attribute, reason }) => ({ src, status, httpStatus, element, attribute, reason }))
+  ];
+
+  const skipped = pages.filter(page => page.status === 'skipped');
+  const redacted = unresolvedLinks.filter(link => link.redacted);
+  const listedPages = player ? pages.filter(page => page.status !== 'skipped') : pages;
+  const listedLinks = unresolvedLinks.filter(link => !link.redacted);
+
+  return {
+    title,
+    filename,
+    exportedAt: new Date().toISOString(),
+    exportedBy: game.user.name,
+    mode: player ? 'player' : 'gm',
+    player,
+    summary: {
+      pagesExported: pages.filter(page => page.status === 'exported').length,
+      pagesSkipped: skipped.length,
+      assetsEmbedded: assets.filter(asset => asset.status === 'embedded' || asset.status === 'bundled').length,
+      assetsFailed: assets.filter(asset => asset.status === 'failed').length,
+      assetsLinked: assets.filter(asset => asset.status === 'linked').length,
+      imageBytesBefore: images.bytesBefore,
+      imageBytesAfter: images.bytesAfter,
+      fontsEmbedded: fonts.embedded.length,
+      fontsFailed: fonts.failed.length,
+      removed: removed.length,
+      unresolvedLinks: listedLinks.length,
+      redacted: redacted.length,
+      colorAdjustments: colorAdjustments.length
+    },
+    pages: listedPages,
+    assets,
+    fonts,
+    removed,
+    unresolvedLinks: listedLinks,
+    colorAdjustments
+  };
+}
+
+/**
+ * Render a report as an HTML comment for the top of the exported file
+ * @param {Object} report - Export report
+ * @returns {string} - HTML comment holding the report as JSON
+ */
+export function renderReportComment(report) {
+  // "--" can't appear inside a comment; the escaped form still parses as the same JSON
+  const json = JSON.stringify(report, null, 2).replace(/--/g, '-\\u002d');
+  return `<!-- Intrinsics HTML Export report\n${json}\n-->`;
+}
+
+/**
+ * Get the sidecar filename for an exported file
+ * @param {string} filename - Exported filename
+ * @returns {string} - Filename such as "chapter_1.report.json"
+ */
+export function getReportFilename(filename) {
+  return `${filename.replace(/\.[^.]+$/, '')}.report.json`;
+}
+
+/**
+ * Download a report as JSON
+ * @param {Object|Object[]} report - Export report, or the reports of a batch
+ * @param {string} filename - Filename including extension
+ */
+export function downloadReport(report, filename) {
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  downloadFile(blob, filename);
+}
+
+/**
+ * Show export reports in a dialog
+ * @param {Object[]} reports - Export reports; batch exports have one per journal
+ * @param {string} name - Name of what was exported
+ * @returns {Promise<void>} - Resolves when the dialog is closed
+ */
+export function showExportReport(reports, name) {
+  const content = `<div class="intrinsics-export-report">${reports.map(report => renderReport(report, reports.length > 1)).join('')}</div>`;
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `Export Report: ${name}`,
+      content,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-file-download"></i>',
+          label: 'Save JSON',
+          callback: () => {
+            downloadReport(reports.length > 1 ? reports : reports[0], getReportFilename(reports.length > 1 ? `${name}.zip` : reports[0].filename));
+            resolve();
+          }
+        },
+        close: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Close',
+          callback: () => resolve()
+        }
+      },
+      default: 'close',
+      close: () => resolve()
+    }, { width: 640, height: 'auto', resizable: true }).render(true);
+  });
+}
+
+/**
+ * Render one report
+ * @param {Object} report - Export report
+ * @param {boolean} titled - Show the report's title, for batches
+ * @returns {string} - Report HTML
+ */
+function renderReport(report, titled) {
+  const { summary } = report;
+  const problems = summary.assetsFailed + summary.fontsFailed + summary.removed + summary.unresolvedLinks;
+
+  let html = titled ? `<h3>${escapeHtml(report.title)}${problems ? ' <i class="fas fa-exclamation-triangle"></i>' : ''}</h3>` : '';
+
+  html += `
+    <ul class="export-report-summary">
+      <li>Pages: ${summary.pagesExported} exported, ${summary.pagesSkipped} skipped</li>
+      <li>Assets: ${summary.assetsEmbedded} embedded, ${summary.assetsFailed} failed, ${summary.assetsLinked} linked</li>
+      <li>Images: ${formatBytes(summary.imageBytesBefore)} before optimization, ${formatBytes(summary.imageBytesAfter)} after</li>
+      <li>Fonts: ${summary.fontsEmbedded} embedded, ${summary.fontsFailed} linked</li>
+      <li>Sanitizer removals: ${summary.removed}</li>
+      <li>Unresolved links: ${summary.unresolvedLinks}</li>
+      <li>Redacted links and embeds: ${summary.redacted}</li>
+      <li>Color adjustments: ${summary.colorAdjustments}</li>
+    </ul>`;
+
+  html += renderSection('Pages', report.pages, ['journal', 'page', 'status', 'reason']);
+  html += renderSection('Assets', report.assets, ['src', 'status', 'httpStatus', 'reason'], asset => asset.status === 'failed');
+  html += renderSection('Fonts not embedded', report.fonts.failed, ['family', 'url', 'reason'], () => true);
+  html += renderSection('Removed by the sanitizer', report.removed, ['page', 'type', 'detail'], () => true);
+  html += renderSection('Unresolved links', report.unresolvedLinks, ['page', 'text', 'reason']);
+  html += renderSection('Color adjustments', report.colorAdjustments, ['page', 'element', 'property', 'from', 'to']);
+
+  return html;
+}
+
+/**
+ * Render a collapsible table of report entries
+ * Sections holding problems start open
+ * @param {string} title - Section title
+ * @param {Object[]} rows - Entries
+ * @param {string[]} columns - Entry keys shown as columns
+ * @param {function(Object): boolean} [isProblem] - Marks entries that need attention
+ * @returns {string} - Section HTML, empty if there are no entries
+ */
+function renderSection(title, rows, columns, isProblem = () => false) {
+  if (!rows.length) return '';
+
+  const problems = rows.filter(isProblem).length;
+  const header = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows.map(row => `
+    <tr${isProblem(row) ? ' class="problem"' : ''}>
+      ${columns.map(column => `<td>${escapeHtml(String(row[column] ?? ''))}</td>`).join('')}
+    </tr>`).join('');
+
+  return `
+    <details ${problems ? 'open' : ''}>
+      <summary>${escapeHtml(title)} (${rows.length})</summary>
+      <table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>
+    </details>`;
+}
+
+/**
+ * Format a byte count for the report
+ * @param {number} bytes - Byte count
+ * @returns {string} - Size such as "12.4 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,343 @@
+/**
+ * Font Embedder - Embeds the fonts an export uses as data-URI @font-face rules, or packages them with an EPUB
+ * Font files come from the export's own @font-face rules, CONFIG.fontDefinitions, the world's
+ * custom fonts and the loaded stylesheets. Only the weights, styles and unicode-range files the content uses
+ * are embedded; the glyphs inside a font file are not subset.
+ */
+
+import { addAsset } from './asset-bundle.js';
+import { CONFIG } from './config.js';
+import { getDocumentFontFaces } from './css-harvester.js';
+import { fetchBlob, readAsDataURL, toAbsoluteUrl } from './utils.js';
+
+/**
+ * Generic and keyword families that never have a font file
+ */
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+  'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', 'inherit', 'initial', 'unset', 'revert'
+]);
+
+/**
+ * Font formats by file extension
+ */
+const FONT_FORMATS = {
+  woff2: { type: 'font/woff2', format: 'woff2' },
+  woff: { type: 'font/woff', format: 'woff' },
+  ttf: { type: 'font/ttf', format: 'truetype' },
+  otf: { type: 'font/otf', format: 'opentype' }
+};
+
+/**
+ * Embed the fonts a stylesheet and its content use
+ * Fonts that can't be fetched or are over the size limits keep a link to this server, after local()
+ * @param {string} css - The export's stylesheet
+ * @param {string} html - The export's content
+ * @param {Object} [options] - Embedding options
+ * @param {AbortSignal} [options.signal] - Aborts in-flight fetches and stops the export
+ * @param {Object} [options.assets] - Asset bundle to write the font files to instead of embedding them; the stylesheet must sit next to its folder
+ * @returns {Promise<{css: string, embedded: string[], failed: Array<{family: string, url: string, reason: string}>}>} - Stylesheet with embedded fonts, and what was embedded or left linked
+ */
+export async function embedFonts(css, html, { signal, assets = null } = {}) {
+  const families = findUsedFamilies(css, html);
+  const usage = findUsedFaces(css, html);
+  const budget = { remaining: CONFIG.FONTS.maxTotalBytes };
+  const embedded = new Set();
+  const failed = [];
+
+  // @font-face rules already in the stylesheet (harvested from the system) get their files inlined
+  const declared = new Set();
+  let result = '';
+  let last = 0;
+  for (const match of css.matchAll(/@font-face\s*\{([^}]*)\}/g)) {
+    const face = parseFontFace(match[1]);
+    declared.add(face.family.toLowerCase());
+
+    // Already embedded faces are left alone
+    let replacement = match[0];
+    if (!match[1].includes('data:') && families.has(face.family.toLowerCase()) && isFaceUsed(face, usage)) {
+      const { rule, ok } = await buildFontFace(face, budget, failed, signal, assets);
+      replacement = rule;
+      if (ok) embedded.add(face.family);
+    }
+
+    result += css.slice(last, match.index) + replacement;
+    last = match.index + match[0].length;
+  }
+  result += css.slice(last);
+
+  // Families used but not declared: Foundry's bundled fonts, world fonts and other stylesheets
+  const catalog = getFontCatalog();
+  const generated = [];
+  for (const family of families) {
+    if (declared.has(family)) continue;
+
+    const faces = (catalog.get(family) ?? []).filter(face => isFaceUsed(face, usage));
+    for (const face of faces) {
+      const { rule, ok } = await buildFontFace(face, budget, failed, signal, assets);
+      generated.push(rule);
+      if (ok) embedded.add(face.family);
+    }
+  }
+
+  if (embedded.size) {
+    console.log('Intrinsics HTML Export | Embedded fonts:', [...embedded].join(', '));
+  }
+  if (failed.length) {
+    console.warn(`Intrinsics HTML Export | ${failed.length} font file(s) linked instead of embedded:`);
+    console.table(failed);
+  }
+
+  return {
+    css: generated.length ? `${generated.join('\n')}\n${result}` : result,
+    embedded: [...embedded],
+    failed
+  };
+}
+
+/**
+ * Find the font families named by a stylesheet and by inline styles in the content
+ * @param {string} css - Stylesheet
+ * @param {string} html - Content
+ * @returns {Set<string>} - Lowercase family names, without generic families
+ */
+function findUsedFamilies(css, html) {
+  const families = new Set();
+  const addList = list => {
+    for (const name of list.split(',')) {
+      const family = name.replace(/!important/i, '').replace(/["']/g, '').trim().toLowerCase();
+      if (family && !GENERIC_FAMILIES.has(family) && !family.startsWith('var(')) {
+        families.add(family);
+      }
+    }
+  };
+
+  // Declarations inside @font-face define families rather than use them
+  const rules = css.replace(/@font-face\s*\{[^}]*\}/g, '');
+
+  // font-family, and custom properties holding a font list (--font-primary: "Signika", sans-serif)
+  for (const match of rules.matchAll(/(?:font-family|--[\w-]*font[\w-]*)\s*:\s*([^;}]+)/gi)) {
+    addList(match[1]);
+  }
+
+  // font shorthand: the family list follows the size
+  for (const match of rules.matchAll(/(?:^|[\s;{])font\s*:\s*([^;}]+)/gi)) {
+    const family = match[1].match(/[\d.]+(?:px|pt|em|rem|%|vw|vh)(?:\s*\/\s*[\w.%]+)?\s+(.+)$/);
+    if (family) addList(family[1]);
+  }
+
+  // Inline styles, as set by the text editor's font menu
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  for (const element of template.content.querySelectorAll('[style]')) {
+    if (element.style.fontFamily) addList(element.style.fontFamily);
+  }
+
+  return families;
+}
+
+/**
+ * Work out which weights, styles and characters the export uses
+ * @param {string} css - Stylesheet
+ * @param {string} html - Content
+ * @returns {{bold: boolean, italic: boolean, characters: Set<number>}} - Whether bold and italic faces are needed, and the code points of the text
+ */
+function findUsedFaces(css, html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  // Both cases, as text-transform can change them
+  const characters = new Set();
+  for (const char of template.content.textContent) {
+    for (const variant of new Set([char, char.toUpperCase(), char.toLowerCase()])) {
+      characters.add(variant.codePointAt(0));
+    }
+  }
+
+  return {
+    bold: /<(?:b|strong|h[1-6]|th)[\s>]/i.test(html) || /font(?:-weight)?\s*:[^;}]*\b(?:bold|bolder|[6-9]00)\b/i.test(css + html),
+    italic: /<(?:i|em|cite)[\s>]/i.test(html) || /font(?:-style)?\s*:[^;}]*\b(?:italic|oblique)\b/i.test(css + html),
+    characters
+  };
+}
+
+/**
+ * Check whether a face is needed, so unused weights and styles aren't embedded,
+ * nor the files of a font split by unicode-range (Latin, Cyrillic ...) whose characters the text doesn't use
+ * @param {{weight: string, style: string, unicodeRange?: string}} face - Font face
+ * @param {{bold: boolean, italic: boolean, characters: Set<number>}} usage - From findUsedFaces
+ * @returns {boolean} - True if the face is used
+ */
+function isFaceUsed(face, usage) {
+  if (face.unicodeRange && !coversAny(face.unicodeRange, usage.characters)) return false;
+
+  const weights = String(face.weight ?? 'normal').split(/\s+/);
+
+  // Variable fonts cover a weight range in one file
+  if (weights.length > 1) {
+    return usage.italic || !/italic|oblique/i.test(face.style ?? '');
+  }
+
+  const weight = { normal: 400, bold: 700 }[weights[0]] ?? (Number(weights[0]) || 400);
+  if (weight >= 600 && !usage.bold) return false;
+  if (/italic|oblique/i.test(face.style ?? '') && !usage.italic) return false;
+  return true;
+}
+
+/**
+ * Check whether a unicode-range covers any of a set of characters
+ * @param {string} unicodeRange - Descriptor value such as "U+0000-00FF, U+0131, U+4??"
+ * @param {Set<number>} characters - Code points
+ * @returns {boolean} - True if one of the characters is in range, or the range can't be read
+ */
+function coversAny(unicodeRange, characters) {
+  const ranges = [];
+  for (const part of unicodeRange.split(',')) {
+    const match = part.trim().match(/^u\+([0-9a-f?]{1,6})(?:-([0-9a-f]{1,6}))?$/i);
+    if (!match) return true;
+
+    // Wildcards cover every digit in their place: U+4?? is U+400-4FF
+    const start = parseInt(match[1].replace(/\?/g, '0'), 16);
+    const end = match[2] ? parseInt(match[2], 16) : parseInt(match[1].replace(/\?/g, 'f'), 16);
+    ranges.push([start, end]);
+  }
+
+  for (const code of characters) {
+    if (ranges.some(([start, end]) => code >= start && code <= end)) return true;
+  }
+  return false;
+}
+
+/**
+ * Read the descriptors of an @font-face block
+ * @param {string} body - Declarations inside the block
+ * @returns {{family: string, weight: string, style: string, unicodeRange: string, urls: string[], descriptors: string}} - Font face
+ */
+function parseFontFace(body) {
+  const get = name => body.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`, 'i'))?.[1].trim() ?? '';
+
+  return {
+    family: get('font-family').replace(/["']/g, '').trim(),
+    weight: get('font-weight') || 'normal',
+    style: get('font-style') || 'normal',
+    unicodeRange: get('unicode-range'),
+    urls: Array.from(get('src').matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g), match => match[1]),
+    // Everything but family, src, weight and style (unicode-range, font-display ...)
+    descriptors: body.split(';')
+      .map(declaration => declaration.trim())
+      .filter(declaration => declaration && !/^(font-family|src|font-weight|font-style)\s*:/i.test(declaration))
+      .join('; ')
+  };
+}
+
+/**
+ * Collect the font files available for each family
+ * @returns {Map<string, Array<{family: string, weight: string, style: string, unicodeRange?: string, urls: string[], descriptors?: string}>>} - Faces keyed by lowercase family
+ */
+function getFontCatalog() {
+  const catalog = new Map();
+  const add = face => {
+    if (!face.family || !face.urls.length) return;
+    const key = face.family.toLowerCase();
+    if (!catalog.has(key)) catalog.set(key, []);
+
+    // Fonts from CONFIG.fontDefinitions are often in a stylesheet too
+    const faces = catalog.get(key);
+    if (!faces.some(other => other.urls[0] === face.urls[0])) {
+      faces.push(face);
+    }
+  };
+
+  // Foundry's own CONFIG, not the module's
+  const definitions = { ...globalThis.CONFIG?.fontDefinitions };
+  try {
+    Object.assign(definitions, game.settings.get('core', 'fonts'));
+  } catch (error) {
+    // No world fonts
+  }
+
+  for (const [family, definition] of Object.entries(definitions)) {
+    for (const font of definition?.fonts ?? []) {
+      add({
+        family,
+        weight: String(font.weight ?? 'normal'),
+        style: font.style ?? 'normal',
+        urls: (font.urls ?? []).map(url => toAbsoluteUrl(url))
+      });
+    }
+  }
+
+  // Stylesheet faces keep their unicode-range, so the browser still only uses each file for its characters
+  for (const face of getDocumentFontFaces()) {
+    add({ ...face, descriptors: face.unicodeRange ? `unicode-range: ${face.unicodeRange}; font-display: swap` : '' });
+  }
+
+  return catalog;
+}
+
+/**
+ * Build an @font-face rule, embedding the font file if it fits the limits
+ * @param {{family: string, weight: string, style: string, urls: string[], descriptors?: string}} face - Font face
+ * @param {{remaining: number}} budget - Bytes left for embedded fonts, updated in place
+ * @param {Array} failed - Fonts left linked, appended to
+ * @param {AbortSignal} [signal] - Aborts the fetch
+ * @param {Object|null} [assets] - Asset bundle to write the file to, null to embed it as a data URI
+ * @returns {Promise<{rule: string, ok: boolean}>} - @font-face rule, and whether the file was embedded
+ */
+async function buildFontFace(face, budget, failed, signal, assets = null) {
+  const urls = face.urls.slice().sort((a, b) => getFontFormat(a).rank - getFontFormat(b).rank);
+
+  let src = null;
+  let reason = 'no font file';
+  for (const url of urls) {
+    try {
+      const blob = await fetchBlob(url, { signal });
+      if (blob.size > CONFIG.FONTS.maxFileBytes) {
+        reason = `${Math.round(blob.size / 1024)} KB is over the per-file limit`;
+        continue;
+      }
+      if (blob.size > budget.remaining) {
+        reason = 'total font size limit reached';
+        continue;
+      }
+
+      const { type, format } = getFontFormat(url);
+      const file = assets ? await addAsset(assets, url, async () => blob) : await readAsDataURL(blob, type);
+      budget.remaining -= blob.size;
+      src = `url("${file}")${format ? ` format("${format}")` : ''}`;
+      break;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      reason = error.message;
+    }
+  }
+
+  // Fallback: an installed copy, then this server; packaged fonts can't link back to the server
+  const ok = !!src;
+  if (!ok) {
+    failed.push({ family: face.family, url: urls[0] ?? '', reason });
+    src = [`local("${face.family}")`, ...(assets ? [] : urls.map(url => `url("${url}")`))].join(', ');
+  }
+
+  const descriptors = [
+    `font-family: "${face.family}"`,
+    `src: ${src}`,
+    `font-weight: ${face.weight}`,
+    `font-style: ${face.style}`,
+    face.descriptors || 'font-display: swap'
+  ];
+
+  return { rule: `@font-face { ${descriptors.join('; ')}; }`, ok };
+}
+
+/**
+ * Get MIME type, format hint and preference of a font file
+ * @param {string} url - Font URL
+ * @returns {{type: string|undefined, format: string|undefined, rank: number}} - Format details; woff2 ranks first
+ */
+function getFontFormat(url) {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const known = Object.keys(FONT_FORMATS);
+  const rank = known.includes(extension) ? known.indexOf(extension) : known.length;
+  return { ...FONT_FORMATS[extension], rank };
+}
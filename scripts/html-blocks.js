@@ -0,0 +1,102 @@
+/**
+ * HTML Blocks - Walks exported HTML as the blocks and inline runs the PDF and Word writers lay out
+ * The walk decides what starts a block and what flows inline; each writer handles the pieces in its own format
+ */
+
+/**
+ * Elements that start a new block; anything else not handled separately flows inline
+ */
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'main', 'nav', 'p', 'pre', 'section', 'summary'
+]);
+
+/**
+ * Elements with nothing printable
+ */
+const SKIPPED_TAGS = new Set([
+  'audio', 'button', 'canvas', 'datalist', 'head', 'iframe', 'input', 'link', 'meta', 'noscript',
+  'object', 'script', 'select', 'source', 'style', 'template', 'textarea', 'track'
+]);
+
+/**
+ * Walk the children of a node, handing each piece of content to the writer
+ * Every handler is called with the node, the inline style, the block context and the extra arguments
+ * @param {Node} node - Parent node
+ * @param {Object} style - Inline style, see getInlineStyle
+ * @param {Object} context - The writer's block context
+ * @param {Object} handlers - Writer callbacks
+ * @param {Function} handlers.text - Text node
+ * @param {Function} handlers.lineBreak - br element
+ * @param {Function} handlers.image - img, video (for its poster) or svg.export-image referencing an embedded image
+ * @param {Function} handlers.rule - hr element
+ * @param {Function} handlers.table - table element
+ * @param {Function} handlers.list - ul or ol element
+ * @param {Function} handlers.block - Heading or other block element
+ * @param {Function} handlers.inline - Inline element, before its children are walked with its style
+ * @param {...*} args - Passed on to every handler, such as the writer's block builder
+ */
+export function walkContent(node, style, context, handlers, ...args) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      handlers.text(child, style, context, ...args);
+      continue;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+    const tag = child.localName;
+    if (SKIPPED_TAGS.has(tag) || child.hidden || child.classList.contains('export-image-definitions')) continue;
+
+    if (tag === 'br') {
+      handlers.lineBreak(child, style, context, ...args);
+    } else if (tag === 'img' || tag === 'video' || (tag === 'svg' && child.classList.contains('export-image'))) {
+      handlers.image(child, style, context, ...args);
+    } else if (tag === 'svg' || tag === 'picture') {
+      // Plain SVG drawings are left out; pictures fall back to their <img>
+      if (tag === 'picture') walkContent(child, style, context, handlers, ...args);
+    } else if (tag === 'hr') {
+      handlers.rule(child, style, context, ...args);
+    } else if (tag === 'table') {
+      handlers.table(child, style, context, ...args);
+    } else if (tag === 'ul' || tag === 'ol') {
+      handlers.list(child, style, context, ...args);
+    } else if (/^h[1-6]$/.test(tag) || BLOCK_TAGS.has(tag)) {
+      handlers.block(child, style, context, ...args);
+    } else {
+      handlers.inline(child, style, context, ...args);
+      walkContent(child, getInlineStyle(child, style), context, handlers, ...args);
+    }
+  }
+}
+
+/**
+ * Get the inline style an element adds to its text
+ * Writers use the parts they can show: bold, italic, underline, strike, mono, highlight, vertAlign and href
+ * @param {HTMLElement} element - Inline element
+ * @param {Object} style - Inherited style
+ * @returns {Object} - Style for the element's text
+ */
+export function getInlineStyle(element, style) {
+  const next = { ...style };
+  const tag = element.localName;
+
+  if (tag === 'b' || tag === 'strong' || tag === 'th') next.bold = true;
+  if (tag === 'i' || tag === 'em' || tag === 'cite' || tag === 'var' || tag === 'dfn') next.italic = true;
+  if (tag === 'u' || tag === 'ins') next.underline = true;
+  if (tag === 's' || tag === 'del' || tag === 'strike') next.strike = true;
+  if (tag === 'code' || tag === 'kbd' || tag === 'samp' || tag === 'tt') next.mono = true;
+  if (tag === 'mark') next.highlight = true;
+  if (tag === 'sup' || tag === 'sub') next.vertAlign = tag === 'sup' ? 'superscript' : 'subscript';
+
+  const weight = element.style?.fontWeight;
+  if (weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) next.bold = true;
+  if (element.style?.fontStyle === 'italic') next.italic = true;
+  if (element.style?.textDecoration?.includes('underline')) next.underline = true;
+  if (element.style?.textDecoration?.includes('line-through')) next.strike = true;
+
+  if (tag === 'a' && element.getAttribute('href')) {
+    next.href = element.getAttribute('href');
+  }
+
+  return next;
+}
@@ -0,0 +1,106 @@
+/**
+ * Image Optimizer - Downscales and recompresses images before they are embedded
+ * Images are sized for the paper width at the chosen DPI; transparent images stay PNG (or WebP).
+ */
+
+import { fetchFile } from './utils.js';
+
+/**
+ * Maximum image resolution choices, relative to the paper width
+ */
+export const IMAGE_DPI = {
+  0: 'Original size',
+  96: 'Screen (96 DPI)',
+  150: 'Draft print (150 DPI)',
+  300: 'High quality print (300 DPI)'
+};
+
+/**
+ * Image encoding choices
+ */
+export const IMAGE_FORMATS = {
+  jpeg: 'JPEG',
+  webp: 'WebP',
+  original: 'Keep original format'
+};
+
+/**
+ * Source types that are never re-encoded: vector images, and GIFs that may be animated
+ */
+const KEPT_TYPES = new Set(['image/svg+xml', 'image/gif']);
+
+/**
+ * Fetch an image, downscale it to the maximum width and re-encode it
+ * The original is kept when it is already small enough and re-encoding would not make it smaller
+ * @param {string} src - Image URL
+ * @param {Object} settings - Image settings
+ * @param {number} settings.maxWidth - Maximum width in pixels, 0 for no limit
+ * @param {string} settings.format - One of IMAGE_FORMATS
+ * @param {number} settings.quality - Encoder quality between 0 and 1
+ * @param {AbortSignal} [settings.signal] - Aborts the fetch
+ * @returns {Promise<{blob: Blob, bytesBefore: number, width: number|null, height: number|null, httpStatus: number}>} - Optimized image, and the HTTP status it was fetched with
+ */
+export async function optimizeImage(src, { maxWidth = 0, format = 'original', quality = 0.85, signal } = {}) {
+  const { blob: original, status: httpStatus } = await fetchFile(src, { signal });
+  const result = { blob: original, bytesBefore: original.size, width: null, height: null, httpStatus };
+
+  if (KEPT_TYPES.has(original.type) || typeof createImageBitmap !== 'function') {
+    return result;
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(original);
+  } catch (error) {
+    // Not a format this browser decodes; embed as-is
+    return result;
+  }
+
+  result.width = bitmap.width;
+  result.height = bitmap.height;
+
+  const scale = maxWidth && bitmap.width > maxWidth ? maxWidth / bitmap.width : 1;
+  if (scale === 1 && format === 'original') {
+    bitmap.close();
+    return result;
+  }
+
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  let type = { jpeg: 'image/jpeg', webp: 'image/webp' }[format] ?? original.type;
+  if (type === 'image/jpeg' && original.type !== 'image/jpeg' && hasTransparency(context, width, height)) {
+    type = 'image/png';
+  }
+
+  const encoded = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  if (!encoded || (scale === 1 && encoded.size >= original.size)) {
+    return result;
+  }
+
+  return { blob: encoded, bytesBefore: original.size, width, height, httpStatus };
+}
+
+/**
+ * Check whether any pixel of a canvas is transparent
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {boolean} - True if some pixel has alpha below 255
+ */
+function hasTransparency(context, width, height) {
+  const { data } = context.getImageData(0, 0, width, height);
+
+  // Every other pixel is enough to catch transparent areas and edges
+  for (let i = 3; i < data.length; i += 8) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
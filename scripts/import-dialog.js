@@ -0,0 +1,175 @@
+/**
+ * Import Dialog - Asks which exported file to import and where, then previews the changes
+ * The image folder is remembered per user in a user flag
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { getFilePicker } from './server-files.js';
+import { renderDiff } from './text-diff.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Labels for the actions of an import plan
+ */
+const ACTION_LABELS = {
+  create: 'New page',
+  update: 'Changed',
+  unchanged: 'Unchanged',
+  skip: 'Skipped'
+};
+
+/**
+ * Show the import dialog
+ * @param {JournalEntry} [journal] - Journal the import was started from, preselected as the target
+ * @returns {Promise<{file: File, target: string, folder: string}|null>} - The chosen file, target ('auto', 'new' or a journal UUID)
+ *   and image upload folder, or null if the dialog was cancelled
+ */
+export async function promptImport(journal = null) {
+  const folder = game.user.getFlag(MODULE_ID, 'importFolder') || `worlds/${game.world.id}/${CONFIG.IMPORT.folder}`;
+
+  const journals = game.journal
+    .filter(entry => entry.canUserModify(game.user, 'update'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(entry => `<option value="${entry.uuid}" ${entry === journal ? 'selected' : ''}>${escapeHtml(entry.name)}</option>`)
+    .join('');
+
+  const content = `
+    <form class="intrinsics-import">
+      <div class="form-group">
+        <label>File</label>
+        <input type="file" name="file" accept=".html,.htm,.md,.zip">
+      </div>
+      <div class="form-group">
+        <label>Import Into</label>
+        <select name="target">
+          <option value="auto" ${journal ? '' : 'selected'}>The pages it was exported from</option>
+          <option value="new">A new journal</option>
+          <optgroup label="Journal">${journals}</optgroup>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Image Folder</label>
+        <input type="text" name="folder" value="${escapeHtml(folder)}">
+        <button type="button" class="import-folder-browse" title="Browse"><i class="fas fa-folder-open"></i></button>
+      </div>
+      <p class="notes">Reads HTML exports, Markdown notes and Markdown or HTML ZIPs. Links, inline rolls and images get back their Foundry form; embedded images and Markdown attachments are uploaded to the image folder. Every change is shown before it is applied.</p>
+    </form>`;
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: journal ? `Import into ${journal.name}` : 'Import Journal',
+      content,
+      buttons: {
+        next: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: 'Preview',
+          callback: html => {
+            const form = (html[0] ?? html).querySelector('form');
+            const file = form.elements.file.files[0];
+            if (!file) {
+              ui.notifications.error('Choose a file to import');
+              resolve(null);
+              return;
+            }
+
+            const chosen = form.elements.folder.value.trim().replace(/\/+$/, '') || folder;
+            resolve({ file, target: form.elements.target.value, folder: chosen });
+
+            // The dialog closes as soon as this returns, so the folder is saved without holding up the import
+            game.user.setFlag(MODULE_ID, 'importFolder', chosen).catch(error => {
+              console.warn('Intrinsics HTML Export | Could not remember the import folder:', error);
+            });
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Cancel',
+          callback: () => resolve(null)
+        }
+      },
+      default: 'next',
+      render: html => activateListeners(html[0] ?? html),
+      close: () => resolve(null)
+    }, { width: 440 }).render(true);
+  });
+}
+
+/**
+ * Preview an import, page by page, with a diff of every change
+ * @param {Object} plan - From planImport
+ * @param {string} folder - Folder images will be uploaded to
+ * @returns {Promise<Array<Object>|null>} - Plan entries the user chose to apply, or null if the import was cancelled
+ */
+export async function showImportPreview(plan, folder) {
+  const counts = Object.fromEntries(Object.keys(ACTION_LABELS).map(action => [action, plan.entries.filter(entry => entry.action === action).length]));
+  const target = plan.journal ? plan.journal.name : `a new journal "${plan.title}"`;
+  const uploads = plan.source.uploads.size;
+
+  let content = '<form class="intrinsics-import-preview">';
+  content += `<p>${counts.create} new, ${counts.update} changed, ${counts.unchanged} unchanged and ${counts.skip} skipped page(s). New pages go to ${escapeHtml(target)}.</p>`;
+  content += '<ul class="import-pages">';
+
+  plan.entries.forEach((entry, index) => {
+    const selectable = entry.action === 'create' || entry.action === 'update';
+    const name = entry.existing?.name ?? entry.page.name;
+    const details = [ACTION_LABELS[entry.action]];
+    if (entry.rename) details.push(`renamed to "${entry.rename}"`);
+    if (entry.reason) details.push(entry.reason);
+
+    content += `<li class="import-page import-${entry.action}">`;
+    content += `<label><input type="checkbox" name="entry-${index}" ${selectable ? 'checked' : 'disabled'}> <strong>${escapeHtml(name)}</strong> <span class="import-action">${escapeHtml(details.join(', '))}</span></label>`;
+    if (selectable && entry.diff.length) {
+      content += `<details><summary>Show changes</summary>${renderDiff(entry.diff)}</details>`;
+    }
+    content += '</li>';
+  });
+
+  content += '</ul>';
+  if (uploads) {
+    content += `<p class="notes">Images that are not on this server are uploaded to ${escapeHtml(folder)}.</p>`;
+  }
+  content += '</form>';
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `Import Preview: ${plan.title}`,
+      content,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Import',
+          callback: html => {
+            const form = (html[0] ?? html).querySelector('form');
+            resolve(plan.entries.filter((entry, index) => form.elements[`entry-${index}`].checked));
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Cancel',
+          callback: () => resolve(null)
+        }
+      },
+      default: 'import',
+      close: () => resolve(null)
+    }, { width: 640, height: 'auto', resizable: true }).render(true);
+  });
+}
+
+/**
+ * Wire up the dialog controls
+ * @param {HTMLElement} element - Dialog content
+ */
+function activateListeners(element) {
+  const form = element.querySelector('form');
+
+  form.querySelector('.import-folder-browse').addEventListener('click', () => {
+    const picker = getFilePicker();
+    new picker({
+      type: 'folder',
+      current: form.elements.folder.value,
+      callback: path => {
+        form.elements.folder.value = path;
+      }
+    }).render(true);
+  });
+}
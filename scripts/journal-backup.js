@@ -0,0 +1,214 @@
+/**
+ * Journal Backup - Keeps timestamped HTML snapshots of journals as they are edited
+ * Changes are debounced per journal, then the active GM exports the journal and stores it in the snapshot compendium.
+ * Snapshots hold GM-only content, so they live in a world compendium players have no access to, never in the
+ * data directory, where any file can be opened by whoever knows its path. Each snapshot is a journal entry
+ * named after its journal and the time it was saved, with the HTML export in its flags
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { exportJournalToPDF } from './pdf-generator.js';
+
+/**
+ * Export options for snapshots: a plain GM view HTML export, with images linked to keep snapshots small
+ */
+const SNAPSHOT_OPTIONS = {
+  outputFormat: 'html',
+  mode: 'gm',
+  theme: 'clean',
+  embedImages: false,
+  embedFonts: false,
+  harvestStyles: false,
+  preserveColors: false,
+  toc: false,
+  cover: false,
+  reportFormat: 'none',
+  download: false
+};
+
+/**
+ * Ownership of the snapshot compendium: GMs and assistants only
+ */
+const SNAPSHOT_OWNERSHIP = {
+  PLAYER: 'NONE',
+  TRUSTED: 'NONE',
+  ASSISTANT: 'OWNER'
+};
+
+/**
+ * Pending backups, keyed by journal id
+ * @type {Map<string, number>}
+ */
+const timers = new Map();
+
+/**
+ * Backups run one at a time, so two snapshots of a journal never race to prune the same ones
+ * @type {Promise<void>}
+ */
+let writing = Promise.resolve();
+
+/**
+ * Back a journal up once it has gone unchanged for the backup delay
+ * Does nothing unless backups are enabled and this client is the active GM, which writes every snapshot
+ * @param {JournalEntry} journal - Journal that changed
+ */
+export function scheduleBackup(journal) {
+  if (!journal || journal.pack || !game.settings.get(MODULE_ID, 'backupEnabled') || !isBackupWriter()) {
+    return;
+  }
+
+  clearTimeout(timers.get(journal.id));
+  timers.set(journal.id, setTimeout(() => {
+    timers.delete(journal.id);
+
+    // The journal may have been deleted while the backup waited
+    const current = game.journal.get(journal.id);
+    if (!current) return;
+
+    backupJournal(current).catch(error => {
+      console.error('Intrinsics HTML Export | Backup failed:', current.name, error);
+      ui.notifications.warn(`Backup of "${current.name}" failed: ${error.message}`);
+    });
+  }, game.settings.get(MODULE_ID, 'backupDelay') * 1000));
+}
+
+/**
+ * Snapshot a journal now, unless it is unchanged since its last snapshot
+ * The oldest snapshots past the retention limit are deleted
+ * @param {JournalEntry} journal - Journal to back up
+ * @returns {Promise<{id: string, savedAt: string, pages: number, size: number, hash: string}|null>} - The new snapshot, null if nothing changed
+ */
+export function backupJournal(journal) {
+  const backup = writing.then(() => writeSnapshot(journal));
+  writing = backup.then(() => {}, () => {});
+  return backup;
+}
+
+/**
+ * List a journal's snapshots
+ * @param {JournalEntry} journal - Journal
+ * @returns {Promise<Array<{id: string, savedAt: string, pages: number, size: number, hash: string}>>} - Snapshots, newest first
+ */
+export async function listSnapshots(journal) {
+  const pack = getSnapshotPack();
+  if (!pack) return [];
+
+  const flag = `flags.${MODULE_ID}.snapshot`;
+  const index = await pack.getIndex({ fields: ['journal', 'savedAt', 'pages', 'size', 'hash'].map(field => `${flag}.${field}`) });
+
+  return [...index.values()]
+    .map(entry => ({ id: entry._id, ...entry.flags?.[MODULE_ID]?.snapshot }))
+    .filter(snapshot => snapshot.journal === journal.uuid)
+    .map(({ id, savedAt, pages, size, hash }) => ({ id, savedAt, pages, size, hash }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Read a snapshot
+ * @param {{id: string}} snapshot - Snapshot from listSnapshots
+ * @returns {Promise<{journal: string, name: string, savedAt: string, html: string}>} - The journal's UUID and name when it was saved, and its HTML export
+ * @throws {Error} - If the snapshot was deleted
+ */
+export async function readSnapshot(snapshot) {
+  const entry = await getSnapshotPack()?.getDocument(snapshot.id);
+  const data = entry?.getFlag(MODULE_ID, 'snapshot');
+  if (typeof data?.html !== 'string') {
+    throw new Error(`Snapshot ${snapshot.id} no longer exists`);
+  }
+
+  const { journal, name, savedAt, html } = data;
+  return { journal, name, savedAt, html };
+}
+
+/**
+ * Get the CompendiumCollection class for the running Foundry version
+ * @returns {typeof CompendiumCollection} - CompendiumCollection class
+ */
+function getCompendiumCollection() {
+  return foundry.documents?.collections?.CompendiumCollection ?? CompendiumCollection;
+}
+
+/**
+ * Get the world compendium snapshots are kept in
+ * @returns {CompendiumCollection|null} - The pack, null before the world's first snapshot
+ */
+function getSnapshotPack() {
+  return game.packs.get(`world.${CONFIG.BACKUP.pack}`) ?? null;
+}
+
+/**
+ * Get the snapshot compendium, creating it on the world's first snapshot
+ * Its ownership is reset whenever it was opened up to players, since every snapshot holds GM-only content
+ * @returns {Promise<CompendiumCollection>} - The pack
+ */
+async function ensureSnapshotPack() {
+  let pack = getSnapshotPack();
+  if (!pack) {
+    pack = await getCompendiumCollection().createCompendium({
+      type: 'JournalEntry',
+      name: CONFIG.BACKUP.pack,
+      label: CONFIG.BACKUP.label,
+      package: 'world'
+    });
+  }
+
+  const ownership = pack.ownership ?? pack.metadata.ownership ?? {};
+  if (Object.entries(SNAPSHOT_OWNERSHIP).some(([role, level]) => ownership[role] !== level)) {
+    await pack.configure({ ownership: SNAPSHOT_OWNERSHIP });
+  }
+  return pack;
+}
+
+/**
+ * Check whether this client writes the snapshots
+ * Every client sees each change, so only the active GM acts on it
+ * @returns {boolean} - Whether this user is the active GM
+ */
+function isBackupWriter() {
+  const gm = game.users.activeGM ?? game.users.find(user => user.isGM && user.active);
+  return gm === game.user;
+}
+
+/**
+ * Export a journal and store it as a new snapshot
+ * @param {JournalEntry} journal - Journal to back up
+ * @returns {Promise<Object|null>} - The new snapshot, null if nothing changed
+ */
+async function writeSnapshot(journal) {
+  const { html } = await exportJournalToPDF(journal, { ...SNAPSHOT_OPTIONS, filename: `${journal.id}.html` });
+  const hash = await hashText(html);
+
+  const pack = await ensureSnapshotPack();
+  const snapshots = await listSnapshots(journal);
+  if (snapshots[0]?.hash === hash) {
+    return null;
+  }
+
+  const savedAt = new Date().toISOString();
+  const data = { journal: journal.uuid, name: journal.name, savedAt, pages: journal.pages.size, size: new Blob([html]).size, hash, html };
+  const JournalEntry = getDocumentClass('JournalEntry');
+  const [entry] = await JournalEntry.createDocuments([{
+    name: `${journal.name} (${savedAt})`,
+    flags: { [MODULE_ID]: { snapshot: data } }
+  }], { pack: pack.collection });
+
+  // The newest snapshots stay, with the new one making up the retention limit
+  const retention = game.settings.get(MODULE_ID, 'backupRetention');
+  const pruned = snapshots.slice(retention - 1);
+  if (pruned.length) {
+    await JournalEntry.deleteDocuments(pruned.map(snapshot => snapshot.id), { pack: pack.collection });
+  }
+
+  console.log(`Intrinsics HTML Export | Backed up ${journal.name} to ${pack.collection} (${Math.min(snapshots.length + 1, retention)} snapshot(s) kept)`);
+  return { id: entry.id, savedAt, pages: data.pages, size: data.size, hash };
+}
+
+/**
+ * Hash a snapshot, to tell whether the journal changed since the last one
+ * @param {string} text - Exported HTML
+ * @returns {Promise<string>} - Hex SHA-1 digest
+ */
+async function hashText(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text)));
+  return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,793 @@
+/**
+ * Journal Importer - Rebuilds journal pages from this module's HTML and Markdown exports
+ * Reads the .journal-page structure of HTML exports or the notes of Markdown exports, turns the links,
+ * rolls and images the export converted back into Foundry markup, and creates or updates pages
+ */
+
+import { convertMarkdown } from './page-renderers.js';
+import { ensureDirectory, uploadFile } from './server-files.js';
+import { diffLines, getDocumentName, getTextLines } from './text-diff.js';
+import { slugifyHeading } from './toc.js';
+import { escapeHtml } from './utils.js';
+import { readZip } from './zip-reader.js';
+
+/**
+ * Chat commands for the roll modes of deferred inline rolls
+ */
+const ROLL_COMMANDS = {
+  roll: 'r',
+  gmroll: 'gmr',
+  blindroll: 'br',
+  selfroll: 'sr',
+  publicroll: 'pr'
+};
+
+/**
+ * Image types by file extension, for uploads
+ */
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Images waiting to be uploaded are referenced as "intrinsics-upload:N" until the import is applied
+ */
+const UPLOAD_PREFIX = 'intrinsics-upload:';
+const UPLOAD_PATTERN = /intrinsics-upload:\d+/g;
+
+/**
+ * Read an exported file
+ * Accepts an HTML export, a single Markdown note, or a ZIP of Markdown notes or HTML files
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<{title: string, pages: Array<Object>, uploads: Map<string, Object>}>} - Title of the export, its pages
+ *   ({id, uuid, name, showTitle, level, sort, category, type, content, src, caption}) and the images they need uploaded
+ * @throws {Error} - If the file holds no exported pages
+ */
+export async function readImportFile(file) {
+  const source = { title: file.name.replace(/\.[^.]+$/, ''), pages: [], uploads: new Map() };
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (extension === 'zip') {
+    const files = await readZip(file);
+
+    // Index notes and other files without front matter aren't pages
+    const notes = [];
+    for (const [name, blob] of files) {
+      if (!name.endsWith('.md')) continue;
+      const { metadata, body } = parseFrontMatter(await blob.text());
+      if (metadata) notes.push({ name, metadata, body });
+    }
+
+    if (notes.length) {
+      parseMarkdownNotes(notes, source, files);
+    } else {
+      for (const name of [...files.keys()].filter(name => /\.html?$/i.test(name)).sort()) {
+        parseHTMLExport(await files.get(name).text(), source, { files, base: name });
+      }
+    }
+  } else if (extension === 'md' || extension === 'markdown') {
+    const { metadata, body } = parseFrontMatter(await file.text());
+    parseMarkdownNotes([{ name: file.name, metadata: metadata ?? {}, body }], source, null);
+  } else {
+    parseHTMLExport(await file.text(), source, {});
+  }
+
+  if (!source.pages.length) {
+    throw new Error(`No exported journal pages found in ${file.name}`);
+  }
+
+  return source;
+}
+
+/**
+ * Work out what importing would change
+ * Pages are matched by their id in the chosen journal, or by UUID wherever they are for automatic imports,
+ * then by name; pages without a match are created
+ * @param {Object} source - From readImportFile
+ * @param {Object} [options] - Import options
+ * @param {string} [options.target='auto'] - UUID of the journal to import into, 'new' for a new journal,
+ *   or 'auto' for the pages the file was exported from (new pages go to their journal, or a new one)
+ * @returns {Promise<{source: Object, title: string, journal: JournalEntry|null, entries: Array<{page: Object, existing: JournalEntryPage|null, action: string, reason: string|null, rename: string|null, diff: Array}>}>} - Import plan;
+ *   each entry's action is 'create', 'update', 'unchanged' or 'skip' (with the reason), and journal is null when a new one will be created
+ */
+export async function planImport(source, { target = 'auto' } = {}) {
+  let journal = null;
+  if (target !== 'auto' && target !== 'new') {
+    journal = await fromUuid(target);
+    if (!journal) {
+      throw new Error(`Journal not found: ${target}`);
+    }
+  }
+
+  const matches = await Promise.all(source.pages.map(page => findPage(page, journal, target === 'auto')));
+  if (target === 'auto') {
+    journal = matches.find(Boolean)?.parent ?? null;
+  }
+
+  // Pages renamed in Foundry or copied to another journal are found by name
+  if (journal) {
+    const used = new Set(matches.filter(Boolean).map(page => page.uuid));
+    source.pages.forEach((page, index) => {
+      if (matches[index] || !page.showTitle) return;
+      const match = journal.pages.find(existing => !used.has(existing.uuid) && existing.name.toLowerCase() === page.name.toLowerCase());
+      if (match) {
+        matches[index] = match;
+        used.add(match.uuid);
+      }
+    });
+  }
+
+  const canCreate = journal
+    ? journal.canUserModify(game.user, 'update') && !journal.compendium?.locked
+    : getDocumentClass('JournalEntry').canUserCreate(game.user);
+
+  const entries = source.pages.map((page, index) => planPage(page, matches[index], canCreate, source));
+
+  return { source, title: source.title, journal, entries };
+}
+
+/**
+ * Apply an import plan
+ * Images are uploaded first, then new pages created and changed pages updated
+ * @param {Object} plan - From planImport
+ * @param {Array<Object>} entries - The plan's entries to apply; unchanged and skipped entries are ignored
+ * @param {Object} options - Apply options
+ * @param {string} options.folder - Data folder the images are uploaded to
+ * @returns {Promise<{journal: JournalEntry|null, created: number, updated: number, uploaded: number}>} - Journal new pages went to, and what was done
+ */
+export async function applyImport(plan, entries, { folder }) {
+  const selected = entries.filter(entry => entry.action === 'create' || entry.action === 'update');
+  const paths = await uploadImages(plan.source, selected, folder);
+  const resolve = text => text?.replace(UPLOAD_PATTERN, token => paths.get(token) ?? token);
+
+  let journal = plan.journal;
+  let created = 0;
+
+  const creates = selected.filter(entry => entry.action === 'create');
+  if (creates.length) {
+    if (!journal) {
+      journal = await getDocumentClass('JournalEntry').create({ name: plan.title });
+    }
+
+    const categories = await getCategories(journal, creates.map(entry => entry.page.category));
+
+    // New pages go after the existing ones; a new journal keeps the exported order
+    let sort = Math.max(0, ...journal.pages.map(page => page.sort ?? 0));
+    const data = creates.map(({ page }) => {
+      sort += CONST.SORT_INTEGER_DENSITY;
+      return createPageData(page, plan.journal ? sort : page.sort ?? sort, categories.get(page.category), resolve);
+    });
+
+    created = (await journal.createEmbeddedDocuments('JournalEntryPage', data)).length;
+  }
+
+  // Automatic imports can update pages in several journals
+  const updates = new Map();
+  for (const { page, existing } of selected.filter(entry => entry.action === 'update')) {
+    if (!updates.has(existing.parent)) updates.set(existing.parent, []);
+    updates.get(existing.parent).push(createPageUpdate(page, existing, resolve));
+  }
+
+  let updated = 0;
+  for (const [parent, changes] of updates) {
+    updated += (await parent.updateEmbeddedDocuments('JournalEntryPage', changes)).length;
+  }
+
+  return { journal, created, updated, uploaded: paths.size };
+}
+
+/**
+ * Read the pages of an HTML export
+ * @param {string} html - Exported HTML document
+ * @param {Object} source - Import source, pages and uploads are added to
+ * @param {Object} location - Where the document came from
+ * @param {Map<string, Blob>} [location.files] - Files of the ZIP the document is in
+ * @param {string} [location.base] - Path of the document in the ZIP
+ */
+function parseHTMLExport(html, source, { files = null, base = '' }) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  if (!files) {
+    source.title = doc.title.trim() || source.title;
+  }
+
+  // Images shown more than once are defined once, up front (see embedAssets)
+  const definitions = new Map();
+  for (const image of doc.querySelectorAll('svg.export-image-definitions image[id]')) {
+    definitions.set(image.id, image.getAttribute('href') ?? image.getAttribute('xlink:href'));
+  }
+
+  for (const section of doc.querySelectorAll('.journal-page')) {
+    const content = section.querySelector(':scope > .journal-page-content');
+    if (!content) continue;
+
+    const title = section.querySelector(':scope > .journal-page-title');
+    const category = section.closest('.journal-category')?.querySelector(':scope > .journal-category-title');
+    const type = getPageType(content);
+
+    restoreContent(content, { source, files, base, definitions });
+    source.pages.push(createImportedPage(content, {
+      id: section.id.match(/^page-(.+)$/)?.[1] ?? null,
+      uuid: section.dataset.uuid ?? null,
+      name: title?.textContent.trim() || `Page ${source.pages.length + 1}`,
+      showTitle: !!title,
+      level: Number(section.className.match(/\btitle-level-(\d)\b/)?.[1] ?? 1),
+      sort: null,
+      category: category?.textContent.trim() ?? null,
+      type
+    }));
+  }
+}
+
+/**
+ * Read the pages of a Markdown export
+ * @param {Array<{name: string, metadata: Object, body: string}>} notes - Notes with their path and front matter
+ * @param {Object} source - Import source, pages and uploads are added to
+ * @param {Map<string, Blob>|null} files - Files of the ZIP the notes are in
+ */
+function parseMarkdownNotes(notes, source, files) {
+  // Wikilinks name notes by path, and the front matter ties each path to its page
+  const uuids = new Map(notes.filter(note => note.metadata.uuid).map(note => [note.name.replace(/\.md$/, ''), note.metadata.uuid]));
+
+  const journals = new Set(notes.map(note => note.metadata.journal).filter(Boolean));
+  if (journals.size === 1) {
+    source.title = [...journals][0];
+  }
+
+  for (const { name, metadata, body } of notes) {
+    let markdown = body;
+
+    // Notes start with their page title, unless the page hides it
+    const heading = markdown.match(/^(#{1,6}) +(.*)\n*/);
+    const title = heading ? unescapeMarkdown(heading[2].trim()) : null;
+    const showTitle = !!heading && (!metadata.title || title === metadata.title);
+    if (showTitle) {
+      markdown = markdown.slice(heading[0].length);
+    }
+
+    const content = document.createElement('div');
+    content.innerHTML = convertMarkdown(prepareMarkdown(markdown, { uuids, uuid: metadata.uuid ?? null }));
+    restoreContent(content, { source, files, base: name });
+
+    const type = metadata.type ?? 'text';
+    source.pages.push(createImportedPage(content, {
+      id: metadata.id ?? null,
+      uuid: metadata.uuid ?? null,
+      name: metadata.title ?? title ?? name.split('/').pop().replace(/\.md$/, ''),
+      showTitle: showTitle || !metadata.title,
+      level: showTitle ? heading[1].length : 1,
+      sort: typeof metadata.sort === 'number' ? metadata.sort : null,
+      category: metadata.category ?? null,
+      type: type === 'text' || type === 'image' ? type : null
+    }));
+  }
+}
+
+/**
+ * Split a note into its front matter and body
+ * Only top-level fields are read; values are JSON (as the Markdown writer writes them) or plain text
+ * @param {string} text - Note
+ * @returns {{metadata: Object|null, body: string}} - Front matter fields, null if there is no front matter, and the rest of the note
+ */
+function parseFrontMatter(text) {
+  const match = text.replace(/\r\n?/g, '\n').match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) {
+    return { metadata: null, body: text.replace(/\r\n?/g, '\n') };
+  }
+
+  const metadata = {};
+  for (const line of match[1].split('\n')) {
+    const field = line.match(/^("(?:[^"\\]|\\.)*"|[\w-]+):\s*(.*)$/);
+    if (!field) continue;
+
+    const key = field[1].startsWith('"') ? JSON.parse(field[1]) : field[1];
+    try {
+      metadata[key] = field[2] ? JSON.parse(field[2]) : null;
+    } catch (error) {
+      metadata[key] = field[2];
+    }
+  }
+
+  return { metadata, body: text.replace(/\r\n?/g, '\n').slice(match[0].length).replace(/^\n+/, '') };
+}
+
+/**
+ * Turn the Markdown writer's extensions back into Markdown showdown understands
+ * Wikilinks become @UUID links, footnotes (made from links) are dropped, backslash line breaks become <br>,
+ * and destinations in angle brackets are percent-encoded; fenced code is left alone
+ * @param {string} markdown - Note body
+ * @param {Object} context - Link context
+ * @param {Map<string, string>} context.uuids - Page UUIDs keyed by note path without extension
+ * @param {string|null} context.uuid - UUID of the note's own page
+ * @returns {string} - Markdown
+ */
+function prepareMarkdown(markdown, context) {
+  let fence = null;
+  const lines = [];
+
+  for (const line of markdown.split('\n')) {
+    if (fence) {
+      if (fence.test(line)) fence = null;
+      lines.push(line);
+      continue;
+    }
+
+    const opening = line.match(/^ {0,3}(`{3,}|~{3,})/)?.[1];
+    if (opening) {
+      fence = new RegExp(`^ {0,3}${opening[0]}{${opening.length},}\\s*$`);
+      lines.push(line);
+      continue;
+    }
+
+    if (/^\[\^\d+\]: /.test(line)) continue;
+
+    lines.push(line
+      .replace(/(?<!\\)\[\^\d+\]/g, '')
+      .replace(/(?<!\\)\[\[([^\]\n]+)\]\]/g, (match, inner) => formatWikilink(inner, context))
+      .replace(/\]\(<([^>\n]*)>\)/g, (match, path) => `](${path.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')})`)
+      .replace(/\\</g, '&lt;')
+      .replace(/(?<!\\)((?:\\\\)*)\\$/, '$1<br>'));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Turn a wikilink into an @UUID link
+ * Links to notes outside the file keep only their text
+ * @param {string} inner - Text between the brackets, such as "Lost Mine/Goblin Ambush#Tactics|the ambush"
+ * @param {Object} context - Link context from prepareMarkdown
+ * @returns {string} - @UUID link or text
+ */
+function formatWikilink(inner, { uuids, uuid }) {
+  const [target, alias] = inner.split(/\\?\|/);
+  const [note, heading] = target.split('#');
+  const page = note ? uuids.get(note) : uuid;
+  const label = alias?.trim() || heading?.trim() || note.split('/').pop();
+
+  if (!page) {
+    return label;
+  }
+
+  if (!alias && !heading) {
+    return `@UUID[${page}]`;
+  }
+
+  return `@UUID[${page}${heading ? `#${slugifyHeading(heading)}` : ''}]{${label}}`;
+}
+
+/**
+ * Remove the backslash escapes the Markdown writer adds to text
+ * @param {string} text - Escaped text
+ * @returns {string} - Text
+ */
+function unescapeMarkdown(text) {
+  return text
+    .replace(/\\([\\`*_[\]~<>#+\-.!|()])/g, '$1')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decide how an exported page can be imported
+ * @param {HTMLElement} content - Page content
+ * @returns {string|null} - 'text' or 'image', null for video, PDF and unsupported pages
+ */
+function getPageType(content) {
+  const blocks = [...content.children];
+  if (blocks.length !== 1) return 'text';
+
+  if (blocks[0].matches('figure.journal-page-image')) return 'image';
+  if (blocks[0].matches('figure.journal-page-video, .journal-page-pdf, .page-unsupported')) return null;
+  return 'text';
+}
+
+/**
+ * Undo what the export did to page content
+ * Footnotes and heading anchors are removed, links and inline rolls become Foundry markup again,
+ * shared images become <img> elements and every image points at its original path or an upload
+ * @param {HTMLElement} content - Page content, changed in place
+ * @param {Object} context - Where the content came from
+ * @param {Object} context.source - Import source, uploads are added to
+ * @param {Map<string, Blob>|null} [context.files] - Files of the ZIP the content is in
+ * @param {string} [context.base] - Path of the content's file in the ZIP
+ * @param {Map<string, string>} [context.definitions] - Shared image data keyed by id
+ */
+function restoreContent(content, context) {
+  for (const element of content.querySelectorAll('ol.export-footnotes, sup.export-footnote-ref')) {
+    element.remove();
+  }
+
+  for (const element of content.querySelectorAll('[data-uuid]')) {
+    element.replaceWith(formatContentLink(element));
+  }
+
+  for (const element of content.querySelectorAll('span.inline-roll-formula[data-formula]')) {
+    element.replaceWith(formatInlineRoll(element));
+  }
+
+  // Exports made before links and rolls kept their source can only give back the text
+  for (const element of content.querySelectorAll('a.document-link, span.document-reference, span.inline-roll-formula, span.enriched-text')) {
+    element.replaceWith(element.textContent);
+  }
+
+  for (const heading of content.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]')) {
+    if (heading.id.startsWith('page-')) heading.removeAttribute('id');
+  }
+
+  for (const svg of content.querySelectorAll('svg.export-image')) {
+    svg.replaceWith(createImage(svg, context.definitions));
+  }
+
+  for (const image of content.querySelectorAll('img')) {
+    const src = resolveImage(image.getAttribute('src'), image.dataset.exportSrc, context);
+    if (src) image.setAttribute('src', src);
+    image.removeAttribute('data-export-src');
+  }
+}
+
+/**
+ * Turn a converted content link back into an @UUID link
+ * The label is left out when it is the document's own name
+ * @param {HTMLElement} element - a.document-link or span.document-reference with data-uuid
+ * @returns {string} - @UUID link
+ */
+function formatContentLink(element) {
+  const { uuid, hash } = element.dataset;
+  const label = element.textContent.trim();
+
+  if (!hash && label === getDocumentName(uuid)) {
+    return `@UUID[${uuid}]`;
+  }
+
+  return `@UUID[${uuid}${hash ? `#${hash}` : ''}]{${label}}`;
+}
+
+/**
+ * Turn a printed inline roll back into an inline roll
+ * @param {HTMLElement} element - span.inline-roll-formula with data-formula
+ * @returns {string} - Inline roll such as "[[/r 1d20]]{Attack}" or "[[2d6]]"
+ */
+function formatInlineRoll(element) {
+  const { formula, label, mode, flavor, immediate } = element.dataset;
+  const roll = flavor ? `${formula} # ${flavor}` : formula;
+
+  if (immediate) {
+    return `[[${roll}]]`;
+  }
+
+  return `[[/${ROLL_COMMANDS[mode] ?? 'r'} ${roll}]]${label ? `{${label}}` : ''}`;
+}
+
+/**
+ * Replace an image shared through an SVG reference with a plain <img>
+ * @param {SVGSVGElement} svg - svg.export-image
+ * @param {Map<string, string>} [definitions] - Shared image data keyed by id
+ * @returns {HTMLImageElement} - Image with the reference's classes, size, alt text and original path
+ */
+function createImage(svg, definitions) {
+  const image = svg.ownerDocument.createElement('img');
+  const id = (svg.querySelector('use')?.getAttribute('href') ?? '').replace(/^#/, '');
+  image.setAttribute('src', definitions?.get(id) ?? '');
+  if (svg.dataset.exportSrc) image.dataset.exportSrc = svg.dataset.exportSrc;
+
+  const classes = (svg.getAttribute('class') ?? '').split(/\s+/).filter(name => name && name !== 'export-image');
+  if (classes.length) image.className = classes.join(' ');
+
+  // The reference is given the image's natural width when the <img> had none
+  const naturalWidth = svg.getAttribute('viewBox')?.split(/\s+/)[2];
+  if (svg.getAttribute('width') && svg.getAttribute('width') !== naturalWidth) image.setAttribute('width', svg.getAttribute('width'));
+  if (svg.getAttribute('height')) image.setAttribute('height', svg.getAttribute('height'));
+  if (svg.getAttribute('style')) image.setAttribute('style', svg.getAttribute('style'));
+
+  const alt = svg.querySelector('title')?.textContent;
+  if (alt) image.alt = alt;
+
+  return image;
+}
+
+/**
+ * Find where an imported image should point
+ * Images keep the path they were exported from; embedded images and ZIP attachments are uploaded
+ * @param {string|null} src - Image source in the file
+ * @param {string} [exportSrc] - Path the image was exported from
+ * @param {Object} context - Content context from restoreContent
+ * @returns {string|null} - Image source, an upload placeholder, or null if the image has none
+ */
+function resolveImage(src, exportSrc, context) {
+  if (exportSrc) return exportSrc;
+  if (!src) return null;
+
+  if (src.startsWith('data:')) {
+    return addUpload(context.source, src, { data: src, name: null });
+  }
+
+  const path = context.files ? resolvePath(context.base, src) : null;
+  if (path && context.files.has(path)) {
+    const name = path.split('/').pop();
+    const type = IMAGE_TYPES[name.split('.').pop().toLowerCase()] ?? '';
+    return addUpload(context.source, path, { data: new Blob([context.files.get(path)], { type }), name });
+  }
+
+  return src;
+}
+
+/**
+ * Resolve a relative link against the path of the file it is in
+ * @param {string} base - Path of the linking file in the ZIP
+ * @param {string} src - Link
+ * @returns {string|null} - Path in the ZIP, null for absolute URLs
+ */
+function resolvePath(base, src) {
+  if (/^[a-z][a-z0-9+.-]*:|^[/#]/i.test(src)) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+
+  const parts = base.split('/').slice(0, -1);
+  for (const part of decoded.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+
+  return parts.join('/');
+}
+
+/**
+ * Register an image to upload, once per distinct image
+ * @param {Object} source - Import source
+ * @param {string} key - Data URI or ZIP path identifying the image
+ * @param {{data: string|Blob, name: string|null}} upload - Image data (a data URI or file) and filename, null to name it after its content
+ * @returns {string} - Placeholder replaced by the uploaded path
+ */
+function addUpload(source, key, upload) {
+  if (!source.uploads.has(key)) {
+    source.uploads.set(key, { token: `${UPLOAD_PREFIX}${source.uploads.size + 1}`, ...upload });
+  }
+  return source.uploads.get(key).token;
+}
+
+/**
+ * Create an imported page from restored content
+ * @param {HTMLElement} content - Restored page content
+ * @param {Object} page - Page fields read from the file
+ * @returns {Object} - Imported page; image pages carry src and caption, text pages content
+ */
+function createImportedPage(content, page) {
+  if (page.type === 'image') {
+    const caption = content.querySelector('figcaption') ?? content;
+    return { ...page, content: null, src: content.querySelector('img')?.getAttribute('src') ?? null, caption: caption.textContent.trim() };
+  }
+
+  return { ...page, content: page.type ? content.innerHTML.trim() : null, src: null, caption: null };
+}
+
+/**
+ * Find the existing page an imported page replaces
+ * @param {Object} page - Imported page
+ * @param {JournalEntry|null} journal - Journal to look in
+ * @param {boolean} anywhere - Look the page up by UUID instead, in whatever journal it is
+ * @returns {Promise<JournalEntryPage|null>} - Existing page
+ */
+async function findPage(page, journal, anywhere) {
+  if (anywhere) {
+    const existing = page.uuid ? await fromUuid(page.uuid).catch(() => null) : null;
+    return existing?.documentName === 'JournalEntryPage' ? existing : null;
+  }
+
+  return (page.id && journal?.pages.get(page.id)) || null;
+}
+
+/**
+ * Decide what to do with one imported page
+ * @param {Object} page - Imported page
+ * @param {JournalEntryPage|null} existing - Page it replaces
+ * @param {boolean} canCreate - Whether the user may add pages to the target journal
+ * @param {Object} source - Import source
+ * @returns {Object} - Plan entry
+ */
+function planPage(page, existing, canCreate, source) {
+  const entry = { page, existing, action: 'create', reason: null, rename: null, diff: [] };
+  const skip = reason => ({ ...entry, action: 'skip', reason });
+
+  if (!page.type) return skip('only text and image pages can be imported');
+
+  const lines = getImportedLines(page, source);
+
+  if (!existing) {
+    if (!canCreate) return skip('you may not add pages to this journal');
+    entry.diff = diffLines([], lines);
+    return entry;
+  }
+
+  if (existing.type !== page.type) return skip(`the existing page is a ${existing.type} page`);
+  if (existing.compendium?.locked) return skip('the compendium is locked');
+  if (!existing.canUserModify(game.user, 'update')) return skip('you may not edit this page');
+
+  entry.diff = diffLines(getExistingLines(existing), lines);
+  entry.rename = page.showTitle && page.name !== existing.name ? page.name : null;
+  entry.action = entry.rename || entry.diff.some(line => line.type !== 'same') ? 'update' : 'unchanged';
+
+  if (entry.action === 'update' && existing.text?.format === CONST.JOURNAL_ENTRY_PAGE_FORMATS.MARKDOWN) {
+    entry.reason = 'the page will switch from Markdown to HTML';
+  }
+
+  return entry;
+}
+
+/**
+ * Get the lines of an imported page, for comparison
+ * @param {Object} page - Imported page
+ * @param {Object} source - Import source, naming the images to upload
+ * @returns {string[]} - Lines
+ */
+function getImportedLines(page, source) {
+  // Uploads are named after their file, or shown as embedded images
+  const names = new Map([...source.uploads.values()].map(upload => [upload.token, upload.name ?? 'data:']));
+  const html = page.type === 'image' ? renderImage(page.src, page.caption) : page.content;
+  return getTextLines(html.replace(UPLOAD_PATTERN, token => names.get(token)));
+}
+
+/**
+ * Get the lines of an existing page, for comparison
+ * @param {JournalEntryPage} page - Existing page
+ * @returns {string[]} - Lines
+ */
+function getExistingLines(page) {
+  return getTextLines(page.type === 'image' ? renderImage(page.src, page.image?.caption) : page.text?.content);
+}
+
+/**
+ * Render an image page's image and caption for comparison
+ * @param {string|null} src - Image source
+ * @param {string|null} caption - Caption
+ * @returns {string} - HTML
+ */
+function renderImage(src, caption) {
+  return `<img src="${escapeHtml(src ?? '')}"><p>${escapeHtml(caption ?? '')}</p>`;
+}
+
+/**
+ * Upload the images the applied pages need
+ * @param {Object} source - Import source
+ * @param {Array<Object>} entries - Plan entries being applied
+ * @param {string} folder - Data folder to upload to
+ * @returns {Promise<Map<string, string>>} - Uploaded paths keyed by placeholder
+ * @throws {Error} - If the user may not upload files
+ */
+async function uploadImages(source, entries, folder) {
+  const tokens = new Set();
+  for (const { page } of entries) {
+    for (const [token] of `${page.content ?? ''} ${page.src ?? ''}`.matchAll(UPLOAD_PATTERN)) {
+      tokens.add(token);
+    }
+  }
+
+  const paths = new Map();
+  if (!tokens.size) return paths;
+
+  if (!game.user.can('FILES_UPLOAD')) {
+    throw new Error('Importing these pages uploads images, which you do not have permission to do');
+  }
+
+  await ensureDirectory(folder);
+
+  for (const upload of source.uploads.values()) {
+    if (!tokens.has(upload.token)) continue;
+
+    const blob = typeof upload.data === 'string' ? await (await fetch(upload.data)).blob() : upload.data;
+    const name = upload.name ?? await getContentName(blob);
+    paths.set(upload.token, await uploadFile(blob, folder, name));
+  }
+
+  return paths;
+}
+
+/**
+ * Name an embedded image after its content, so importing the same image again replaces the earlier upload
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} - Filename such as "image-3f2a9c0d1e4b5a69.png"
+ */
+async function getContentName(blob) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', await blob.arrayBuffer()));
+  const hash = [...digest.slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const extension = Object.keys(IMAGE_TYPES).find(key => IMAGE_TYPES[key] === blob.type) ?? 'png';
+  return `image-${hash}.${extension}`;
+}
+
+/**
+ * Get the ids of the categories new pages go into, creating missing ones
+ * Journals only have categories from Foundry v13 on
+ * @param {JournalEntry} journal - Journal receiving the pages
+ * @param {Array<string|null>} names - Category names of the new pages
+ * @returns {Promise<Map<string, string>>} - Category ids keyed by name
+ */
+async function getCategories(journal, names) {
+  const ids = new Map();
+  if (!journal.categories) return ids;
+
+  for (const category of journal.categories) {
+    ids.set(category.name, category.id);
+  }
+
+  const missing = [...new Set(names.filter(name => name && !ids.has(name)))];
+  if (missing.length) {
+    let sort = Math.max(0, ...journal.categories.map(category => category.sort ?? 0));
+    const created = await journal.createEmbeddedDocuments('JournalEntryCategory', missing.map(name => {
+      sort += CONST.SORT_INTEGER_DENSITY;
+      return { name, sort };
+    }));
+    for (const category of created) {
+      ids.set(category.name, category.id);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Build the data for a new page
+ * @param {Object} page - Imported page
+ * @param {number} sort - Sort value
+ * @param {string} [category] - Category id
+ * @param {function(string): string} resolve - Replaces upload placeholders with uploaded paths
+ * @returns {Object} - JournalEntryPage data
+ */
+function createPageData(page, sort, category, resolve) {
+  const data = {
+    name: page.name,
+    type: page.type,
+    sort,
+    title: { show: page.showTitle, level: page.level }
+  };
+
+  if (category) {
+    data.category = category;
+  }
+
+  if (page.type === 'image') {
+    data.src = resolve(page.src);
+    data.image = { caption: page.caption };
+  } else {
+    data.text = { content: resolve(page.content), format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML };
+  }
+
+  return data;
+}
+
+/**
+ * Build the update for an existing page
+ * Markdown pages are switched to HTML, as the imported content is HTML
+ * @param {Object} page - Imported page
+ * @param {JournalEntryPage} existing - Page being updated
+ * @param {function(string): string} resolve - Replaces upload placeholders with uploaded paths
+ * @returns {Object} - Update data
+ */
+function createPageUpdate(page, existing, resolve) {
+  const update = { _id: existing.id };
+
+  if (page.showTitle && page.name !== existing.name) {
+    update.name = page.name;
+  }
+
+  if (page.type === 'image') {
+    update.src = resolve(page.src);
+    update['image.caption'] = page.caption;
+  } else {
+    update['text.content'] = resolve(page.content);
+    update['text.format'] = CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML;
+  }
+
+  return update;
+}
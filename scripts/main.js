@@ -3,10 +3,25 @@
  * Exports journal entries as standalone HTML files for PDF conversion
  */
 
-import { exportJournalToPDF } from './pdf-generator.js';
+import { exportCompendium, exportFolder } from './batch-exporter.js';
+import { openSnapshotBrowser } from './backup-browser.js';
+import { openBookBuilder } from './book-builder.js';
+import { CONFIG, MODULE_ID } from './config.js';
+import { promptExportOptions } from './export-dialog.js';
+import { enqueueExport, getQueueLength } from './export-queue.js';
+import { REPORT_FORMATS, showExportReport } from './export-report.js';
+import { IMAGE_DPI, IMAGE_FORMATS } from './image-optimizer.js';
+import { promptImport, showImportPreview } from './import-dialog.js';
+import { backupJournal, listSnapshots, readSnapshot, scheduleBackup } from './journal-backup.js';
+import { applyImport, planImport, readImportFile } from './journal-importer.js';
+import { exportBook, exportJournalToPDF } from './pdf-generator.js';
+import { EXPORT_MODES } from './player-filter.js';
+import { IFRAME_MODES } from './sanitizer.js';
+import { DESTINATIONS, SERVER_CONFLICTS, SHARE_MODES } from './server-publisher.js';
+import { registerTheme } from './themes.js';
+import { TOC_DEPTHS } from './toc.js';
 
 // Module constants
-const MODULE_ID = 'intrinsics-pdf-exporter';
 const MODULE_NAME = 'Intrinsics HTML Exporter';
 
 /**
@@ -15,7 +30,7 @@ const MODULE_NAME = 'Intrinsics HTML Exporter';
 Hooks.once('init', function() {
   console.log(`${MODULE_NAME} | Initializing module`);
 
-  // Register module settings (if needed in future)
+  // Register module settings
   registerSettings();
 
   console.log(`${MODULE_NAME} | Module initialized`);
@@ -30,9 +45,38 @@ Hooks.once('ready', function() {
 });
 
 /**
- * Add "Export to HTML" button to journal sheet headers
+ * Snapshot journals as they are edited, when backups are enabled
+ * Page changes, including added and deleted pages, count as changes to their journal
+ */
+Hooks.on('updateJournalEntry', journal => scheduleBackup(journal));
+Hooks.on('createJournalEntryPage', page => scheduleBackup(page.parent));
+Hooks.on('updateJournalEntryPage', page => scheduleBackup(page.parent));
+Hooks.on('deleteJournalEntryPage', page => scheduleBackup(page.parent));
+
+/**
+ * Add "Export to HTML", "Import" and "Snapshots" buttons to journal sheet headers
  */
 Hooks.on('getJournalSheetHeaderButtons', (app, buttons) => {
+  // Snapshots hold GM view exports, so only GMs browse them
+  if (game.user.isGM && game.settings.get(MODULE_ID, 'backupEnabled') && !app.object.pack) {
+    buttons.unshift({
+      label: 'Snapshots',
+      class: 'journal-snapshots',
+      icon: 'fas fa-clock-rotate-left',
+      onclick: () => openSnapshotBrowser(app.object)
+    });
+  }
+
+  // Only owners can write imported pages back into the journal
+  if (app.object.canUserModify(game.user, 'update')) {
+    buttons.unshift({
+      label: 'Import',
+      class: 'import-html',
+      icon: 'fas fa-file-import',
+      onclick: () => handleImport(app.object)
+    });
+  }
+
   // Add export button at the beginning of the buttons array
   buttons.unshift({
     label: 'HTML',
@@ -42,20 +86,129 @@ Hooks.on('getJournalSheetHeaderButtons', (app, buttons) => {
   });
 });
 
-// Track if export is in progress to prevent multiple simultaneous exports
-let exportInProgress = false;
+/**
+ * Add "Book Export" and "Import Journal" buttons to the Journal Directory header
+ * The html argument is jQuery before v13 and an HTMLElement from v13 on
+ */
+Hooks.on('renderJournalDirectory', (app, html) => {
+  const element = html[0] ?? html;
+  const actions = element.querySelector('.header-actions');
+  if (!actions || actions.querySelector('.intrinsics-book-export')) {
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'intrinsics-book-export';
+  button.innerHTML = '<i class="fas fa-book"></i> Book Export';
+  button.addEventListener('click', () => handleBookExport());
+  actions.appendChild(button);
+
+  const importButton = document.createElement('button');
+  importButton.type = 'button';
+  importButton.className = 'intrinsics-journal-import';
+  importButton.innerHTML = '<i class="fas fa-file-import"></i> Import Journal';
+  importButton.addEventListener('click', () => handleImport());
+  actions.appendChild(importButton);
+});
+
+/**
+ * Add "Export to HTML (ZIP)" to journal folder context menus
+ * v11/v12 call getJournalDirectoryFolderContext, v13 calls getFolderContextOptions for every directory
+ */
+Hooks.on('getJournalDirectoryFolderContext', (html, options) => addFolderContextOption(options));
+Hooks.on('getFolderContextOptions', (app, options) => {
+  if (app.documentName === 'JournalEntry') {
+    addFolderContextOption(options);
+  }
+});
+
+/**
+ * Add "Export to HTML (ZIP)" to journal compendium pack context menus
+ * v11/v12 call getCompendiumDirectoryEntryContext, v13 calls getCompendiumContextOptions
+ */
+Hooks.on('getCompendiumDirectoryEntryContext', (html, options) => addCompendiumContextOption(options));
+Hooks.on('getCompendiumContextOptions', (app, options) => addCompendiumContextOption(options));
+
+/**
+ * Add the folder batch export option
+ * @param {Object[]} options - Context menu options
+ */
+function addFolderContextOption(options) {
+  options.push({
+    name: 'Export to HTML (ZIP)',
+    icon: '<i class="fas fa-file-zipper"></i>',
+    condition: li => !!getFolderFromContext(li),
+    callback: li => handleFolderExport(getFolderFromContext(li))
+  });
+}
+
+/**
+ * Add the compendium batch export option
+ * @param {Object[]} options - Context menu options
+ */
+function addCompendiumContextOption(options) {
+  options.push({
+    name: 'Export to HTML (ZIP)',
+    icon: '<i class="fas fa-file-zipper"></i>',
+    condition: li => getPackFromContext(li)?.documentName === 'JournalEntry',
+    callback: li => handleCompendiumExport(getPackFromContext(li))
+  });
+}
+
+/**
+ * Resolve the folder a context menu was opened on
+ * @param {jQuery|HTMLElement} li - Context menu target (jQuery before v13)
+ * @returns {Folder|undefined} - The folder
+ */
+function getFolderFromContext(li) {
+  const element = li[0] ?? li;
+  const folderId = element.closest('[data-folder-id]')?.dataset.folderId;
+  return game.folders.get(folderId);
+}
+
+/**
+ * Resolve the compendium pack a context menu was opened on
+ * @param {jQuery|HTMLElement} li - Context menu target (jQuery before v13)
+ * @returns {CompendiumCollection|undefined} - The pack
+ */
+function getPackFromContext(li) {
+  const element = li[0] ?? li;
+  const packId = element.closest('[data-pack]')?.dataset.pack;
+  return game.packs.get(packId);
+}
+
+/**
+ * Queue an export, reporting success, failure or cancellation
+ * Progress and the Cancel button are shown by the export queue's panel
+ * @param {string} name - Name of what is being exported
+ * @param {function({signal: AbortSignal, onProgress: Function}): Promise<*>} task - Async function performing the export, given options to pass on
+ * @returns {Promise<*>} - Result of the task, undefined if it failed or was cancelled
+ */
+async function runExport(name, task) {
+  const ahead = getQueueLength();
+  if (ahead) {
+    ui.notifications.info(`${MODULE_NAME}: "${name}" will export after ${ahead} queued export(s)`);
+  }
+
+  try {
+    return await enqueueExport(name, task);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      ui.notifications.info(`${MODULE_NAME}: Export of "${name}" cancelled`);
+      return;
+    }
+
+    console.error(`${MODULE_NAME} | Export failed:`, error);
+    ui.notifications.error(`HTML export failed: ${error.message}. Check console for details.`);
+  }
+}
 
 /**
  * Handle export button click
  * @param {JournalSheet} app - The journal sheet application
  */
 async function handleExportClick(app) {
-  // Prevent multiple simultaneous exports
-  if (exportInProgress) {
-    ui.notifications.warn(`${MODULE_NAME}: Export already in progress, please wait...`);
-    return;
-  }
-
   const journal = app.object;
 
   console.log(`${MODULE_NAME} | Export button clicked for journal:`, journal.name);
@@ -67,40 +220,415 @@ async function handleExportClick(app) {
     return;
   }
 
-  exportInProgress = true;
+  const options = await promptExportOptions(journal.name, journal);
+  if (!options) {
+    return;
+  }
 
-  try {
-    // Show progress notification
-    ui.notifications.info(`Exporting "${journal.name}" to HTML...`);
+  await runExport(journal.name, async job => {
+    const result = await exportJournalToPDF(journal, { ...options, ...job });
+    notifyExportResult(result);
+  });
+}
+
+/**
+ * Export every journal in a folder to a ZIP
+ * @param {Folder} folder - The journal folder
+ */
+async function handleFolderExport(folder) {
+  const options = await promptExportOptions(folder.name);
+  if (!options) {
+    return;
+  }
+
+  await runExport(folder.name, async job => {
+    const result = await exportFolder(folder, { ...options, ...job });
+    notifyBatchResult(result);
+  });
+}
+
+/**
+ * Export every journal in a compendium pack to a ZIP
+ * @param {CompendiumCollection} pack - The journal compendium
+ */
+async function handleCompendiumExport(pack) {
+  const options = await promptExportOptions(pack.title);
+  if (!options) {
+    return;
+  }
+
+  await runExport(pack.title, async job => {
+    const result = await exportCompendium(pack, { ...options, ...job });
+    notifyBatchResult(result);
+  });
+}
+
+/**
+ * Build a book from several journals and export it as one HTML file
+ */
+async function handleBookExport() {
+  const book = await openBookBuilder();
+  if (!book) {
+    return;
+  }
+
+  const options = await promptExportOptions(book.title);
+  if (!options) {
+    return;
+  }
+
+  await runExport(book.title, async job => {
+    const result = await exportBook(book, { ...options, ...job });
+    notifyExportResult(result);
+  });
+}
 
-    // Export to HTML (instant, no delay needed)
-    await exportJournalToPDF(journal);
+/**
+ * Import an exported HTML or Markdown file, creating or updating journal pages after a preview
+ * @param {JournalEntry} [journal] - Journal the import was started from
+ */
+async function handleImport(journal = null) {
+  const request = await promptImport(journal);
+  if (!request) {
+    return;
+  }
 
-    // Show success notification with instructions
-    ui.notifications.success(`HTML exported: ${journal.name}.html - Open in browser and use Print to PDF`);
+  try {
+    const source = await readImportFile(request.file);
+    const plan = await planImport(source, { target: request.target });
+    const entries = await showImportPreview(plan, request.folder);
+    if (!entries) {
+      return;
+    }
 
+    const { journal: target, created, updated, uploaded } = await applyImport(plan, entries, { folder: request.folder });
+    ui.notifications.success(`Imported ${request.file.name}: ${created} page(s) created, ${updated} updated, ${uploaded} image(s) uploaded`);
+
+    if (created && target && !target.sheet.rendered) {
+      target.sheet.render(true);
+    }
   } catch (error) {
-    console.error(`${MODULE_NAME} | Export failed:`, error);
-    ui.notifications.error(`HTML export failed: ${error.message}. Check console for details.`);
-  } finally {
-    exportInProgress = false;
+    console.error(`${MODULE_NAME} | Import failed:`, error);
+    ui.notifications.error(`Import failed: ${error.message}. Check console for details.`);
+  }
+}
+
+/**
+ * Report the outcome of a single file export
+ * Shows the export report when the user has it enabled, otherwise warns about problems
+ * @param {{filename: string, file: Blob|null, path: string|null, report: Object, removed: Array, unresolved: Array}} result - Export result
+ */
+function notifyExportResult({ filename, file, path, report, removed, unresolved }) {
+  if (path) {
+    ui.notifications.success(`Published ${filename} to ${path}`);
+  } else if (file) {
+    ui.notifications.success(`${filename.split('.').pop().toUpperCase()} exported: ${filename}`);
+  } else {
+    ui.notifications.success(`HTML exported: ${filename} - Open in browser and use Print to PDF`);
+  }
+
+  // Not awaited: the next queued export shouldn't wait for the dialog
+  if (game.settings.get(MODULE_ID, 'showReport')) {
+    showExportReport([report], report.title);
+    return;
   }
+
+  if (removed.length) {
+    ui.notifications.warn(`${MODULE_NAME}: Removed ${removed.length} unsafe item(s) from the export. Check console for details.`);
+  }
+
+  notifyUnresolved(unresolved);
+}
+
+/**
+ * Warn about assets that still link to this server
+ * @param {Array} unresolved - Unresolved assets from the export result
+ */
+function notifyUnresolved(unresolved) {
+  if (unresolved.length) {
+    ui.notifications.warn(`${MODULE_NAME}: ${unresolved.length} asset(s) could not be embedded and need this server. Check console for details.`);
+  }
+}
+
+/**
+ * Report the outcome of a batch export
+ * @param {{name: string, filename: string, path: string|null, index: string, exported: string[], failed: Array<{name: string, error: string}>, unresolved: Array, reports: Object[]}} result - Batch result
+ */
+function notifyBatchResult({ name, filename, path, index, exported, failed, unresolved, reports }) {
+  ui.notifications.success(`ZIP ${path ? `published to ${path}` : `exported: ${filename}`} - ${exported.length} journal(s), open ${index} to browse`);
+
+  if (failed.length) {
+    console.warn(`${MODULE_NAME} | Journals not exported:`, failed);
+    ui.notifications.warn(`${MODULE_NAME}: ${failed.length} journal(s) could not be exported. Check console for details.`);
+  }
+
+  if (game.settings.get(MODULE_ID, 'showReport')) {
+    showExportReport(reports, name);
+    return;
+  }
+
+  notifyUnresolved(unresolved);
 }
 
 /**
  * Register module settings
  */
 function registerSettings() {
-  // Future settings can be added here
-  // Example:
-  // game.settings.register(MODULE_ID, 'someetting', {
-  //   name: 'Setting Name',
-  //   hint: 'Setting description',
-  //   scope: 'client',
-  //   config: true,
-  //   type: Boolean,
-  //   default: true
-  // });
+  game.settings.register(MODULE_ID, 'linkMode', {
+    name: 'External Document Links',
+    hint: 'How links to documents that are not part of the export are printed. Links between exported pages always become in-document links.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      text: 'Plain text',
+      footnote: 'Text with footnote'
+    },
+    default: 'footnote'
+  });
+
+  game.settings.register(MODULE_ID, 'exportMode', {
+    name: 'Default Export Mode',
+    hint: 'Mode preselected in the export dialog. Player view leaves out pages the player cannot see, unrevealed secrets and links to hidden documents. Players always export their own player view.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: EXPORT_MODES,
+    default: 'gm'
+  });
+
+  game.settings.register(MODULE_ID, 'playerOwnershipLevel', {
+    name: 'Player View Ownership Level',
+    hint: 'Minimum ownership a player needs on a page for it to be included in a player view export.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      LIMITED: 'Limited',
+      OBSERVER: 'Observer',
+      OWNER: 'Owner'
+    },
+    default: 'OBSERVER'
+  });
+
+  game.settings.register(MODULE_ID, 'iframeMode', {
+    name: 'Embedded Frames',
+    hint: 'What to do with iframes (embedded videos, maps, widgets) in exported content. Scripts, event handlers and javascript: links are always removed.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: IFRAME_MODES,
+    default: 'link'
+  });
+
+  game.settings.register(MODULE_ID, 'imageDPI', {
+    name: 'Image Resolution',
+    hint: 'Downscale embedded images to this resolution across the width of the paper. Smaller images are never enlarged.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    choices: IMAGE_DPI,
+    default: 150
+  });
+
+  game.settings.register(MODULE_ID, 'imageFormat', {
+    name: 'Image Format',
+    hint: 'Re-encode embedded images to shrink the file. Images with transparency stay PNG when JPEG is chosen; SVG and GIF images are never re-encoded.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: IMAGE_FORMATS,
+    default: 'jpeg'
+  });
+
+  game.settings.register(MODULE_ID, 'imageQuality', {
+    name: 'Image Quality',
+    hint: 'JPEG and WebP quality. Lower values give smaller files.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0.1, max: 1, step: 0.05 },
+    default: 0.85
+  });
+
+  game.settings.register(MODULE_ID, 'preserveColors', {
+    name: 'Preserve Colors',
+    hint: 'Keep colored text, callouts and light backgrounds that are readable on white paper. Dark backgrounds are removed and text below the WCAG contrast threshold is darkened; every change is logged to the console. When off, all text prints black.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'harvestStyles', {
+    name: 'Include System Styles',
+    hint: 'Copy the CSS rules from the game system and modules that the exported content uses (callouts, stat blocks, custom boxes), with the fonts and variables they need. Rules are scoped to the page content so they cannot change the print layout.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'embedFonts', {
+    name: 'Embed Fonts',
+    hint: 'Embed the fonts the content and theme use (Foundry\'s bundled fonts, world fonts and system fonts) so the document looks the same on every machine. Only the weights, styles and character ranges in use are included, not subset further; fonts over the size limits link to this server instead.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'tableOfContents', {
+    name: 'Table of Contents',
+    hint: 'Start exported documents with a table of contents. Tools that support CSS paged media (Paged.js, Prince) print page numbers next to each entry.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'tocDepth', {
+    name: 'Table of Contents Depth',
+    hint: 'Which in-page headings are listed under each page title.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    choices: TOC_DEPTHS,
+    default: 2
+  });
+
+  game.settings.register(MODULE_ID, 'outputFormat', {
+    name: 'Output Format',
+    hint: 'HTML keeps the theme, colors and system styles; print it to PDF from a browser. PDF lays out text, lists, tables and images directly in Foundry with the standard PDF fonts, with bookmarks for every page title. EPUB packages every page as a chapter for e-readers, with the theme, images and fonts. Word (DOCX) gives an editable document with Word\'s heading styles, lists, tables, links and images. Markdown writes a ZIP with one note per page, front matter, wikilinks and an attachments folder, for wikis and Obsidian. Each user\'s last choice in the export dialog takes precedence.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: Object.fromEntries(Object.entries(CONFIG.OUTPUT_FORMATS).map(([key, format]) => [key, format.label])),
+    default: 'html'
+  });
+
+  game.settings.register(MODULE_ID, 'runningHeader', {
+    name: 'Running Header',
+    hint: 'Text printed at the top of every page but the cover. Tokens: {title}, {page} (current page title), {pageNumber}, {pageCount}. Separate left, center and right parts with |. In HTML exports {page} needs Paged.js or Prince. Each user\'s last choice in the export dialog takes precedence.',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'runningFooter', {
+    name: 'Running Footer',
+    hint: 'Text printed at the bottom of every page but the cover, with the same tokens as the header. Leave empty for no page numbers. Each user\'s last choice in the export dialog takes precedence.',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '{pageNumber}'
+  });
+
+  game.settings.register(MODULE_ID, 'filenameTemplate', {
+    name: 'Filename Template',
+    hint: 'Default name for exported files, without extension. Tokens: {name}, {world}, {date}, {mode}, {player}. Each user\'s last choice in the export dialog takes precedence.',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '{name}'
+  });
+
+  game.settings.register(MODULE_ID, 'reportFormat', {
+    name: 'Export Report',
+    hint: 'Every export records which pages and assets were included, what failed to load, what the sanitizer removed and which links could not be resolved. Optionally write this report into the exported file as an HTML comment, or save it next to it as a JSON file.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: REPORT_FORMATS,
+    default: 'none'
+  });
+
+  game.settings.register(MODULE_ID, 'exportDestination', {
+    name: 'Save Exports To',
+    hint: 'Download exports to the computer of the user who exports them, or publish them to a folder on the server that the whole table can open. Publishing needs the permission to upload files, and Foundry only accepts uploads of some file types: PDF exports are published as they are and HTML exports as XHTML pages (.xml), while EPUB, Word and ZIP exports can only be downloaded. Each user\'s last choice in the export dialog takes precedence.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: DESTINATIONS,
+    default: 'download'
+  });
+
+  game.settings.register(MODULE_ID, 'serverFolder', {
+    name: 'Server Folder',
+    hint: 'Folder in the data directory that exports are published to, created if it doesn\'t exist. Leave empty for an "exports" folder inside the world\'s folder.',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'serverConflict', {
+    name: 'Existing Published Files',
+    hint: 'What publishing does when the server folder already has a file of the same name.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: SERVER_CONFLICTS,
+    default: 'version'
+  });
+
+  game.settings.register(MODULE_ID, 'shareChat', {
+    name: 'Share Published Files',
+    hint: 'Post a chat message linking each published file, for everyone or whispered to the players chosen in the export dialog.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: SHARE_MODES,
+    default: 'all'
+  });
+
+  game.settings.register(MODULE_ID, 'backupEnabled', {
+    name: 'Journal Backups',
+    hint: 'Keep HTML snapshots of journals as they are edited, written by the active GM to the "Journal Snapshots" world compendium, which only GMs and assistants can open. Snapshots can be opened, compared and restored from the Snapshots button in the journal header. Compendium journals are not backed up.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'backupDelay', {
+    name: 'Backup Delay',
+    hint: 'Seconds a journal has to go without changes before it is snapshotted, so a burst of edits makes one snapshot.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 5, max: 600, step: 5 },
+    default: 30
+  });
+
+  game.settings.register(MODULE_ID, 'backupRetention', {
+    name: 'Snapshots per Journal',
+    hint: 'How many snapshots are kept for each journal. Once a journal has this many, each new snapshot deletes its oldest.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 100, step: 1 },
+    default: 10
+  });
+
+  game.settings.register(MODULE_ID, 'showReport', {
+    name: 'Show Export Report',
+    hint: 'Open the export report in a dialog after each export. Applies to this browser only.',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'customCSS', {
+    name: 'Custom CSS',
+    hint: 'CSS appended to every export after the chosen theme, e.g. ".journal-page-title { color: darkred !important; }".',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
 }
 
 /**
@@ -112,6 +640,18 @@ Hooks.once('ready', function() {
   if (module) {
     module.api = {
       exportJournalToPDF,
+      exportBook,
+      openBookBuilder,
+      exportFolder,
+      exportCompendium,
+      registerTheme,
+      enqueueExport,
+      readImportFile,
+      planImport,
+      applyImport,
+      backupJournal,
+      listSnapshots,
+      readSnapshot,
       version: module.version
     };
   }
@@ -0,0 +1,680 @@
+/**
+ * Markdown Writer - Converts exported HTML into Markdown notes for wikis and Obsidian vaults
+ * Every journal page becomes a GitHub Flavored Markdown file with YAML front matter; links between
+ * exported pages become [[wikilinks]] and images point into a shared attachments folder
+ */
+
+import { getPageAnchor } from './enricher.js';
+import { safeDecodeURIComponent } from './utils.js';
+
+/**
+ * Elements converted as blocks; everything else is inline
+ */
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol',
+  'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+/**
+ * Elements with nothing to put in a note
+ */
+const SKIPPED_TAGS = new Set([
+  'button', 'canvas', 'datalist', 'head', 'input', 'link', 'meta', 'noscript', 'object', 'script', 'select',
+  'source', 'style', 'svg', 'template', 'textarea', 'track'
+]);
+
+/**
+ * Get the path of every page's note
+ * Each journal gets a folder named after it, with one note per page named after the page
+ * @param {JournalEntry[]} journals - Exported journals, in export order
+ * @returns {Map<string, string>} - Note paths such as "Lost Mine/Goblin Ambush.md", keyed by page UUID
+ */
+export function getMarkdownPaths(journals) {
+  const paths = new Map();
+  const folders = new Set();
+
+  for (const journal of journals) {
+    const folder = getUniqueName(getNoteName(journal.name, 'Journal'), folders);
+    const notes = new Set();
+
+    getPages(journal).forEach((page, index) => {
+      paths.set(page.uuid, `${folder}/${getUniqueName(getNoteName(page.name, `Page ${index + 1}`), notes)}.md`);
+    });
+  }
+
+  return paths;
+}
+
+/**
+ * Map every journal and page of a batch to its note, for links between journals exported separately
+ * @param {JournalEntry[]} journals - Journals in the batch
+ * @returns {Map<string, string>} - Note path and page anchor, keyed by UUID; journals link to their first page
+ */
+export function getMarkdownLinkTargets(journals) {
+  const paths = getMarkdownPaths(journals);
+  const targets = new Map();
+
+  for (const journal of journals) {
+    for (const page of getPages(journal)) {
+      const target = `${paths.get(page.uuid)}#${getPageAnchor(page)}`;
+      targets.set(page.uuid, target);
+      if (!targets.has(journal.uuid)) targets.set(journal.uuid, target);
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Convert exported HTML into one Markdown note per journal page
+ * Cover pages, title pages, chapter dividers and the table of contents are left out; a page's category
+ * is recorded in its front matter
+ * @param {string} html - Exported content, with assets written to an attachments bundle
+ * @param {Object} options - Conversion options
+ * @param {JournalEntry[]} options.journals - Exported journals
+ * @param {Map<string, string>} [options.linkTargets] - Note paths from getMarkdownLinkTargets, for batch exports
+ * @param {boolean} [options.flags=true] - Include each page's flags in its front matter
+ * @returns {Array<{name: string, data: string, title: string}>} - Notes with their path and page title, in export order
+ */
+export function createMarkdownFiles(html, { journals, linkTargets, flags = true }) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const root = template.content;
+
+  // Batch exports share their note paths, so links between journals agree with the files
+  const paths = getMarkdownPaths(journals);
+  const pages = new Map();
+  for (const journal of journals) {
+    for (const page of getPages(journal)) {
+      const path = linkTargets?.get(page.uuid)?.split('#')[0] ?? paths.get(page.uuid);
+      pages.set(getPageAnchor(page), { page, journal, path });
+    }
+  }
+
+  const sections = [...root.querySelectorAll('.journal-page')].filter(section => pages.has(section.id));
+  const targets = getLinkTargets(root, sections, pages);
+
+  return sections.map(section => {
+    const { page, journal, path } = pages.get(section.id);
+    const content = section.querySelector(':scope > .journal-page-content');
+
+    // Notes sit in their journal's folder, so attachments are one level up
+    const context = { note: path.replace(/\.md$/, ''), base: '../'.repeat(path.split('/').length - 1), targets };
+
+    let body = '';
+    const title = section.querySelector(':scope > .journal-page-title');
+    if (title) {
+      body += `${'#'.repeat(Number(title.localName[1]))} ${convertInline(title, context).trim()}\n\n`;
+    }
+    if (content) {
+      body += convertBlocks(content, context);
+    }
+
+    const metadata = {
+      title: page.name,
+      journal: journal.name,
+      id: page.id,
+      uuid: page.uuid,
+      type: page.type,
+      sort: page.sort ?? 0,
+      category: page.category ? journal.categories?.get(page.category)?.name : undefined,
+      flags: flags ? page.flags ?? {} : undefined
+    };
+
+    return { name: path, data: `---\n${renderYAML(metadata)}---\n\n${body.trim()}\n`, title: page.name };
+  });
+}
+
+/**
+ * Render a wikilink
+ * @param {string} note - Note path without extension
+ * @param {string} [text] - Link text, shown when it differs from the note or heading name
+ * @param {Object} [options] - Link options
+ * @param {string} [options.heading] - Heading in the note to link to
+ * @param {boolean} [options.table] - Whether the link is in a table cell, where the alias separator is escaped
+ * @returns {string} - Wikilink such as "[[Lost Mine/Goblin Ambush|the ambush]]"
+ */
+export function renderWikilink(note, text = '', { heading, table = false } = {}) {
+  const display = text.replace(/[[\]|]/g, '').replace(/\s+/g, ' ').trim();
+  const name = heading ?? note.split('/').pop();
+  const alias = display && display !== name ? `${table ? '\\|' : '|'}${display}` : '';
+
+  return `[[${note}${heading ? `#${heading}` : ''}${alias}]]`;
+}
+
+/**
+ * Get a journal's pages in sort order
+ * @param {JournalEntry} journal - The journal entry
+ * @returns {JournalEntryPage[]} - Pages
+ */
+function getPages(journal) {
+  const pages = journal.pages || journal.collections?.pages;
+  return (pages?.contents || Array.from(pages?.values() ?? []))
+    .slice()
+    .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+}
+
+/**
+ * Make a document name usable as a note or folder name
+ * Characters that are invalid in filenames or break wikilinks are removed; case and spaces are kept
+ * @param {string} name - Document name
+ * @param {string} fallback - Name to use when nothing is left
+ * @returns {string} - Note name
+ */
+function getNoteName(name, fallback) {
+  const clean = (name ?? '')
+    .replace(/[\\/:*?"<>|#^[\]\p{Cc}]/gu, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100)
+    .trim();
+
+  return clean || fallback;
+}
+
+/**
+ * Pick a name that isn't used yet, ignoring case as most filesystems do
+ * @param {string} name - Preferred name
+ * @param {Set<string>} used - Names taken so far, lowercased; the chosen name is added
+ * @returns {string} - Unique name
+ */
+function getUniqueName(name, used) {
+  let unique = name;
+  for (let n = 2; used.has(unique.toLowerCase()); n++) {
+    unique = `${name} ${n}`;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+ * Map the ids links can point to onto notes and headings
+ * Chapter dividers and category headings have no note of their own, so they point at the page after them
+ * @param {DocumentFragment} root - Parsed content
+ * @param {HTMLElement[]} sections - Journal page elements
+ * @param {Map<string, {path: string}>} pages - Pages keyed by anchor
+ * @returns {Map<string, {note: string, heading: string|null}>} - Link targets keyed by element id
+ */
+function getLinkTargets(root, sections, pages) {
+  const targets = new Map();
+  let waiting = [];
+
+  for (const element of root.querySelectorAll('.book-chapter, .journal-category, .journal-page')) {
+    if (!sections.includes(element)) {
+      if (element.id) waiting.push(element.id);
+      continue;
+    }
+
+    const note = pages.get(element.id).path.replace(/\.md$/, '');
+    for (const id of [...waiting, element.id]) {
+      targets.set(id, { note, heading: null });
+    }
+    waiting = [];
+
+    for (const child of element.querySelectorAll('[id]')) {
+      const heading = /^h[1-6]$/.test(child.localName) && !child.classList.contains('journal-page-title')
+        ? child.textContent.replace(/[[\]|#^]/g, '').replace(/\s+/g, ' ').trim()
+        : '';
+      targets.set(child.id, { note, heading: heading || null });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Convert the children of an element into Markdown blocks
+ * @param {Node} parent - Parent node
+ * @param {Object} context - Note context: note path, attachment base path, link targets, table and list state
+ * @param {string} [separator] - Text between blocks, a blank line by default
+ * @returns {string} - Markdown
+ */
+function convertBlocks(parent, context, separator = '\n\n') {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = formatParagraph(inline);
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of parent.childNodes) {
+    if (child.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(child.localName) && !child.hidden) {
+      flush();
+      const block = convertBlock(child, context);
+      if (block) blocks.push(block);
+    } else {
+      inline += convertInline(child, context);
+    }
+  }
+  flush();
+
+  return blocks.join(separator);
+}
+
+/**
+ * Tidy the inline Markdown of a paragraph
+ * @param {string} inline - Inline Markdown, with hard breaks as backslash-newline
+ * @returns {string} - Paragraph text, empty if there is nothing to show
+ */
+function formatParagraph(inline) {
+  return inline
+    .replace(/ {2,}/g, ' ')
+    .replace(/^(?:\s|\\\n)+|(?:\s|\\\n)+$/g, '')
+    .split('\n')
+    .map(line => escapeLineStart(line.trim()))
+    .join('\n');
+}
+
+/**
+ * Convert a block element
+ * @param {HTMLElement} element - Block element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown
+ */
+function convertBlock(element, context) {
+  const tag = element.localName;
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = formatParagraph(convertInline(element, context)).replace(/\\?\n/g, ' ');
+    if (!text) return '';
+    return context.table ? `**${text}**` : `${'#'.repeat(Number(tag[1]))} ${text}`;
+  }
+
+  if (tag === 'hr') return context.table ? '' : '---';
+  if (tag === 'pre') return convertCode(element, context);
+  if (tag === 'table') return convertTable(element, context);
+  if (tag === 'ul' || tag === 'ol') {
+    return element.classList.contains('export-footnotes') ? convertFootnotes(element, context) : convertList(element, context);
+  }
+
+  if (tag === 'blockquote') {
+    const content = convertBlocks(element, context);
+    if (context.table) return content;
+    return content.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+  }
+
+  if (tag === 'dt' || tag === 'summary') {
+    const text = formatParagraph(convertInline(element, context));
+    return text ? `**${text}**` : '';
+  }
+
+  return convertBlocks(element, context);
+}
+
+/**
+ * Convert a preformatted block into a fenced code block
+ * @param {HTMLElement} element - pre element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown
+ */
+function convertCode(element, context) {
+  const code = element.textContent.replace(/\n$/, '');
+  if (context.table) return formatCode(code.replace(/\n/g, ' '));
+
+  const fence = '`'.repeat(Math.max(3, getLongestRun(code, '`') + 1));
+  const language = element.querySelector('code')?.className.match(/language-(\S+)/)?.[1] ?? '';
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+/**
+ * Convert a list, keeping its nesting and start number
+ * @param {HTMLElement} list - ul or ol element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown
+ */
+function convertList(list, context) {
+  const ordered = list.localName === 'ol';
+  let number = ordered && list.hasAttribute('start') ? Number(list.getAttribute('start')) || 0 : 1;
+  const items = [];
+
+  for (const item of list.children) {
+    if (item.localName !== 'li') continue;
+
+    // Items holding only text and nested lists stay tight
+    const loose = [...item.children].some(child => BLOCK_TAGS.has(child.localName) && child.localName !== 'ul' && child.localName !== 'ol');
+    const content = convertBlocks(item, context, loose ? '\n\n' : '\n');
+
+    const marker = ordered ? `${number++}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    items.push(marker + content.split('\n').map((line, index) => index && line ? indent + line : line).join('\n'));
+  }
+
+  return items.join(items.some(item => item.includes('\n\n')) ? '\n\n' : '\n');
+}
+
+/**
+ * Convert the footnotes the enricher adds to a page into Markdown footnotes
+ * @param {HTMLElement} list - ol.export-footnotes element
+ * @param {Object} context - Note context
+ * @returns {string} - Footnote definitions
+ */
+function convertFootnotes(list, context) {
+  return [...list.children]
+    .map((item, index) => `[^${index + 1}]: ${formatParagraph(convertInline(item, context)).replace(/\\?\n/g, ' ')}`)
+    .join('\n');
+}
+
+/**
+ * Convert a table into a GFM table
+ * The first row is the header, as GFM requires one; merged cells are left empty past their first column and row,
+ * and block content inside cells is joined with line breaks
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown
+ */
+function convertTable(table, context) {
+  const rows = [];
+  const spans = [];
+
+  for (const row of table.querySelectorAll('tr')) {
+    // Rows of nested tables are read with their own table
+    if (row.closest('table') !== table) continue;
+
+    const cells = [];
+    let column = 0;
+    const skipSpanned = () => {
+      while (spans[column] > 0) {
+        spans[column]--;
+        cells.push('');
+        column++;
+      }
+    };
+
+    for (const cell of row.cells) {
+      skipSpanned();
+      const text = convertBlocks(cell, { ...context, table: true }).replace(/\n+/g, '<br>');
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+
+      for (let index = 0; index < colSpan; index++) {
+        cells.push(index ? '' : text);
+        if (rowSpan > 1) spans[column + index] = rowSpan - 1;
+      }
+      column += colSpan;
+    }
+    skipSpanned();
+
+    if (cells.length) rows.push(cells);
+  }
+
+  if (!rows.length) return '';
+
+  // A table inside a cell can't be a table in Markdown, so its rows become lines
+  if (context.table) {
+    return rows.map(cells => cells.filter(Boolean).join(', ')).join('\n');
+  }
+
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const renderRow = cells => `| ${Array.from({ length: columns }, (_, index) => cells[index] ?? '').join(' | ')} |`;
+
+  return [renderRow(rows[0]), renderRow(Array(columns).fill('---')), ...rows.slice(1).map(renderRow)].join('\n');
+}
+
+/**
+ * Convert inline content
+ * @param {Node} node - Node
+ * @param {Object} context - Note context
+ * @returns {string} - Inline Markdown
+ */
+function convertInline(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeText(node.data.replace(/\s+/g, ' '), context);
+  }
+
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE || (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.localName))) {
+    return convertChildren(node, context);
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE || node.hidden || SKIPPED_TAGS.has(node.localName)) {
+    return '';
+  }
+
+  const tag = node.localName;
+  switch (tag) {
+    case 'br':
+      return context.table ? '\n' : '\\\n';
+    case 'b':
+    case 'strong':
+      return context.bold ? convertChildren(node, context) : wrap(convertChildren(node, { ...context, bold: true }), '**');
+    case 'i':
+    case 'em':
+    case 'cite':
+    case 'var':
+    case 'dfn':
+      return context.italic ? convertChildren(node, context) : wrap(convertChildren(node, { ...context, italic: true }), '*');
+    case 's':
+    case 'del':
+    case 'strike':
+      return wrap(convertChildren(node, context), '~~');
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt':
+      return formatCode(node.textContent.replace(/\s+/g, ' '));
+    case 'img':
+      return convertImage(node, context);
+    case 'a':
+      return convertLink(node, context);
+    case 'audio':
+    case 'video':
+      return convertMedia(node, context);
+    case 'iframe': {
+      const src = node.getAttribute('src');
+      return src ? `[${escapeText(node.getAttribute('title') || src, context)}](${formatDestination(src, context)})` : '';
+    }
+    case 'sup':
+      if (node.classList.contains('export-footnote-ref')) {
+        return `[^${node.textContent.trim()}]`;
+      }
+      return convertChildren(node, context);
+    default:
+      return convertChildren(node, context);
+  }
+}
+
+/**
+ * Convert the children of an element as inline content
+ * @param {Node} node - Parent node
+ * @param {Object} context - Note context
+ * @returns {string} - Inline Markdown
+ */
+function convertChildren(node, context) {
+  let text = '';
+  for (const child of node.childNodes) {
+    text += convertInline(child, context);
+  }
+  return text;
+}
+
+/**
+ * Wrap inline Markdown in emphasis markers, keeping surrounding spaces outside them
+ * @param {string} text - Inline Markdown
+ * @param {string} marker - Marker such as "**"
+ * @returns {string} - Emphasized Markdown
+ */
+function wrap(text, marker) {
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return core ? `${leading}${marker}${core}${marker}${trailing}` : text;
+}
+
+/**
+ * Format an inline code span, with a fence longer than any backtick run in the code
+ * @param {string} code - Code
+ * @returns {string} - Code span
+ */
+function formatCode(code) {
+  if (!code.trim()) return code;
+  const fence = '`'.repeat(getLongestRun(code, '`') + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+/**
+ * Convert an image, pointing at its attachment
+ * @param {HTMLImageElement} image - img element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown image
+ */
+function convertImage(image, context) {
+  const src = image.getAttribute('src');
+  if (!src) return '';
+  return `![${escapeText(image.getAttribute('alt') ?? '', context)}](${formatDestination(src, context)})`;
+}
+
+/**
+ * Convert audio or video into a link to its attachment
+ * @param {HTMLMediaElement} media - audio or video element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown link
+ */
+function convertMedia(media, context) {
+  const src = media.getAttribute('src') ?? media.querySelector('source[src]')?.getAttribute('src');
+  if (!src) return '';
+
+  const name = media.getAttribute('title') || safeDecodeURIComponent(src.split(/[?#]/)[0].split('/').pop()) || media.localName;
+  return `[${escapeText(name, context)}](${formatDestination(src, context)})`;
+}
+
+/**
+ * Convert a link; links to exported pages become wikilinks
+ * Links to anchors outside the export keep only their text
+ * @param {HTMLAnchorElement} link - a element
+ * @param {Object} context - Note context
+ * @returns {string} - Markdown
+ */
+function convertLink(link, context) {
+  const href = link.getAttribute('href') ?? '';
+  const label = convertChildren(link, context);
+
+  const target = resolveWikilink(href, context);
+  if (target) {
+    // A link to a heading in the same note only needs the heading
+    const note = target.heading && target.note === context.note ? '' : target.note;
+    return renderWikilink(note, link.textContent, { heading: target.heading, table: context.table });
+  }
+
+  if (!href || href.startsWith('#') || !label.trim()) {
+    return label;
+  }
+
+  // Bare web addresses become autolinks
+  if (/^(https?|mailto):/i.test(href) && link.textContent.trim() === href && !/[\s<>]/.test(href)) {
+    return `<${href}>`;
+  }
+
+  return `[${label}](${formatDestination(href, context)})`;
+}
+
+/**
+ * Find the note and heading a link points to
+ * @param {string} href - Link target: an in-document anchor, or a note path from a batch export's link targets
+ * @param {Object} context - Note context
+ * @returns {{note: string, heading: string|null}|null} - Wikilink target, null for links outside the export
+ */
+function resolveWikilink(href, context) {
+  if (href.startsWith('#')) {
+    return context.targets.get(href.slice(1)) ?? null;
+  }
+
+  // Headings in notes of other journals aren't known here, so those links go to the note
+  const note = href.match(/^([^:?#]+)\.md(?:#|$)/)?.[1];
+  return note ? { note, heading: null } : null;
+}
+
+/**
+ * Format a link destination, making attachment paths relative to the note
+ * @param {string} url - URL or bundle path
+ * @param {Object} context - Note context
+ * @returns {string} - Link destination, in angle brackets when it holds spaces or parentheses
+ */
+function formatDestination(url, context) {
+  const relative = !/^[a-z][a-z0-9+.-]*:|^\/|^#/i.test(url);
+  const path = relative ? `${context.base}${url}` : url;
+  return /[\s()<>]/.test(path) ? `<${path.replace(/[<>]/g, encodeURIComponent)}>` : path;
+}
+
+/**
+ * Escape text so Markdown shows it as written
+ * @param {string} text - Text
+ * @param {Object} context - Note context; table cells also escape the column separator
+ * @returns {string} - Escaped text
+ */
+function escapeText(text, context) {
+  let escaped = text
+    .replace(/[\\`*_[\]~]/g, '\\$&')
+    .replace(/<(?=[a-z/!?])/gi, '\\<')
+    .replace(/&(?=#?\w+;)/g, '&amp;');
+
+  if (context.table) {
+    escaped = escaped.replace(/\|/g, '\\|');
+  }
+
+  return escaped;
+}
+
+/**
+ * Escape characters that would turn the start of a line into a heading, quote, list or rule
+ * @param {string} line - Line of a paragraph
+ * @returns {string} - Escaped line
+ */
+function escapeLineStart(line) {
+  return line
+    .replace(/^(#{1,6}(?=\s|$)|>|[-+](?=\s|$)|[=-]+$)/, '\\$1')
+    .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+/**
+ * Get the length of the longest run of a character
+ * @param {string} text - Text
+ * @param {string} character - Character
+ * @returns {number} - Longest run, 0 if the character doesn't occur
+ */
+function getLongestRun(text, character) {
+  let longest = 0;
+  let current = 0;
+  for (const char of text) {
+    current = char === character ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
+
+/**
+ * Render front matter fields as YAML
+ * Strings are double-quoted and nested objects become indented mappings; undefined fields are left out
+ * @param {Object} object - Fields
+ * @param {string} [indent=''] - Indentation of this level
+ * @returns {string} - YAML lines
+ */
+function renderYAML(object, indent = '') {
+  let yaml = '';
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+
+    const name = /^[\w-]+$/.test(key) ? key : JSON.stringify(key);
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length) {
+      yaml += `${indent}${name}:\n${renderYAML(value, `${indent}  `)}`;
+    } else if (Array.isArray(value) && value.length) {
+      yaml += `${indent}${name}:\n${value.map(item => `${indent}  - ${formatScalar(item)}\n`).join('')}`;
+    } else {
+      yaml += `${indent}${name}: ${formatScalar(value)}\n`;
+    }
+  }
+
+  return yaml;
+}
+
+/**
+ * Format a YAML value on one line; JSON is valid YAML, so objects and strings are written as JSON
+ * @param {*} value - Value
+ * @returns {string} - YAML value
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(value);
+}
@@ -0,0 +1,248 @@
+/**
+ * Page Layout - Paper size, orientation, margins, running headers/footers and the cover page
+ * The same layout is written as CSS @page rules for HTML exports and applied directly by the PDF writer
+ */
+
+import { CONFIG } from './config.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Page orientation choices
+ */
+export const ORIENTATIONS = {
+  portrait: 'Portrait',
+  landscape: 'Landscape'
+};
+
+/**
+ * Tokens of running header and footer templates
+ */
+export const RUNNING_TOKENS = ['title', 'page', 'pageNumber', 'pageCount'];
+
+/**
+ * Margin boxes a running header or footer part is written to, by position
+ */
+const MARGIN_BOXES = {
+  header: { left: '@top-left', center: '@top-center', right: '@top-right' },
+  footer: { left: '@bottom-left', center: '@bottom-center', right: '@bottom-right' }
+};
+
+/**
+ * Get the page size and margins an export is laid out on
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.paperSize] - Paper size key from CONFIG.PAPER_SIZES, or 'custom'
+ * @param {number} [options.paperWidth] - Custom paper width in millimetres
+ * @param {number} [options.paperHeight] - Custom paper height in millimetres
+ * @param {string} [options.orientation] - 'portrait' or 'landscape'
+ * @param {number} [options.marginTop] - Top margin in millimetres
+ * @param {number} [options.marginRight] - Right margin in millimetres, the outside margin when there is a gutter
+ * @param {number} [options.marginBottom] - Bottom margin in millimetres
+ * @param {number} [options.marginLeft] - Left margin in millimetres, the inside margin when there is a gutter
+ * @param {number} [options.gutter] - Extra inside margin for binding, mirrored on left-hand pages
+ * @returns {{width: number, height: number, margin: {top: number, right: number, bottom: number, left: number}, gutter: number}} - Page geometry in millimetres, oriented
+ */
+export function getPageGeometry(options = {}) {
+  const paper = options.paperSize === 'custom'
+    ? { width: options.paperWidth, height: options.paperHeight }
+    : CONFIG.PAPER_SIZES[options.paperSize] ?? CONFIG.PAPER_SIZES[CONFIG.PDF_OPTIONS.format];
+
+  let { width, height } = paper;
+  const landscape = (options.orientation ?? CONFIG.PDF_OPTIONS.orientation) === 'landscape';
+  if (landscape !== width > height && width !== height) {
+    [width, height] = [height, width];
+  }
+
+  const defaults = CONFIG.PDF_OPTIONS.margin;
+  return {
+    width,
+    height,
+    margin: {
+      top: options.marginTop ?? defaults.top,
+      right: options.marginRight ?? defaults.right,
+      bottom: options.marginBottom ?? defaults.bottom,
+      left: options.marginLeft ?? defaults.left
+    },
+    gutter: options.gutter ?? 0
+  };
+}
+
+/**
+ * Get the margins of one printed page
+ * With a gutter, right-hand (odd) pages get it on the left and left-hand (even) pages mirror the margins
+ * @param {Object} geometry - Page geometry from getPageGeometry
+ * @param {number} pageNumber - 1-based page number
+ * @returns {{top: number, right: number, bottom: number, left: number, mirrored: boolean}} - Margins in millimetres
+ */
+export function getPageMargins({ margin, gutter }, pageNumber) {
+  if (!gutter) {
+    return { ...margin, mirrored: false };
+  }
+
+  const inside = margin.left + gutter;
+  return pageNumber % 2
+    ? { ...margin, left: inside, mirrored: false }
+    : { ...margin, left: margin.right, right: inside, mirrored: true };
+}
+
+/**
+ * Split a running header or footer template into its parts
+ * One part is centered; two are placed left and right; three left, center and right
+ * @param {string} template - Template such as "{title} | {page}"
+ * @returns {{left: string, center: string, right: string}} - Trimmed parts, empty where unused
+ */
+export function splitRunningTemplate(template = '') {
+  const parts = template.split('|').map(part => part.trim());
+  if (parts.length === 1) return { left: '', center: parts[0], right: '' };
+  if (parts.length === 2) return { left: parts[0], center: '', right: parts[1] };
+  return { left: parts[0], center: parts[1], right: parts.slice(2).join(' | ') };
+}
+
+/**
+ * Fill in a running header or footer part
+ * @param {string} part - Part of a template
+ * @param {Object<string, string|number>} values - Token values
+ * @returns {string} - Text
+ */
+export function formatRunningText(part, values) {
+  return part.replace(/\{(\w+)\}/g, (match, token) => RUNNING_TOKENS.includes(token) ? String(values[token] ?? '') : match);
+}
+
+/**
+ * Build the @page rules for an HTML export
+ * Running headers and footers use CSS margin boxes (Chrome 131+, Paged.js, Prince); the current page title
+ * needs string-set, which only the paged media tools support
+ * @param {string} title - Document title, for the {title} token
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.header] - Running header template
+ * @param {string} [options.footer] - Running footer template
+ * @returns {string} - CSS
+ */
+export function createPageStyles(title, options = {}) {
+  const geometry = getPageGeometry(options);
+  const { width, height, margin, gutter } = geometry;
+  const header = splitRunningTemplate(options.header);
+  const footer = splitRunningTemplate(options.footer);
+
+  const rules = [`
+    @page {
+      size: ${width}mm ${height}mm;
+      margin: ${margin.top}mm ${margin.right}mm ${margin.bottom}mm ${margin.left}mm;${renderMarginBoxes(header, footer, title, false)}
+    }`];
+
+  if (gutter) {
+    const right = getPageMargins(geometry, 1);
+    const left = getPageMargins(geometry, 2);
+    rules.push(`
+    @page :right {
+      margin-left: ${right.left}mm;
+      margin-right: ${right.right}mm;
+    }
+
+    @page :left {
+      margin-left: ${left.left}mm;
+      margin-right: ${left.right}mm;${renderMarginBoxes(header, footer, title, true)}
+    }`);
+  }
+
+  // The cover has no running header or footer
+  const noBoxes = Object.values(MARGIN_BOXES).flatMap(Object.values).map(box => `\n      ${box} { content: none; }`).join('');
+  rules.push(`
+    @page cover {${noBoxes}
+    }
+
+    .export-cover {
+      page: cover;
+    }
+
+    .journal-page-title {
+      string-set: page-title content(text);
+    }`);
+
+  return rules.join('\n');
+}
+
+/**
+ * Render the margin boxes of a running header and footer
+ * @param {Object} header - Header parts from splitRunningTemplate
+ * @param {Object} footer - Footer parts from splitRunningTemplate
+ * @param {string} title - Document title
+ * @param {boolean} mirrored - Swap the left and right parts, for left-hand pages
+ * @returns {string} - Margin box rules, empty if there is no header or footer
+ */
+function renderMarginBoxes(header, footer, title, mirrored) {
+  if (![...Object.values(header), ...Object.values(footer)].some(Boolean)) return '';
+
+  let css = '';
+
+  for (const [kind, parts] of Object.entries({ header, footer })) {
+    for (const [position, box] of Object.entries(MARGIN_BOXES[kind])) {
+      const source = mirrored && position !== 'center' ? (position === 'left' ? 'right' : 'left') : position;
+      const content = toCSSContent(parts[source], title);
+      css += `\n      ${box} { content: ${content}; font-size: 9pt; color: #555555; }`;
+    }
+  }
+
+  return css;
+}
+
+/**
+ * Turn a running header or footer part into a CSS content value
+ * @param {string} part - Part of a template
+ * @param {string} title - Document title
+ * @returns {string} - CSS content value, "none" if the part is empty
+ */
+function toCSSContent(part, title) {
+  const pieces = [];
+  let last = 0;
+
+  for (const match of part.matchAll(/\{(\w+)\}/g)) {
+    if (match.index > last) {
+      pieces.push(toCSSString(part.slice(last, match.index)));
+    }
+
+    const token = {
+      title: toCSSString(title),
+      page: 'string(page-title)',
+      pageNumber: 'counter(page)',
+      pageCount: 'counter(pages)'
+    }[match[1]];
+    pieces.push(token ?? toCSSString(match[0]));
+    last = match.index + match[0].length;
+  }
+
+  if (last < part.length) {
+    pieces.push(toCSSString(part.slice(last)));
+  }
+
+  return pieces.join(' ') || 'none';
+}
+
+/**
+ * Quote text as a CSS string that is also safe inside a <style> element
+ * @param {string} text - Text
+ * @returns {string} - CSS string
+ */
+function toCSSString(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/</g, '\\3C ')
+    .replace(/\n/g, '\\A ');
+  return `"${escaped}"`;
+}
+
+/**
+ * Render the cover page
+ * @param {string} title - Journal or book name
+ * @param {string} [image] - Cover image path or URL
+ * @returns {string} - Cover HTML; the image is embedded with the other assets
+ */
+export function renderCoverPage(title, image = '') {
+  let html = '<div class="export-cover">';
+  if (image) {
+    html += `<img class="export-cover-image" src="${escapeHtml(image)}" alt="">`;
+  }
+  html += `<h1 class="export-cover-title">${escapeHtml(title)}</h1>`;
+  html += '</div>';
+  return html;
+}
@@ -0,0 +1,148 @@
+/**
+ * Page Renderers - Produce export HTML for each journal page type
+ * Text, markdown, image, video and PDF pages all get a static representation
+ */
+
+import { enrichPageContent } from './enricher.js';
+import { escapeHtml, safeDecodeURIComponent, toAbsoluteUrl } from './utils.js';
+
+/**
+ * Renderers keyed by JournalEntryPage type
+ */
+const PAGE_RENDERERS = {
+  text: renderTextPage,
+  image: renderImagePage,
+  video: renderVideoPage,
+  pdf: renderPDFPage
+};
+
+/**
+ * Render the content of a journal page
+ * @param {JournalEntryPage} page - The journal page
+ * @param {Object} context - Export context from createExportContext
+ * @returns {Promise<string>} - Page content HTML
+ */
+export async function renderPageContent(page, context) {
+  const renderer = PAGE_RENDERERS[page.type];
+  if (renderer) {
+    return renderer(page, context);
+  }
+
+  // System and module page types usually still carry text content
+  if (page.text?.content) {
+    return renderTextPage(page, context);
+  }
+
+  console.warn('Intrinsics HTML Export | Unsupported page type:', page.type, page.name);
+  return `<p class="page-unsupported">This page (${escapeHtml(page.type)}) cannot be exported.</p>`;
+}
+
+/**
+ * Render a text page, converting markdown-authored pages first
+ * @param {JournalEntryPage} page - The journal page
+ * @param {Object} context - Export context
+ * @returns {Promise<string>} - Page content HTML
+ */
+async function renderTextPage(page, context) {
+  let html = page.text?.content || '';
+
+  if (page.text?.format === CONST.JOURNAL_ENTRY_PAGE_FORMATS.MARKDOWN && page.text.markdown) {
+    html = convertMarkdown(page.text.markdown);
+  }
+
+  return enrichPageContent(html, page, context);
+}
+
+/**
+ * Convert markdown to HTML with Foundry's bundled showdown converter
+ * @param {string} markdown - Markdown source
+ * @returns {string} - HTML
+ */
+export function convertMarkdown(markdown) {
+  const converter = new showdown.Converter(CONST.SHOWDOWN_OPTIONS ?? {});
+  return converter.makeHtml(markdown);
+}
+
+/**
+ * Render an image page as a figure with its caption
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {Promise<string>} - Page content HTML
+ */
+async function renderImagePage(page) {
+  if (!page.src) {
+    return '<p class="page-unsupported">This image page has no image.</p>';
+  }
+
+  const caption = page.image?.caption;
+  let html = '<figure class="journal-page-image">';
+  html += `<img src="${escapeHtml(page.src)}" alt="${escapeHtml(caption || page.name)}">`;
+  if (caption) {
+    html += `<figcaption>${escapeHtml(caption)}</figcaption>`;
+  }
+  html += '</figure>';
+
+  return html;
+}
+
+/**
+ * Render a video page as a poster frame and a link to the source
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {Promise<string>} - Page content HTML
+ */
+async function renderVideoPage(page) {
+  if (!page.src) {
+    return '<p class="page-unsupported">This video page has no video.</p>';
+  }
+
+  const url = toAbsoluteUrl(page.src);
+  const poster = await getVideoPoster(page.src);
+
+  let html = '<figure class="journal-page-video">';
+  if (poster) {
+    html += `<img src="${escapeHtml(poster)}" alt="${escapeHtml(page.name)}">`;
+  }
+  html += `<figcaption>Video: <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></figcaption>`;
+  html += '</figure>';
+
+  return html;
+}
+
+/**
+ * Get a poster frame for a video
+ * @param {string} src - Video source
+ * @returns {Promise<string|null>} - Image URL or data URI, null if none could be made
+ */
+async function getVideoPoster(src) {
+  try {
+    if (game.video.isYouTubeURL(src)) {
+      const id = game.video.getYouTubeId(src);
+      return id ? `https://img.youtube.com/vi/${id}/hqdefault.jpg` : null;
+    }
+
+    return await game.video.createThumbnail(src, { width: 640, height: 360 });
+  } catch (error) {
+    console.warn('Intrinsics HTML Export | Could not create video poster:', src, error);
+    return null;
+  }
+}
+
+/**
+ * Render a PDF page as a labeled reference to the document
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {Promise<string>} - Page content HTML
+ */
+async function renderPDFPage(page) {
+  if (!page.src) {
+    return '<p class="page-unsupported">This PDF page has no document.</p>';
+  }
+
+  const url = toAbsoluteUrl(page.src);
+  const filename = safeDecodeURIComponent(page.src.split('/').pop());
+
+  let html = '<div class="page-reference journal-page-pdf">';
+  html += '<p class="page-reference-label">PDF Document</p>';
+  html += `<p><a href="${escapeHtml(url)}">${escapeHtml(filename)}</a></p>`;
+  html += '</div>';
+
+  return html;
+}
@@ -3,245 +3,552 @@
  * Fast and simple - no browser freezing
  */
 
-import { CONFIG } from './config.js';
+import { createAssetBundle } from './asset-bundle.js';
+import { embedAssets, linkAssets } from './asset-embedder.js';
+import { harvestStyles } from './css-harvester.js';
+import { createDOCX } from './docx-writer.js';
+import { createExportContext, getChapterAnchor, getPageAnchor } from './enricher.js';
+import { createEPUB } from './epub-writer.js';
+import { formatFilename, resolveExportOptions } from './export-options.js';
+import { createExportReport, downloadReport, formatBytes, getReportFilename, renderReportComment } from './export-report.js';
+import { embedFonts } from './font-embedder.js';
+import { createMarkdownFiles } from './markdown-writer.js';
+import { createPageStyles, getPageGeometry, renderCoverPage } from './page-layout.js';
+import { renderPageContent } from './page-renderers.js';
+import { createVectorPDF } from './pdf-writer.js';
+import { canViewPage, resolveViewer } from './player-filter.js';
+import { sanitizeHTML } from './sanitizer.js';
+import { publishFile, validatePublishing } from './server-publisher.js';
+import { preserveColors } from './style-processor.js';
+import { getThemeStyles } from './themes.js';
+import { addHeadingAnchors, createTableOfContents } from './toc.js';
+import { downloadFile, escapeHtml } from './utils.js';
+import { createZip } from './zip-writer.js';
 
 /**
- * Export a journal entry to HTML
+ * Export a journal entry to HTML, lay it out as a vector PDF, or package it as an EPUB, Word document or Markdown notes
+ * Options are validated against the export option schema; anything not given falls back to the module settings
  * @param {JournalEntry} journal - The journal entry to export
  * @param {Object} options - Export options
- * @returns {Promise<void>}
+ * @param {string[]} [options.pages] - Ids of the pages to include, defaults to all
+ * @param {string} [options.mode] - 'gm' or 'player'
+ * @param {string} [options.userId] - Player to export for in player view
+ * @param {string} [options.theme] - Print theme id (see registerTheme)
+ * @param {string} [options.customCSS] - CSS appended after the theme, defaults to the Custom CSS setting
+ * @param {boolean} [options.embedImages=true] - Embed images (including backgrounds, srcset, SVG images and video posters) as base64; otherwise they link to the server
+ * @param {number} [options.imageDPI] - Downscale embedded images to this resolution across the paper width, 0 keeps the original size
+ * @param {string} [options.imageFormat] - Re-encode embedded images as 'jpeg' or 'webp', or keep the 'original' format
+ * @param {number} [options.imageQuality] - JPEG/WebP quality between 0.1 and 1
+ * @param {boolean} [options.preserveColors] - Keep content colors that are readable on white paper instead of printing all text black
+ * @param {boolean} [options.harvestStyles] - Copy the system and module CSS rules the content uses
+ * @param {boolean} [options.embedFonts] - Embed the fonts the content and theme use
+ * @param {boolean} [options.toc] - Add a table of contents
+ * @param {number} [options.tocDepth] - Highest in-page heading level in the table of contents (0-3)
+ * @param {string} [options.paperSize] - Paper size key from CONFIG.PAPER_SIZES, or 'custom'
+ * @param {number} [options.paperWidth] - Custom paper width in millimetres
+ * @param {number} [options.paperHeight] - Custom paper height in millimetres
+ * @param {string} [options.orientation] - 'portrait' or 'landscape'
+ * @param {number} [options.marginTop] - Page margins in millimetres: marginTop, marginRight, marginBottom and marginLeft
+ * @param {number} [options.gutter] - Extra inside margin for binding in millimetres; left and right margins mirror on left-hand pages
+ * @param {string} [options.header] - Running header template, see splitRunningTemplate; tokens {title}, {page}, {pageNumber}, {pageCount}
+ * @param {string} [options.footer] - Running footer template
+ * @param {boolean} [options.cover] - Start with a cover page showing the title
+ * @param {string} [options.coverImage] - Image path or URL for the cover page
+ * @param {string} [options.outputFormat] - 'html', 'pdf' to lay the content out as a PDF in Foundry, 'epub', 'docx' or 'markdown' (a ZIP with one note per page); PDF, EPUB, DOCX and Markdown exports always include their images
+ * @param {string} [options.filenameTemplate] - Filename template, see formatFilename
+ * @param {string} [options.reportFormat] - Also write the export report as an HTML 'comment' or a 'json' sidecar file, or 'none'
+ * @param {boolean} [options.download=true] - Save the file; batch exports collect the HTML or PDF instead
+ * @param {string} [options.destination] - 'download' to the user's computer, or 'server' to publish it to a folder of the data directory
+ * @param {string} [options.serverFolder] - Folder published files go to, defaults to worlds/<world>/exports
+ * @param {string} [options.serverConflict] - 'version' to number the new file when the name is taken, or 'overwrite'
+ * @param {string} [options.shareChat] - Link a published file in chat for 'all', 'whisper' it to shareUsers, or 'none'
+ * @param {string[]} [options.shareUsers] - Ids of the users a whispered chat message goes to
+ * @param {string} [options.filename] - Output filename, overrides the template
+ * @param {Object} [options.assets] - Asset bundle to write images, audio and video to instead of embedding them (see createAssetBundle)
+ * @param {Map<string, string>} [options.linkTargets] - Links for documents exported to other files, keyed by UUID
+ * @param {AbortSignal} [options.signal] - Cancels the export, aborting in-flight fetches
+ * @param {function(string, {done?: number, total?: number}): void} [options.onProgress] - Called as pages and assets are counted and finished, with amounts to add
+ * @returns {Promise<{filename: string, html: string, pdf: Blob|null, file: Blob|null, notes: Array<{name: string, data: string, title: string}>|null, path: string|null, report: Object, removed: Array<{page: string, type: string, detail: string}>, colorAdjustments: Array<{page: string, element: string, property: string, from: string, to: string, reason: string}>}>} - The exported file (file is the PDF, EPUB, DOCX or Markdown ZIP, null for HTML exports; pdf is only set for PDFs; notes holds the Markdown notes; path is where it was published on the server), its export report (see createExportReport), items removed by the sanitizer and colors changed by preserveColors
  */
 export async function exportJournalToPDF(journal, options = {}) {
-  console.log('Intrinsics HTML Export | Starting export for:', journal.name);
+  const resolved = resolveExportOptions(options);
+  const filename = resolved.filename ?? formatFilename(resolved.filenameTemplate, { name: journal.name }, resolved);
+  return exportDocument(journal.name, [{ journal }], filename, resolved);
+}
+
+/**
+ * Export several journals as one book, each journal becoming a chapter
+ * Links between the chapters resolve to in-document anchors
+ * @param {Object} book - Book definition
+ * @param {string} book.title - Book title
+ * @param {Array<{journal: JournalEntry, title?: string}>} book.chapters - Chapters in order; titles default to the journal name
+ * @param {Object} options - Export options, as for exportJournalToPDF
+ * @returns {Promise<{filename: string, html: string, pdf: Blob|null, file: Blob|null, path: string|null, report: Object, removed: Array, colorAdjustments: Array}>} - The exported file, where it was published, its export report, items removed by the sanitizer and colors changed by preserveColors
+ */
+export async function exportBook({ title, chapters }, options = {}) {
+  if (!chapters?.length) {
+    throw new Error('A book needs at least one chapter');
+  }
+
+  const entries = chapters.map(chapter => ({
+    journal: chapter.journal,
+    title: chapter.title || chapter.journal.name
+  }));
+
+  const resolved = resolveExportOptions({ ...options, bookTitle: title });
+  const filename = resolved.filename ?? formatFilename(resolved.filenameTemplate, { name: title }, resolved);
+  return exportDocument(title, entries, filename, resolved);
+}
+
+/**
+ * Build, and optionally download or publish, one standalone HTML document, PDF, EPUB, Word document or ZIP of Markdown notes
+ * @param {string} title - Document title
+ * @param {Array<{journal: JournalEntry, title?: string}>} entries - Journals to include; titled entries get a chapter divider
+ * @param {string} filename - Output filename
+ * @param {Object} options - Resolved export options
+ * @returns {Promise<{filename: string, html: string, pdf: Blob|null, file: Blob|null, path: string|null, report: Object, removed: Array, colorAdjustments: Array, fonts: Object, images: Object, unresolved: Array, notes: Array<{name: string, data: string, title: string}>|null}>} - The exported file, its server path if it was published, and its export report; notes are the Markdown notes, which batch exports collect instead of the ZIP; the other fields are the report's raw inputs
+ */
+async function exportDocument(title, entries, filename, options) {
+  console.log('Intrinsics HTML Export | Starting export for:', title);
+
+  // Fail before the work is done if the server won't take the file
+  const publish = options.download !== false && options.destination === 'server';
+  if (publish) {
+    validatePublishing(filename, options);
+  }
+
+  // A PDF or Word document can't link back to this server or sit next to an assets folder, so its images are
+  // always embedded; an EPUB packages its images, audio, video and fonts as files of its own, even in batch exports.
+  // Markdown notes point into an attachments folder, shared by every journal of a batch
+  const format = options.outputFormat;
+  const fontAssets = format === 'epub' ? createAssetBundle('fonts') : null;
+  const attachments = format === 'markdown' && !options.assets ? createAssetBundle('attachments') : null;
+  if (format === 'pdf' || format === 'docx') {
+    options = { ...options, embedImages: true, assets: null };
+  } else if (format === 'epub') {
+    options = { ...options, embedImages: true, assets: createAssetBundle('images') };
+  } else if (format === 'markdown') {
+    options = { ...options, embedImages: true, assets: options.assets ?? attachments };
+  }
 
   try {
     // Extract journal content
     console.log('Intrinsics HTML Export | Extracting content...');
-    const content = await extractJournalContent(journal);
+    const { html: content, pages, player, removed, unresolvedLinks, colorAdjustments, contentCSS, images, unresolved, toc } = await extractJournalContent(entries, options);
+
+    if (removed.length) {
+      console.warn(`Intrinsics HTML Export | Sanitizer removed ${removed.length} item(s):`);
+      console.table(removed);
+    }
+
+    if (images.images.length) {
+      console.log(`Intrinsics HTML Export | ${images.images.length} image(s): ${formatBytes(images.bytesBefore)} before optimization, ${formatBytes(images.bytesAfter)} after`);
+      console.table(images.images);
+    }
+
+    if (unresolved.length) {
+      console.warn(`Intrinsics HTML Export | ${unresolved.length} asset(s) could not be embedded and link to this server:`);
+      console.table(unresolved);
+    }
+
+    if (colorAdjustments.length) {
+      console.log(`Intrinsics HTML Export | Adjusted ${colorAdjustments.length} color(s) for readability on white paper:`);
+      console.table(colorAdjustments);
+    }
+
+    let styles = getThemeStyles(options.theme, { contentCSS, customCSS: options.customCSS });
+    let fonts = { embedded: [], failed: [] };
+    if (options.embedFonts && (format === 'html' || format === 'epub')) {
+      console.log('Intrinsics HTML Export | Embedding fonts...');
+      ({ css: styles, ...fonts } = await embedFonts(styles, content, { signal: options.signal, assets: fontAssets }));
+    }
+
+    const report = createExportReport({
+      title, filename, options, player, pages, removed, unresolvedLinks, images, unresolved, fonts, colorAdjustments
+    });
 
     // Create standalone HTML document
     console.log('Intrinsics HTML Export | Creating HTML document...');
-    const html = createStandaloneHTML(journal.name, content);
+    let html = createStandaloneHTML(title, content, { ...options, styles });
+    if (options.reportFormat === 'comment' && format === 'html') {
+      html = html.replace(/^<!DOCTYPE html>/i, doctype => `${doctype}\n${renderReportComment(report)}`);
+    }
+
+    let file = null;
+    let notes = null;
+    if (format === 'pdf') {
+      console.log('Intrinsics HTML Export | Laying out PDF...');
+      file = await createVectorPDF(title, content, options);
+    } else if (format === 'epub') {
+      console.log('Intrinsics HTML Export | Packaging EPUB...');
+      file = await createEPUB(title, content, {
+        ...options,
+        styles,
+        fonts: fontAssets,
+        navigation: toc,
+        metadata: getPublicationMetadata(title, entries)
+      });
+    } else if (format === 'docx') {
+      console.log('Intrinsics HTML Export | Writing DOCX...');
+      file = await createDOCX(title, content, { ...options, metadata: getPublicationMetadata(title, entries) });
+    } else if (format === 'markdown') {
+      console.log('Intrinsics HTML Export | Converting to Markdown...');
+      // Flags can hold GM-only module data, so player view leaves them out
+      notes = createMarkdownFiles(content, { journals: entries.map(entry => entry.journal), linkTargets: options.linkTargets, flags: !player });
+
+      // Batch exports bundle the notes and attachments of every journal themselves
+      if (attachments) {
+        file = await createZip([
+          ...notes,
+          ...[...attachments.files].map(([path, blob]) => ({ name: path, data: blob, compress: false }))
+        ]);
+      }
+    }
+
+    // Publish or download the HTML, PDF, EPUB, DOCX or ZIP file
+    let path = null;
+    if (publish) {
+      console.log('Intrinsics HTML Export | Publishing file...');
+      const blob = file ?? new Blob([html], { type: 'text/html;charset=utf-8' });
+      ({ path } = await publishFile(blob, filename, options, {
+        title,
+        report: options.reportFormat === 'json' ? report : null
+      }));
+    } else if (options.download !== false) {
+      console.log('Intrinsics HTML Export | Saving file...');
+      if (file) {
+        downloadFile(file, filename);
+      } else {
+        downloadHTML(html, filename);
+      }
 
-    // Download the HTML file
-    console.log('Intrinsics HTML Export | Saving file...');
-    await downloadHTML(html, journal.name);
+      if (options.reportFormat === 'json') {
+        downloadReport(report, getReportFilename(filename));
+      }
+    }
 
     console.log('Intrinsics HTML Export | Export completed successfully!');
+    return { filename, html, pdf: format === 'pdf' ? file : null, file, notes, path, report, removed, colorAdjustments, fonts, images, unresolved };
   } catch (error) {
-    console.error('Intrinsics HTML Export | Error during export:', error);
+    if (!options.signal?.aborted) {
+      console.error('Intrinsics HTML Export | Error during export:', error);
+    }
     throw error;
   }
 }
 
 /**
- * Extract journal content and convert images to base64
- * @param {JournalEntry} journal - The journal entry
- * @returns {Promise<string>} - HTML content with embedded images
+ * Extract journal content from every page type and embed its assets
+ * Pages follow each journal's sort order, title settings and categories
+ * @param {Array<{journal: JournalEntry, title?: string}>} entries - Journals to include
+ * @param {Object} options - Resolved export options
+ * @returns {Promise<{html: string, pages: Array, player: string|null, removed: Array, unresolvedLinks: Array, colorAdjustments: Array, contentCSS: string, images: Object, unresolved: Array, toc: Array<{id: string, text: string, depth: number}>}>} - Sanitized HTML with embedded assets, which pages were exported or skipped, the player it is for, what was removed, links that were not resolved, which colors were changed, the harvested CSS, image sizes, assets left linked and the table of contents entries
  */
-async function extractJournalContent(journal) {
-  const pages = journal.pages || journal.collections?.pages;
-  if (!pages) {
-    throw new Error('No pages found in journal');
+async function extractJournalContent(entries, options = {}) {
+  const viewer = resolveViewer(options);
+
+  // Player view only keeps the pages the player can see
+  const chapters = [];
+  const pages = [];
+  for (const entry of entries) {
+    const sections = getJournalSections(entry.journal)
+      .map(section => ({
+        ...section,
+        pages: section.pages.filter(page => {
+          const reason = getPageExclusion(page, viewer, options);
+          pages.push({ journal: entry.journal.name, page: page.name, uuid: page.uuid, type: page.type, status: reason ? 'skipped' : 'exported', reason });
+          return !reason;
+        })
+      }))
+      .filter(section => section.pages.length);
+
+    if (sections.length) {
+      chapters.push({ ...entry, sections });
+    } else if (entries.length > 1) {
+      console.warn('Intrinsics HTML Export | No visible pages, skipping chapter:', entry.journal.name);
+    }
   }
 
-  const pageArray = pages.contents || Array.from(pages.values()) || [];
+  if (!chapters.length) {
+    const names = entries.map(entry => `"${entry.journal.name}"`).join(', ');
+    throw new Error(`No pages of ${names} are visible to ${viewer?.user.name ?? 'the current user'}`);
+  }
 
+  const context = createExportContext(chapters.map(chapter => ({
+    journal: chapter.journal,
+    pages: chapter.sections.flatMap(section => section.pages),
+    anchor: chapter.title ? getChapterAnchor(chapter.journal) : null
+  })), {
+    linkMode: options.linkMode,
+    linkTargets: options.linkTargets,
+    viewer
+  });
+  context.iframeMode = options.iframeMode;
+  context.preserveColors = options.preserveColors;
+  context.colorAdjustments = [];
+  context.tocDepth = Number(options.tocDepth);
+  context.toc = [];
+
+  const onProgress = options.onProgress ?? (() => {});
+  onProgress('pages', { total: chapters.reduce((sum, chapter) => sum + chapter.sections.reduce((count, section) => count + section.pages.length, 0), 0) });
+
+  let titlePage = '';
   let html = '';
+  let index = 0;
 
-  for (const [index, page] of pageArray.entries()) {
-    html += '<div class="journal-page">';
-    html += `<h1 class="journal-page-title">${page.name || `Page ${index + 1}`}</h1>`;
-
-    // Get page content and convert images to base64
-    let content = page.text?.content || '';
-    content = await convertImagesToBase64(content);
+  // Title pages, chapter dividers and category headings already start a printed page,
+  // so whatever follows them must not break again
+  let atPageStart = true;
 
-    html += `<div class="journal-page-content">${content}</div>`;
-    html += '</div>';
+  if (options.bookTitle) {
+    titlePage = `<div class="book-title-page"><h1 class="book-title">${escapeHtml(options.bookTitle)}</h1></div>`;
   }
 
-  return html;
-}
+  if (options.cover) {
+    titlePage = renderCoverPage(options.bookTitle ?? chapters[0].journal.name, options.coverImage) + titlePage;
+  }
 
-/**
- * Convert all images in HTML to base64 data URIs
- * @param {string} html - HTML content
- * @returns {Promise<string>} - HTML with base64 images
- */
-async function convertImagesToBase64(html) {
-  // Create a temporary container to parse HTML
-  const container = document.createElement('div');
-  container.innerHTML = html;
-
-  // Find all images
-  const images = container.querySelectorAll('img');
-
-  // Convert each image to base64
-  for (const img of images) {
-    const src = img.getAttribute('src');
-    if (!src || src.startsWith('data:')) {
-      continue; // Skip if already base64 or no src
+  for (const chapter of chapters) {
+    if (chapter.title) {
+      const anchor = getChapterAnchor(chapter.journal);
+      const breakClass = atPageStart ? '' : ' page-break';
+      html += `<div class="book-chapter${breakClass}" id="${anchor}">`;
+      html += `<h1 class="book-chapter-title">${escapeHtml(chapter.title)}</h1>`;
+      html += '</div>';
+      context.toc.push({ id: anchor, text: chapter.title, depth: 0 });
+      atPageStart = true;
     }
 
-    try {
-      const base64 = await fetchImageAsBase64(src);
-      if (base64) {
-        img.setAttribute('src', base64);
+    // Table of contents nesting: chapter, then category, then page title level
+    const chapterDepth = chapter.title ? 1 : 0;
+
+    for (const section of chapter.sections) {
+      if (section.category) {
+        const anchor = `category-${section.category.id}`;
+        const breakClass = atPageStart ? '' : ' page-break';
+        html += `<div class="journal-category${breakClass}" id="${anchor}">`;
+        html += `<h1 class="journal-category-title">${escapeHtml(section.category.name)}</h1>`;
+        context.toc.push({ id: anchor, text: section.category.name, depth: chapterDepth });
+        atPageStart = true;
+      }
+
+      const depth = chapterDepth + (section.category ? 1 : 0);
+
+      // Only top-level pages start a new printed page
+      for (const page of section.pages) {
+        options.signal?.throwIfAborted();
+        html += await renderJournalPage(page, index, context, { pageBreak: !atPageStart, depth });
+        atPageStart = false;
+        index++;
+        onProgress('pages', { done: 1 });
+      }
+
+      if (section.category) {
+        html += '</div>';
       }
-    } catch (error) {
-      console.warn('Failed to convert image to base64:', src, error);
-      // Keep original src on failure
     }
   }
 
-  return container.innerHTML;
+  const toc = options.toc ? createTableOfContents(context.toc) : '';
+
+  // Styles are matched once, against every page together
+  const contentCSS = options.harvestStyles ? await harvestStyles(html, { signal: options.signal }) : '';
+
+  // Assets are embedded last, over the whole document, so repeated images are stored once
+  let body = titlePage + toc + html;
+  let images = { images: [], bytesBefore: 0, bytesAfter: 0 };
+  let unresolved = [];
+  if (options.embedImages) {
+    const paper = getPageGeometry(options);
+    ({ html: body, unresolved, ...images } = await embedAssets(body, {
+      assets: options.assets ?? null,
+      maxWidth: options.imageDPI ? Math.round(paper.width / 25.4 * options.imageDPI) : 0,
+      format: options.imageFormat,
+      quality: options.imageQuality,
+      signal: options.signal,
+      onProgress
+    }));
+  } else {
+    body = linkAssets(body);
+  }
+
+  return {
+    html: body,
+    pages,
+    player: viewer?.user.name ?? null,
+    removed: context.removed,
+    unresolvedLinks: context.unresolvedLinks,
+    colorAdjustments: context.colorAdjustments,
+    contentCSS,
+    images,
+    unresolved,
+    toc: context.toc
+  };
 }
 
 /**
- * Fetch an image and convert to base64 data URI
- * @param {string} url - Image URL
- * @returns {Promise<string>} - Base64 data URI
+ * Get the metadata e-books and Word documents are labelled with
+ * Authors are the world's authors, or else its Gamemasters; the identifier stays the same across exports
+ * of the same journals, so e-readers replace an older copy instead of adding another
+ * @param {string} title - Document title
+ * @param {Array<{journal: JournalEntry}>} entries - Exported journals
+ * @returns {{identifier: string, title: string, authors: string[], publisher: string, language: string}} - Publication metadata
  */
-async function fetchImageAsBase64(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+function getPublicationMetadata(title, entries) {
+  const worldAuthors = [...(game.world.authors ?? [])].map(author => author.name).filter(Boolean);
+  const gamemasters = game.users.filter(user => user.role === CONST.USER_ROLES.GAMEMASTER).map(user => user.name);
+
+  return {
+    identifier: `urn:foundryvtt:${game.world.id}:${entries.map(entry => entry.journal.uuid).join('+')}`,
+    title,
+    authors: worldAuthors.length ? worldAuthors : gamemasters,
+    publisher: game.world.title,
+    language: game.i18n.lang || 'en'
+  };
+}
 
-    const blob = await response.blob();
+/**
+ * Check whether a page belongs in the export
+ * @param {JournalEntryPage} page - The journal page
+ * @param {{user: User, level: number}|null} viewer - Viewer from resolveViewer
+ * @param {Object} options - Resolved export options
+ * @returns {string|null} - Why the page is left out, null if it is exported
+ */
+function getPageExclusion(page, viewer, options) {
+  if (options.pages && !options.pages.includes(page.id) && !options.pages.includes(page.uuid)) {
+    return 'not selected';
+  }
 
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  } catch (error) {
-    console.error('Failed to fetch image:', url, error);
-    return null;
+  // Player view only keeps the pages the player can see
+  if (!canViewPage(page, viewer)) {
+    return `not visible to ${viewer.user.name}`;
   }
+
+  return null;
 }
 
 /**
- * Create a standalone HTML document with embedded CSS
- * @param {string} title - Document title
- * @param {string} content - HTML content
- * @returns {string} - Complete HTML document
+ * Render a single journal page with its title
+ * @param {JournalEntryPage} page - The journal page
+ * @param {number} index - Position of the page in the export
+ * @param {Object} context - Export context
+ * @param {Object} layout - Layout flags
+ * @param {boolean} layout.pageBreak - Whether a level 1 page may start a new printed page
+ * @param {number} layout.depth - Table of contents depth of the page's section
+ * @returns {Promise<string>} - Page HTML
  */
-function createStandaloneHTML(title, content) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(title)}</title>
-  <style>
-    /* Print-friendly styles */
-    body {
-      font-family: Georgia, 'Times New Roman', serif;
-      font-size: 12pt;
-      line-height: 1.6;
-      color: #000000;
-      background-color: #ffffff;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 20px;
-    }
+async function renderJournalPage(page, index, context, { pageBreak, depth }) {
+  const level = Math.min(Math.max(page.title?.level ?? 1, 1), 6);
+  const classes = ['journal-page', `title-level-${level}`];
+  if (pageBreak && level === 1) {
+    classes.push('page-break');
+  }
 
-    /* Page breaks */
-    .journal-page {
-      page-break-after: always;
-      margin-bottom: 40px;
-    }
+  const anchor = getPageAnchor(page);
+  const title = page.name || `Page ${index + 1}`;
+  const pageDepth = depth + level - 1;
 
-    .journal-page:last-child {
-      page-break-after: auto;
-    }
+  // The UUID lets the importer find the page again
+  let html = `<div class="${classes.join(' ')}" id="${anchor}" data-uuid="${escapeHtml(page.uuid)}">`;
 
-    /* Titles */
-    .journal-page-title {
-      font-size: 24pt;
-      font-weight: bold;
-      text-align: center;
-      margin: 0 0 20px 0;
-      padding-bottom: 10px;
-      border-bottom: 2px solid #333333;
-      color: #000000;
-    }
+  if (page.title?.show !== false) {
+    html += `<h${level} class="journal-page-title">${escapeHtml(title)}</h${level}>`;
+    context.toc.push({ id: anchor, text: title, depth: pageDepth });
+  }
 
-    /* Content */
-    .journal-page-content {
-      color: #000000;
-    }
+  // Render the page for its type and sanitize it; assets are embedded once the whole export is assembled
+  const rendered = await renderPageContent(page, context);
+  const { html: safe, removed } = sanitizeHTML(rendered, { iframeMode: context.iframeMode });
+  context.removed.push(...removed.map(item => ({ page: page.name, ...item })));
+
+  // Colors that survive are written inline, where the theme's forced colors can't reach them
+  let colored = safe;
+  if (context.preserveColors) {
+    const { html: recolored, adjustments } = preserveColors(safe);
+    context.colorAdjustments.push(...adjustments.map(item => ({ page: page.name, ...item })));
+    colored = recolored;
+  }
 
-    /* Force readable colors */
-    .journal-page-content * {
-      color: #000000 !important;
-      background-color: transparent !important;
+  // Every heading gets a stable anchor; the shallow ones also go into the table of contents
+  const { html: anchored, headings } = addHeadingAnchors(colored, anchor);
+  for (const heading of headings) {
+    if (heading.level <= context.tocDepth) {
+      context.toc.push({ id: heading.id, text: heading.text, depth: pageDepth + heading.level });
     }
+  }
 
-    /* Tables */
-    table {
-      border-collapse: collapse;
-      width: 100%;
-      margin: 1em 0;
-    }
+  html += `<div class="journal-page-content">${anchored}</div>`;
+  html += '</div>';
 
-    th, td {
-      border: 1px solid #333333;
-      padding: 8px;
-      text-align: left;
-    }
+  return html;
+}
 
-    th {
-      background-color: #f0f0f0 !important;
-      font-weight: bold;
-    }
+/**
+ * Get the journal's pages in display order, grouped by category
+ * Uncategorized pages come first; v11/v12 journals have a single uncategorized section
+ * @param {JournalEntry} journal - The journal entry
+ * @returns {Array<{category: JournalEntryCategory|null, pages: JournalEntryPage[]}>} - Ordered sections
+ */
+export function getJournalSections(journal) {
+  const pages = journal.pages || journal.collections?.pages;
+  if (!pages) {
+    throw new Error('No pages found in journal');
+  }
 
-    /* Images */
-    img {
-      max-width: 100%;
-      height: auto;
-    }
+  const pageArray = (pages.contents || Array.from(pages.values()) || [])
+    .slice()
+    .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
 
-    /* Print styles */
-    @media print {
-      body {
-        padding: 0;
-      }
+  const categories = (journal.categories?.contents ?? [])
+    .slice()
+    .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
 
-      .journal-page {
-        page-break-after: always;
-      }
+  const categoryIds = new Set(categories.map(category => category.id));
+  const sections = [{
+    category: null,
+    pages: pageArray.filter(page => !page.category || !categoryIds.has(page.category))
+  }];
 
-      .journal-page:last-child {
-        page-break-after: auto;
-      }
-    }
+  for (const category of categories) {
+    sections.push({
+      category,
+      pages: pageArray.filter(page => page.category === category.id)
+    });
+  }
 
-    /* Headings */
-    h1, h2, h3, h4, h5, h6 {
-      color: #000000 !important;
-      margin-top: 1em;
-      margin-bottom: 0.5em;
-    }
+  return sections.filter(section => section.pages.length);
+}
 
-    /* Links */
-    a {
-      color: #0066cc !important;
-      text-decoration: underline;
-    }
+/**
+ * Create a standalone HTML document with embedded CSS
+ * @param {string} title - Document title
+ * @param {string} content - HTML content
+ * @param {Object} [options] - Resolved export options
+ * @param {string} [options.theme] - Print theme id (see registerTheme)
+ * @param {string} [options.customCSS] - CSS appended after the theme
+ * @param {boolean} [options.preserveColors] - Print backgrounds kept by preserveColors
+ * @param {string} [options.contentCSS] - Rules harvested for the content (see css-harvester.js)
+ * @param {string} [options.styles] - Finished stylesheet, replacing the one built from the options above
+ * @returns {string} - Complete HTML document; paper size, margins and running headers come from the page layout options (see createPageStyles)
+ */
+export function createStandaloneHTML(title, content, options = {}) {
+  const { theme = 'clean', customCSS = '', preserveColors = false, contentCSS = '', styles = null } = options;
+  const bodyClasses = [`theme-${theme}`];
+  if (preserveColors) {
+    bodyClasses.push('preserve-colors');
+  }
 
-    @media print {
-      a {
-        color: #000000 !important;
-      }
-    }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${createPageStyles(title, options)}
+${styles ?? getThemeStyles(theme, { contentCSS, customCSS })}
   </style>
 </head>
-<body>
+<body class="${escapeHtml(bodyClasses.join(' '))}">
   ${content}
 </body>
 </html>`;
@@ -250,60 +557,9 @@ function createStandaloneHTML(title, content) {
 /**
  * Download HTML as a file
  * @param {string} html - HTML content
- * @param {string} journalName - Journal name for filename
+ * @param {string} filename - Filename including extension
  */
-function downloadHTML(html, journalName) {
-  const filename = `${sanitizeFilename(journalName)}.html`;
-
-  // Create blob and download link
+function downloadHTML(html, filename) {
   const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-
-  // Use saveDataToFile from Foundry's core utilities if available (better desktop support)
-  if (typeof saveDataToFile === 'function') {
-    saveDataToFile(blob, 'text/html', filename);
-    return;
-  }
-
-  // Fallback: Traditional browser download
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-
-  // Make the click more reliable
-  document.body.appendChild(link);
-  link.dispatchEvent(new MouseEvent('click', {
-    bubbles: true,
-    cancelable: true,
-    view: window
-  }));
-
-  // Cleanup after download starts
-  setTimeout(() => {
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-  }, 250);
-}
-
-/**
- * Escape HTML special characters
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
-/**
- * Sanitize filename for safe file saving
- * @param {string} filename - The filename to sanitize
- * @returns {string} - Sanitized filename
- */
-function sanitizeFilename(filename) {
-  return filename
-    .replace(/[^a-z0-9]/gi, '_')
-    .replace(/_+/g, '_')
-    .toLowerCase();
+  downloadFile(blob, filename);
 }
@@ -0,0 +1,1152 @@
+/**
+ * PDF Writer - Lays out exported HTML as a vector PDF with the bundled jsPDF
+ * Text is drawn as real, selectable text and images are placed as images; nothing is screenshotted,
+ * and the layout runs in short slices that yield to the browser so Foundry stays responsive
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { getInlineStyle, walkContent } from './html-blocks.js';
+import { formatRunningText, getPageGeometry, getPageMargins, splitRunningTemplate } from './page-layout.js';
+import { safeDecodeURIComponent } from './utils.js';
+
+/**
+ * jsPDF's UMD build, loaded the first time a PDF is written
+ */
+const JSPDF_PATH = `modules/${MODULE_ID}/lib/jspdf.umd.min.js`;
+
+/**
+ * Millimetres per point and per CSS pixel
+ */
+const MM_PER_PT = 25.4 / 72;
+const MM_PER_PX = 25.4 / 96;
+
+/**
+ * Text sizes in points
+ */
+const TEXT_SIZES = {
+  body: 11,
+  small: 9.5,
+  table: 9.5,
+  h1: 20,
+  h2: 16,
+  h3: 14,
+  h4: 12.5,
+  h5: 11.5,
+  h6: 11,
+  title: 28
+};
+
+/**
+ * Standard PDF fonts; they need no embedding but only cover Latin-1
+ */
+const FONTS = {
+  body: 'times',
+  heading: 'helvetica',
+  mono: 'courier'
+};
+
+const LINE_HEIGHT = 1.35;
+const LIST_INDENT = 6;
+const QUOTE_INDENT = 8;
+const CELL_PADDING = 1.5;
+const LINK_COLOR = [26, 13, 171];
+const RUNNING_SIZE = 8.5;
+
+/**
+ * Longest stretch of layout work before yielding to the browser, in milliseconds
+ */
+const SLICE_MS = 25;
+
+/**
+ * How the content walk's pieces become layout blocks (see walkContent)
+ */
+const BLOCK_HANDLERS = {
+  text: (node, style, context, builder) => addText(builder, node.data, style, context),
+  lineBreak: (element, style, context, builder) => builder.runs.push({ ...style, text: '\n' }),
+  image: (element, style, context, builder) => {
+    flush(builder, context);
+    addAnchor(builder, element);
+    addImage(element, context, builder);
+  },
+  rule: (element, style, context, builder) => {
+    flush(builder, context);
+    pushBlock(builder, { type: 'rule' });
+  },
+  table: (element, style, context, builder) => {
+    flush(builder, context);
+    addAnchor(builder, element);
+    pushBlock(builder, collectTable(element, style, context));
+  },
+  list: (element, style, context, builder) => {
+    flush(builder, context);
+    addAnchor(builder, element);
+    collectList(element, style, context, builder);
+  },
+  block: collectBlock,
+  inline: (element, style, context, builder) => addAnchor(builder, element)
+};
+
+/**
+ * Outline nesting of the titles the exporter writes; page titles nest by their heading level
+ */
+const OUTLINE_RANKS = {
+  'book-chapter-title': 0,
+  'journal-category-title': 1,
+  'journal-page-title': 1
+};
+
+/**
+ * Typographic characters outside Latin-1 with a close Latin-1 stand-in
+ */
+const CHARACTER_REPLACEMENTS = {
+  '\u2018': "'", '\u2019': "'", '\u201A': ',', '\u201B': "'",
+  '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"',
+  '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-', '\u2212': '-',
+  '\u2022': '\u00B7', '\u2026': '...', '\u2032': "'", '\u2033': '"',
+  '\u2002': ' ', '\u2003': ' ', '\u2007': ' ', '\u2009': ' ', '\u202F': ' ',
+  '\u200B': '', '\u200C': '', '\u200D': '', '\uFEFF': ''
+};
+
+let jsPDFLoading = null;
+
+/**
+ * Lay out exported HTML as a PDF
+ * Headings, paragraphs, lists, tables, images and rules are laid out; page titles become the PDF outline,
+ * and links between exported pages jump to their page. Theme colors and harvested styles don't apply.
+ * @param {string} title - Document title
+ * @param {string} html - Exported content, with images embedded as data URIs
+ * @param {Object} [options] - Resolved export options
+ * @param {string} [options.header] - Running header template (see splitRunningTemplate)
+ * @param {string} [options.footer] - Running footer template
+ * @param {AbortSignal} [options.signal] - Cancels the layout between slices
+ * @param {function(string, {done?: number, total?: number}): void} [options.onProgress] - Called with the blocks laid out
+ * @returns {Promise<Blob>} - PDF file, laid out on the paper size, orientation and margins of the page layout options
+ */
+export async function createVectorPDF(title, html, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+  const JsPDF = await loadJsPDF();
+
+  const geometry = getPageGeometry(options);
+  const doc = new JsPDF({
+    unit: 'mm',
+    format: [geometry.width, geometry.height],
+    orientation: geometry.width > geometry.height ? 'landscape' : 'portrait',
+    compress: CONFIG.PDF_OPTIONS.compress
+  });
+  doc.setProperties({ title, creator: 'Intrinsics HTML Exporter' });
+
+  // Inert template: parsing doesn't load images or run anything
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const blocks = collectBlocks(template.content);
+
+  // The text width is the same on every page; with a gutter only the left edge moves
+  const { margin, gutter } = geometry;
+  const state = {
+    doc,
+    geometry,
+    left: getPageMargins(geometry, 1).left,
+    top: margin.top,
+    width: geometry.width - margin.left - margin.right - gutter,
+    bottom: geometry.height - margin.bottom,
+    y: margin.top,
+    fresh: true,
+    spaceAfter: 0,
+    images: new Map(),
+    anchors: new Map(),
+    links: [],
+    outline: [],
+    pageTitles: new Map(),
+    coverPages: new Set()
+  };
+
+  onProgress('layout', { total: blocks.length });
+
+  let sliceStart = performance.now();
+  let reported = 0;
+  for (const [index, block] of blocks.entries()) {
+    if (performance.now() - sliceStart > SLICE_MS) {
+      onProgress('layout', { done: index - reported });
+      reported = index;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      signal?.throwIfAborted();
+      sliceStart = performance.now();
+    }
+
+    await layoutBlock(state, block);
+  }
+  onProgress('layout', { done: blocks.length - reported });
+
+  resolveInternalLinks(state);
+  drawRunningText(state, title, options);
+
+  console.log(`Intrinsics HTML Export | Laid out ${blocks.length} block(s) on ${doc.getNumberOfPages()} PDF page(s)`);
+  return doc.output('blob');
+}
+
+/**
+ * Load the bundled jsPDF once
+ * @returns {Promise<Function>} - The jsPDF constructor
+ */
+function loadJsPDF() {
+  if (globalThis.jspdf?.jsPDF) {
+    return Promise.resolve(globalThis.jspdf.jsPDF);
+  }
+
+  jsPDFLoading ??= new Promise((resolve, reject) => {
+    const getRoute = foundry.utils.getRoute ?? globalThis.getRoute;
+    const script = document.createElement('script');
+    script.src = getRoute ? getRoute(JSPDF_PATH) : `/${JSPDF_PATH}`;
+    script.onload = () => resolve(globalThis.jspdf.jsPDF);
+    script.onerror = () => {
+      jsPDFLoading = null;
+      reject(new Error(`Could not load jsPDF from ${script.src}`));
+    };
+    document.head.appendChild(script);
+  });
+
+  return jsPDFLoading;
+}
+
+/**
+ * Turn exported content into a flat list of layout blocks
+ * @param {Node} root - Parsed content
+ * @returns {Object[]} - Blocks: text, image, table, rule, spacer and page breaks
+ */
+function collectBlocks(root) {
+  const builder = { blocks: [], runs: [], anchors: [], marker: null };
+  const context = { indent: 0, size: TEXT_SIZES.body, font: 'body', align: 'left', spaceBefore: 0, spaceAfter: 0.6, listDepth: 0 };
+
+  walk(root, {}, context, builder);
+  flush(builder, context);
+
+  // Ids at the very end still need somewhere to point
+  if (builder.anchors.length) {
+    pushBlock(builder, { type: 'spacer', fraction: 0 });
+  }
+
+  return builder.blocks;
+}
+
+/**
+ * Walk the children of a node, collecting inline runs and emitting blocks
+ * @param {Node} node - Parent node
+ * @param {Object} style - Inline style: bold, italic, mono, underline, href
+ * @param {Object} context - Block context: indent, size, font, align, spacing
+ * @param {Object} builder - Collected blocks and the runs of the block being built
+ */
+function walk(node, style, context, builder) {
+  walkContent(node, style, context, BLOCK_HANDLERS, builder);
+}
+
+/**
+ * Emit a block element: headings, paragraphs and containers, with the page structure the exporter writes
+ * @param {HTMLElement} element - Block element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent block context
+ * @param {Object} builder - Block builder
+ */
+function collectBlock(element, style, context, builder) {
+  const tag = element.localName;
+  const classes = element.classList;
+
+  flush(builder, context);
+
+  // Title pages and chapter dividers fill a page of their own; page breaks are kept
+  const cover = classes.contains('export-cover');
+  const ownPage = cover || classes.contains('book-title-page') || classes.contains('book-chapter');
+  if (ownPage || classes.contains('page-break')) {
+    pushBlock(builder, { type: 'break' });
+  }
+  if (cover) {
+    pushBlock(builder, { type: 'cover' });
+  }
+  if (ownPage) {
+    pushBlock(builder, { type: 'spacer', fraction: cover ? 0.1 : 0.3 });
+  }
+
+  addAnchor(builder, element);
+
+  const inner = { ...context, spaceBefore: 0, spaceAfter: 0 };
+  let innerStyle = getInlineStyle(element, style);
+
+  if (/^h[1-6]$/.test(tag)) {
+    Object.assign(inner, { size: TEXT_SIZES[tag], font: 'heading', spaceBefore: 1, spaceAfter: 0.4, keepWithNext: true });
+    innerStyle = { ...innerStyle, bold: true };
+
+    const rank = Object.entries(OUTLINE_RANKS).find(([name]) => classes.contains(name))?.[1];
+    if (rank !== undefined) {
+      inner.outline = { title: element.textContent.trim(), rank: classes.contains('journal-page-title') ? rank + Number(tag[1]) : rank };
+    }
+    if (classes.contains('journal-page-title')) {
+      inner.pageTitle = toPdfText(element.textContent.trim());
+    }
+    if (classes.contains('book-title') || classes.contains('book-chapter-title') || classes.contains('export-cover-title')) {
+      Object.assign(inner, { size: TEXT_SIZES.title, align: 'center' });
+    }
+  } else if (tag === 'p' || tag === 'pre' || tag === 'dl' || tag === 'figure' || tag === 'details') {
+    Object.assign(inner, { spaceBefore: 0, spaceAfter: 0.6 });
+  }
+
+  if (tag === 'blockquote') {
+    Object.assign(inner, { indent: context.indent + QUOTE_INDENT, spaceAfter: 0.6 });
+    innerStyle = { ...innerStyle, italic: true };
+  } else if (tag === 'dd') {
+    inner.indent = context.indent + QUOTE_INDENT;
+  } else if (tag === 'dt' || tag === 'summary') {
+    innerStyle = { ...innerStyle, bold: true };
+  } else if (tag === 'pre') {
+    Object.assign(inner, { pre: true, size: TEXT_SIZES.small });
+    innerStyle = { ...innerStyle, mono: true };
+  } else if (tag === 'figure' || tag === 'center') {
+    inner.align = 'center';
+  } else if (tag === 'figcaption' || classes.contains('export-footnotes')) {
+    inner.size = TEXT_SIZES.small;
+    if (tag === 'figcaption') {
+      Object.assign(inner, { align: 'center', spaceAfter: 0.6 });
+      innerStyle = { ...innerStyle, italic: true };
+    }
+  }
+
+  const align = element.getAttribute('align') ?? element.style?.textAlign;
+  if (['left', 'center', 'right'].includes(align)) {
+    inner.align = align;
+  }
+
+  walk(element, innerStyle, inner, builder);
+  flush(builder, inner);
+
+  if (ownPage || classes.contains('export-toc')) {
+    pushBlock(builder, { type: 'break' });
+  }
+}
+
+/**
+ * Emit the items of a list, each with its bullet or number
+ * @param {HTMLElement} list - ul or ol element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent block context
+ * @param {Object} builder - Block builder
+ */
+function collectList(list, style, context, builder) {
+  const ordered = list.localName === 'ol';
+  const plain = list.classList.contains('export-toc-list') || list.style?.listStyleType === 'none';
+  let number = Number(list.getAttribute('start')) || 1;
+
+  const itemContext = {
+    ...context,
+    indent: context.indent + LIST_INDENT,
+    listDepth: context.listDepth + 1,
+    spaceBefore: 0,
+    spaceAfter: context.listDepth ? 0 : 0.2
+  };
+
+  for (const item of list.children) {
+    if (item.localName !== 'li') continue;
+
+    builder.marker = plain ? null : (ordered ? { text: `${number}.` } : { bullet: context.listDepth % 2 ? 'hollow' : 'filled' });
+    number++;
+
+    addAnchor(builder, item);
+    walk(item, style, itemContext, builder);
+    flush(builder, itemContext);
+    builder.marker = null;
+  }
+
+  // Space after the whole list, not after every item
+  const last = builder.blocks[builder.blocks.length - 1];
+  if (last?.type === 'text' && !context.listDepth) {
+    last.spaceAfter = Math.max(last.spaceAfter, 0.6);
+  }
+}
+
+/**
+ * Collect a table's rows and cells; cell content is laid out as wrapped text
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} style - Inherited inline style
+ * @param {Object} context - Parent block context
+ * @returns {Object} - Table block
+ */
+function collectTable(table, style, context) {
+  const rows = [];
+  let leading = true;
+
+  for (const row of table.querySelectorAll('tr')) {
+    // Rows of nested tables are read with their own table
+    if (row.closest('table') !== table) continue;
+
+    const cells = Array.from(row.cells).map(cell => {
+      const header = cell.localName === 'th';
+      const cellBuilder = { blocks: [], runs: [], anchors: [], marker: null };
+      const cellContext = { ...context, indent: 0, size: TEXT_SIZES.table, spaceBefore: 0, spaceAfter: 0 };
+      walk(cell, header ? { ...style, bold: true } : style, cellContext, cellBuilder);
+      flush(cellBuilder, cellContext);
+
+      // Paragraphs inside a cell become lines; images become their alt text
+      const runs = cellBuilder.blocks.flatMap((block, index) => [
+        ...(index ? [{ text: '\n' }] : []),
+        ...(block.type === 'text' ? block.runs : block.alt ? [{ italic: true, text: `[${block.alt}]` }] : [])
+      ]);
+
+      return { runs, colspan: Math.max(1, cell.colSpan || 1), header };
+    });
+
+    if (!cells.length) continue;
+
+    // Header rows at the top are repeated after a page break
+    const header = leading && (row.parentElement.localName === 'thead' || cells.every(cell => cell.header));
+    leading = header;
+    rows.push({ cells, header });
+  }
+
+  return { type: 'table', rows, indent: context.indent };
+}
+
+/**
+ * Emit an image block for an img, an embedded image reference or a video poster
+ * @param {Element} element - img, svg.export-image or video element
+ * @param {Object} context - Block context
+ * @param {Object} builder - Block builder
+ */
+function addImage(element, context, builder) {
+  let src;
+  if (element.localName === 'svg') {
+    // Shared images are referenced with <use> from the definitions embedAssets writes
+    const id = element.querySelector('use')?.getAttribute('href')?.slice(1);
+    const definition = id ? element.getRootNode().getElementById(id) : null;
+    src = definition?.getAttribute('href') ?? definition?.getAttribute('xlink:href');
+  } else {
+    src = element.getAttribute(element.localName === 'video' ? 'poster' : 'src');
+  }
+
+  const alt = element.getAttribute('alt') ?? element.querySelector('title')?.textContent ?? '';
+  if (!src) {
+    if (alt) addText(builder, `[${alt}]`, { italic: true }, context);
+    return;
+  }
+
+  // Only pixel sizes are used; percentages fall back to the image's own size
+  const size = (element.getAttribute('width') || element.style?.width || '').trim();
+  const width = /^\d+(?:\.\d+)?(?:px)?$/.test(size) ? parseFloat(size) : 0;
+  const block = { type: 'image', src, alt, width, indent: context.indent };
+
+  // The cover image fills the width, leaving room for the title below it
+  if (element.classList.contains('export-cover-image')) {
+    Object.assign(block, { fill: true, maxHeight: 0.6 });
+  }
+
+  pushBlock(builder, block);
+}
+
+/**
+ * Add text to the block being built
+ * @param {Object} builder - Block builder
+ * @param {string} text - Text
+ * @param {Object} style - Inline style
+ * @param {Object} context - Block context; preformatted text keeps its spaces and line breaks
+ */
+function addText(builder, text, style, context) {
+  if (context.pre) {
+    text.split('\n').forEach((line, index) => {
+      if (index) builder.runs.push({ ...style, text: '\n' });
+      if (line) builder.runs.push({ ...style, text: toPdfText(line.replace(/\t/g, '    ')), pre: true });
+    });
+    return;
+  }
+
+  const collapsed = text.replace(/\s+/g, ' ');
+  if (collapsed) {
+    builder.runs.push({ ...style, text: toPdfText(collapsed) });
+  }
+}
+
+/**
+ * Remember an element's id so links to it can jump to the block that follows
+ * @param {Object} builder - Block builder
+ * @param {Element} element - Element
+ */
+function addAnchor(builder, element) {
+  if (element.id) {
+    builder.anchors.push(element.id);
+  }
+}
+
+/**
+ * Emit the runs collected so far as a text block
+ * @param {Object} builder - Block builder
+ * @param {Object} context - Block context the runs belong to
+ */
+function flush(builder, context) {
+  const runs = builder.runs;
+  builder.runs = [];
+
+  if (!runs.some(run => run.text.trim())) return;
+
+  pushBlock(builder, {
+    type: 'text',
+    runs,
+    size: context.size,
+    font: context.font,
+    align: context.align,
+    indent: context.indent,
+    spaceBefore: context.spaceBefore,
+    spaceAfter: context.spaceAfter,
+    keepWithNext: context.keepWithNext,
+    outline: context.outline,
+    pageTitle: context.pageTitle,
+    marker: builder.marker
+  });
+
+  // Only the first block of a list item carries its bullet
+  builder.marker = null;
+}
+
+/**
+ * Add a block, attaching the ids waiting for one
+ * @param {Object} builder - Block builder
+ * @param {Object} block - Block
+ */
+function pushBlock(builder, block) {
+  block.anchors = builder.anchors.splice(0);
+  builder.blocks.push(block);
+}
+
+/**
+ * Lay out one block
+ * @param {Object} state - Layout state
+ * @param {Object} block - Block from collectBlocks
+ * @returns {Promise<void>}
+ */
+async function layoutBlock(state, block) {
+  switch (block.type) {
+    case 'break':
+      if (!state.fresh) newPage(state);
+      break;
+    case 'cover':
+      state.coverPages.add(state.doc.getCurrentPageInfo().pageNumber);
+      break;
+    case 'spacer':
+      markAnchors(state, block);
+      state.y += (state.bottom - state.top) * block.fraction;
+      break;
+    case 'rule':
+      layoutRule(state, block);
+      break;
+    case 'image':
+      await layoutImage(state, block);
+      break;
+    case 'table':
+      layoutTable(state, block);
+      break;
+    default:
+      layoutText(state, block);
+  }
+}
+
+/**
+ * Start a new PDF page
+ * @param {Object} state - Layout state
+ */
+function newPage(state) {
+  state.doc.addPage();
+  state.left = getPageMargins(state.geometry, state.doc.getCurrentPageInfo().pageNumber).left;
+  state.y = state.top;
+  state.fresh = true;
+  state.spaceAfter = 0;
+}
+
+/**
+ * Move to a new page unless the given height still fits
+ * A fresh page takes anything, so oversized content can't loop
+ * @param {Object} state - Layout state
+ * @param {number} height - Height needed in millimetres
+ */
+function ensureSpace(state, height) {
+  if (!state.fresh && state.y + height > state.bottom) {
+    newPage(state);
+  }
+}
+
+/**
+ * Add the space between the previous block and the next; adjacent spacing collapses like CSS margins
+ * @param {Object} state - Layout state
+ * @param {number} before - Space the next block wants above it, in millimetres
+ */
+function addGap(state, before) {
+  if (!state.fresh) {
+    state.y += Math.max(state.spaceAfter, before);
+  }
+}
+
+/**
+ * Record where a block's ids landed, for internal links
+ * @param {Object} state - Layout state
+ * @param {Object} block - Block
+ */
+function markAnchors(state, block) {
+  const page = state.doc.getCurrentPageInfo().pageNumber;
+  for (const id of block.anchors ?? []) {
+    state.anchors.set(id, { page, y: state.y });
+  }
+}
+
+/**
+ * Lay out a text block: heading, paragraph or list item
+ * @param {Object} state - Layout state
+ * @param {Object} block - Text block
+ */
+function layoutText(state, block) {
+  const { doc } = state;
+  const lineHeight = block.size * MM_PER_PT * LINE_HEIGHT;
+  const width = state.width - block.indent;
+  const lines = breakLines(doc, block.runs, block, width);
+
+  addGap(state, block.spaceBefore * block.size * MM_PER_PT);
+
+  // Headings stay with the first lines of what follows them
+  const keep = block.keepWithNext ? lines.length * lineHeight + 3 * TEXT_SIZES.body * MM_PER_PT * LINE_HEIGHT : lineHeight;
+  ensureSpace(state, Math.min(keep, state.bottom - state.top));
+
+  markAnchors(state, block);
+  if (block.outline) {
+    addOutline(state, block.outline);
+  }
+  if (block.pageTitle) {
+    setPageTitle(state, block.pageTitle);
+  }
+
+  lines.forEach((line, index) => {
+    ensureSpace(state, lineHeight);
+
+    const x = state.left + block.indent;
+    const baseline = state.y + (lineHeight - block.size * MM_PER_PT) / 2 + block.size * MM_PER_PT * 0.8;
+    const offset = block.align === 'center' ? (width - line.width) / 2 : block.align === 'right' ? width - line.width : 0;
+
+    if (index === 0 && block.marker) {
+      drawMarker(state, block, x, baseline);
+    }
+
+    for (const item of line.items) {
+      drawText(state, block, item, x + offset + item.x, baseline, lineHeight);
+    }
+
+    state.y += lineHeight;
+    state.fresh = false;
+  });
+
+  state.spaceAfter = block.spaceAfter * block.size * MM_PER_PT;
+}
+
+/**
+ * Draw one piece of a line, with its link
+ * @param {Object} state - Layout state
+ * @param {Object} block - Text block
+ * @param {Object} item - Line item from breakLines
+ * @param {number} x - Left edge
+ * @param {number} baseline - Text baseline
+ * @param {number} lineHeight - Line height, the height of the link area
+ */
+function drawText(state, block, item, x, baseline, lineHeight) {
+  const { doc } = state;
+  const { run } = item;
+
+  setFont(doc, run, block);
+  doc.setTextColor(...(run.href ? LINK_COLOR : [0, 0, 0]));
+  doc.text(item.text, x, baseline);
+
+  if (run.underline) {
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.2);
+    doc.line(x, baseline + 0.6, x + item.width, baseline + 0.6);
+  }
+
+  if (!run.href) return;
+
+  const top = baseline - block.size * MM_PER_PT * 0.8 - (lineHeight - block.size * MM_PER_PT) / 2;
+  if (run.href.startsWith('#')) {
+    // Targets may be further down; resolved once every anchor is placed
+    state.links.push({ page: doc.getCurrentPageInfo().pageNumber, x, y: top, width: item.width, height: lineHeight, id: safeDecodeURIComponent(run.href.slice(1)) });
+  } else if (/^(?:https?|mailto):/i.test(run.href)) {
+    doc.link(x, top, item.width, lineHeight, { url: run.href });
+  }
+}
+
+/**
+ * Draw a list item's bullet or number left of its first line
+ * @param {Object} state - Layout state
+ * @param {Object} block - Text block with a marker
+ * @param {number} x - Left edge of the item text
+ * @param {number} baseline - Baseline of the first line
+ */
+function drawMarker(state, block, x, baseline) {
+  const { doc } = state;
+  const size = block.size * MM_PER_PT;
+
+  doc.setTextColor(0, 0, 0);
+  doc.setDrawColor(0);
+  doc.setFillColor(0, 0, 0);
+
+  if (block.marker.bullet) {
+    doc.setLineWidth(0.2);
+    doc.circle(x - LIST_INDENT / 2, baseline - size * 0.3, size * 0.14, block.marker.bullet === 'filled' ? 'F' : 'S');
+  } else {
+    setFont(doc, {}, block);
+    doc.text(block.marker.text, x - 1.5, baseline, { align: 'right' });
+  }
+}
+
+/**
+ * Set the font of a run
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} run - Text run
+ * @param {Object} block - Text block, for the size and font family
+ */
+function setFont(doc, run, block) {
+  const family = run.mono ? FONTS.mono : FONTS[block.font] ?? FONTS.body;
+  const style = run.bold && run.italic ? 'bolditalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+  doc.setFont(family, style);
+  doc.setFontSize(block.size);
+}
+
+/**
+ * Break runs into lines that fit a width
+ * Runs written without a space between them stay together as one word
+ * @param {jsPDF} doc - PDF document, for measuring
+ * @param {Object[]} runs - Text runs
+ * @param {Object} block - Text block, for the size and font family
+ * @param {number} width - Available width in millimetres
+ * @returns {Array<{items: Array<{text: string, run: Object, x: number, width: number}>, width: number}>} - Lines
+ */
+function breakLines(doc, runs, block, width) {
+  const measure = (text, run) => {
+    setFont(doc, run, block);
+    return doc.getTextWidth(text);
+  };
+
+  // Words are lists of pieces, each piece in a single run's style
+  const words = [];
+  let word = null;
+  let space = null;
+  for (const run of runs) {
+    for (const [token] of run.text.matchAll(run.pre ? /\n|[^\n]+/g : /\n|[^\S\n]+|[^\s]+/g)) {
+      if (token === '\n') {
+        words.push({ newline: true });
+        word = null;
+        space = null;
+      } else if (!token.trim()) {
+        space = run;
+        word = null;
+      } else if (word) {
+        word.pieces.push({ text: token, run });
+      } else {
+        word = { pieces: [{ text: token, run }], space };
+        words.push(word);
+        space = null;
+      }
+    }
+  }
+
+  const lines = [];
+  let line = { items: [], width: 0 };
+
+  for (const next of words) {
+    if (next.newline) {
+      lines.push(line);
+      line = { items: [], width: 0 };
+      continue;
+    }
+
+    let pieces = next.pieces.map(piece => ({ ...piece, width: measure(piece.text, piece.run) }));
+    let wordWidth = pieces.reduce((sum, piece) => sum + piece.width, 0);
+    let spaceWidth = line.items.length && next.space ? measure(' ', next.space) : 0;
+
+    if (line.items.length && line.width + spaceWidth + wordWidth > width) {
+      lines.push(line);
+      line = { items: [], width: 0 };
+      spaceWidth = 0;
+    }
+
+    // A word wider than the whole line (long URLs) is split wherever it has to be
+    while (wordWidth > width && pieces.length === 1 && pieces[0].text.length > 1) {
+      const [piece] = pieces;
+      let end = piece.text.length - 1;
+      while (end > 1 && measure(piece.text.slice(0, end), piece.run) > width - line.width) end--;
+
+      const head = piece.text.slice(0, end);
+      line.items.push({ text: head, run: piece.run, x: line.width, width: measure(head, piece.run) });
+      lines.push(line);
+      line = { items: [], width: 0 };
+
+      const rest = piece.text.slice(end);
+      pieces = [{ text: rest, run: piece.run, width: measure(rest, piece.run) }];
+      wordWidth = pieces[0].width;
+    }
+
+    let x = line.width + spaceWidth;
+    for (const [index, piece] of pieces.entries()) {
+      // Words in the same style are drawn as one piece of text
+      const last = line.items[line.items.length - 1];
+      if (last?.run === piece.run && (index || !spaceWidth || next.space === piece.run)) {
+        last.text += (index || !spaceWidth ? '' : ' ') + piece.text;
+        last.width = x + piece.width - last.x;
+      } else {
+        line.items.push({ text: piece.text, run: piece.run, x, width: piece.width });
+      }
+      x += piece.width;
+    }
+    line.width = x;
+  }
+
+  lines.push(line);
+
+  // Line breaks at the very start or end add nothing
+  while (lines.length > 1 && !lines[lines.length - 1].items.length) lines.pop();
+  while (lines.length > 1 && !lines[0].items.length) lines.shift();
+
+  return lines;
+}
+
+/**
+ * Add a title to the PDF outline, nested under the nearest title of a lower rank
+ * @param {Object} state - Layout state
+ * @param {{title: string, rank: number}} outline - Title and its nesting rank
+ */
+function addOutline(state, { title, rank }) {
+  while (state.outline.length && state.outline[state.outline.length - 1].rank >= rank) {
+    state.outline.pop();
+  }
+
+  const parent = state.outline[state.outline.length - 1]?.node ?? null;
+  const node = state.doc.outline.add(parent, toPdfText(title), { pageNumber: state.doc.getCurrentPageInfo().pageNumber });
+  state.outline.push({ rank, node });
+}
+
+/**
+ * Remember the page titles laid out on the current page, for the {page} token of running headers
+ * @param {Object} state - Layout state
+ * @param {string} title - Page title
+ */
+function setPageTitle(state, title) {
+  const page = state.doc.getCurrentPageInfo().pageNumber;
+  const titles = state.pageTitles.get(page);
+  if (titles) {
+    titles.last = title;
+  } else {
+    state.pageTitles.set(page, { first: title, last: title });
+  }
+}
+
+/**
+ * Draw the running header and footer on every page but the cover
+ * Like CSS string-set, {page} is the first page title on a page, or else the last one before it
+ * @param {Object} state - Layout state
+ * @param {string} title - Document title
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.header] - Running header template
+ * @param {string} [options.footer] - Running footer template
+ */
+function drawRunningText(state, title, { header = '', footer = '' }) {
+  const templates = { header: splitRunningTemplate(header), footer: splitRunningTemplate(footer) };
+  if (![...Object.values(templates.header), ...Object.values(templates.footer)].some(Boolean)) return;
+
+  const { doc, geometry } = state;
+  const pageCount = doc.getNumberOfPages();
+  const offset = RUNNING_SIZE * MM_PER_PT * 0.35;
+  let carried = '';
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const titles = state.pageTitles.get(pageNumber);
+    const values = { title, page: titles?.first ?? carried, pageNumber, pageCount };
+    carried = titles?.last ?? carried;
+
+    if (state.coverPages.has(pageNumber)) continue;
+
+    const margins = getPageMargins(geometry, pageNumber);
+    doc.setPage(pageNumber);
+    doc.setFont(FONTS.heading, 'normal');
+    doc.setFontSize(RUNNING_SIZE);
+    doc.setTextColor(85, 85, 85);
+
+    for (const [kind, parts] of Object.entries(templates)) {
+      // Centered in the top or bottom margin, like CSS margin boxes; left and right swap on mirrored pages
+      const baseline = (kind === 'header' ? margins.top / 2 : geometry.height - margins.bottom / 2) + offset;
+      const [left, right] = margins.mirrored ? [parts.right, parts.left] : [parts.left, parts.right];
+
+      if (left) doc.text(toPdfText(formatRunningText(left, values)), margins.left, baseline);
+      if (parts.center) doc.text(toPdfText(formatRunningText(parts.center, values)), geometry.width / 2, baseline, { align: 'center' });
+      if (right) doc.text(toPdfText(formatRunningText(right, values)), geometry.width - margins.right, baseline, { align: 'right' });
+    }
+  }
+}
+
+/**
+ * Lay out a horizontal rule
+ * @param {Object} state - Layout state
+ * @param {Object} block - Rule block
+ */
+function layoutRule(state, block) {
+  const gap = TEXT_SIZES.body * MM_PER_PT * 0.6;
+  addGap(state, gap);
+  ensureSpace(state, 1);
+  markAnchors(state, block);
+
+  state.doc.setDrawColor(150);
+  state.doc.setLineWidth(0.3);
+  state.doc.line(state.left, state.y, state.left + state.width, state.y);
+
+  state.y += 0.3;
+  state.fresh = false;
+  state.spaceAfter = gap;
+}
+
+/**
+ * Lay out an image, scaled to fit the text width and the page height
+ * Images the browser can decode but jsPDF can't (SVG, AVIF) are rasterized first; images that can't be
+ * loaded at all are replaced by their alt text
+ * @param {Object} state - Layout state
+ * @param {Object} block - Image block
+ * @returns {Promise<void>}
+ */
+async function layoutImage(state, block) {
+  const image = await loadImage(state, block.src);
+  if (!image) {
+    layoutText(state, {
+      type: 'text',
+      runs: [{ italic: true, text: toPdfText(`[${block.alt || 'Image'}]`) }],
+      size: TEXT_SIZES.small,
+      font: 'body',
+      align: 'center',
+      indent: block.indent,
+      spaceBefore: 0.6,
+      spaceAfter: 0.6,
+      anchors: block.anchors
+    });
+    return;
+  }
+
+  const available = state.width - block.indent;
+  let width = block.fill ? available : Math.min((block.width || image.width) * MM_PER_PX, available);
+  let height = width * image.height / image.width;
+
+  const pageHeight = (state.bottom - state.top) * (block.maxHeight ?? 1);
+  if (height > pageHeight) {
+    width *= pageHeight / height;
+    height = pageHeight;
+  }
+
+  const gap = TEXT_SIZES.body * MM_PER_PT * 0.6;
+  addGap(state, gap);
+  ensureSpace(state, height);
+  markAnchors(state, block);
+
+  const x = state.left + block.indent + (available - width) / 2;
+  state.doc.addImage(image.data, image.format, x, state.y, width, height, image.alias);
+
+  state.y += height;
+  state.fresh = false;
+  state.spaceAfter = gap;
+}
+
+/**
+ * Read an image once per document; repeated images share one PDF image object
+ * @param {Object} state - Layout state
+ * @param {string} src - Image URL, usually a data URI
+ * @returns {Promise<{data: string, format: string, width: number, height: number, alias: string}|null>} - Image, null if it can't be read
+ */
+async function loadImage(state, src) {
+  if (state.images.has(src)) {
+    return state.images.get(src);
+  }
+
+  let image = null;
+  try {
+    if (src.startsWith('data:')) {
+      const properties = state.doc.getImageProperties(src);
+      image = { data: src, format: properties.fileType, width: properties.width, height: properties.height };
+    }
+  } catch (error) {
+    // Not a format jsPDF reads
+  }
+
+  if (!image) {
+    try {
+      image = await rasterizeImage(src);
+    } catch (error) {
+      console.warn('Intrinsics HTML Export | Could not place image in PDF:', src.slice(0, 100), error);
+    }
+  }
+
+  if (image) {
+    image.alias = `image-${state.images.size + 1}`;
+  }
+  state.images.set(src, image);
+  return image;
+}
+
+/**
+ * Draw an image onto a canvas and read it back as PNG
+ * @param {string} src - Image URL
+ * @returns {Promise<{data: string, format: string, width: number, height: number}>} - PNG image
+ */
+async function rasterizeImage(src) {
+  const element = new Image();
+  element.src = src;
+  await element.decode();
+
+  // SVGs without a size decode at the CSS default of 300x150
+  const width = element.naturalWidth || 300;
+  const height = element.naturalHeight || 150;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(element, 0, 0, width, height);
+
+  return { data: canvas.toDataURL('image/png'), format: 'PNG', width, height };
+}
+
+/**
+ * Lay out a table with wrapped cells
+ * Rows taller than the rest of the page are split; header rows repeat on every page the table continues on
+ * @param {Object} state - Layout state
+ * @param {Object} block - Table block
+ */
+function layoutTable(state, block) {
+  const { doc } = state;
+  const cellBlock = { size: TEXT_SIZES.table, font: 'body' };
+  const lineHeight = TEXT_SIZES.table * MM_PER_PT * LINE_HEIGHT;
+  const width = state.width - block.indent;
+  const widths = getColumnWidths(doc, block.rows, cellBlock, width);
+
+  // Break every cell into lines once
+  const rows = block.rows.map(row => {
+    let column = 0;
+    const cells = row.cells.map(cell => {
+      const x = widths.slice(0, column).reduce((sum, w) => sum + w, 0);
+      const cellWidth = widths.slice(column, column + cell.colspan).reduce((sum, w) => sum + w, 0);
+      column += cell.colspan;
+      return { ...cell, x, width: cellWidth, lines: breakLines(doc, cell.runs, cellBlock, Math.max(cellWidth - 2 * CELL_PADDING, 1)) };
+    });
+    return { ...row, cells, lineCount: Math.max(1, ...cells.map(cell => cell.lines.length)) };
+  });
+  const headers = rows.filter(row => row.header);
+
+  const gap = TEXT_SIZES.body * MM_PER_PT * 0.6;
+  addGap(state, gap);
+  ensureSpace(state, lineHeight + 2 * CELL_PADDING);
+  markAnchors(state, block);
+
+  const drawRow = (row, from, count) => {
+    const height = count * lineHeight + 2 * CELL_PADDING;
+    for (const cell of row.cells) {
+      const x = state.left + block.indent + cell.x;
+      if (row.header) {
+        doc.setFillColor(235, 235, 235);
+        doc.rect(x, state.y, cell.width, height, 'F');
+      }
+      doc.setDrawColor(150);
+      doc.setLineWidth(0.2);
+      doc.rect(x, state.y, cell.width, height, 'S');
+
+      cell.lines.slice(from, from + count).forEach((line, index) => {
+        const baseline = state.y + CELL_PADDING + index * lineHeight + (lineHeight - TEXT_SIZES.table * MM_PER_PT) / 2 + TEXT_SIZES.table * MM_PER_PT * 0.8;
+        for (const item of line.items) {
+          drawText(state, cellBlock, item, x + CELL_PADDING + item.x, baseline, lineHeight);
+        }
+      });
+    }
+    state.y += height;
+    state.fresh = false;
+  };
+
+  for (const row of rows) {
+    let from = 0;
+    while (from < row.lineCount) {
+      const remaining = row.lineCount - from;
+      const fits = Math.floor((state.bottom - state.y - 2 * CELL_PADDING) / lineHeight);
+
+      // Move whole rows that would fit on a fresh page; split the rest
+      const fullPage = Math.floor((state.bottom - state.top - 2 * CELL_PADDING) / lineHeight);
+      if (fits < remaining && (fits < 1 || remaining <= fullPage) && !state.fresh) {
+        newPage(state);
+        if (!row.header) {
+          headers.forEach(header => drawRow(header, 0, header.lineCount));
+        }
+        continue;
+      }
+
+      const count = Math.max(1, Math.min(remaining, fits));
+      drawRow(row, from, count);
+      from += count;
+    }
+  }
+
+  state.spaceAfter = gap;
+}
+
+/**
+ * Share the table width between columns by how much text they hold
+ * @param {jsPDF} doc - PDF document, for measuring
+ * @param {Object[]} rows - Table rows
+ * @param {Object} cellBlock - Text settings of the cells
+ * @param {number} width - Table width in millimetres
+ * @returns {number[]} - Column widths in millimetres
+ */
+function getColumnWidths(doc, rows, cellBlock, width) {
+  const columns = Math.max(1, ...rows.map(row => row.cells.reduce((sum, cell) => sum + cell.colspan, 0)));
+  const desired = new Array(columns).fill(0);
+
+  for (const row of rows) {
+    let column = 0;
+    for (const cell of row.cells) {
+      if (cell.colspan === 1) {
+        const textWidth = cell.runs.reduce((sum, run) => {
+          setFont(doc, run, cellBlock);
+          return sum + doc.getTextWidth(run.text);
+        }, 0);
+        desired[column] = Math.max(desired[column], Math.min(textWidth, width) + 2 * CELL_PADDING);
+      }
+      column += cell.colspan;
+    }
+  }
+
+  // Every column gets a share, however little text it has
+  const minimum = Math.min(12, width / columns);
+  const adjusted = desired.map(value => Math.max(value, minimum));
+  const total = adjusted.reduce((sum, value) => sum + value, 0);
+  return adjusted.map(value => value * width / total);
+}
+
+/**
+ * Turn links to ids in the document into jumps to the page they landed on
+ * Links to ids that weren't exported are left as plain text
+ * @param {Object} state - Layout state
+ */
+function resolveInternalLinks(state) {
+  const { doc } = state;
+  const current = doc.getCurrentPageInfo().pageNumber;
+
+  for (const link of state.links) {
+    const target = state.anchors.get(link.id);
+    if (!target) continue;
+
+    doc.setPage(link.page);
+    doc.link(link.x, link.y, link.width, link.height, { pageNumber: target.page, top: target.y });
+  }
+
+  doc.setPage(current);
+}
+
+/**
+ * Make text printable with the standard PDF fonts
+ * Typographic punctuation is replaced, accents outside Latin-1 are dropped and anything else becomes "?"
+ * @param {string} text - Text
+ * @returns {string} - Latin-1 text
+ */
+function toPdfText(text) {
+  return text.replace(/[^\u0000-\u00FF]/gu, char => {
+    if (char in CHARACTER_REPLACEMENTS) return CHARACTER_REPLACEMENTS[char];
+    const base = char.normalize('NFKD').replace(/[\u0300-\u036F]/g, '');
+    return /^[\u0000-\u00FF]+$/.test(base) ? base : '?';
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Player Filter - Limits an export to what a player is allowed to see
+ * Filters pages by ownership, strips secrets and redacts links to hidden documents
+ */
+
+import { MODULE_ID } from './config.js';
+
+/**
+ * Export modes
+ */
+export const EXPORT_MODES = {
+  gm: 'GM view (everything)',
+  player: 'Player view (player-safe)'
+};
+
+/**
+ * Resolve who the export is being produced for
+ * Non-GM users can only ever export their own player view
+ * @param {Object} options - Export options
+ * @param {string} [options.mode] - 'gm' or 'player'
+ * @param {string} [options.userId] - Player to export for, defaults to the current user
+ * @param {string|number} [options.ownershipLevel] - Minimum ownership a page needs to be included
+ * @returns {{user: User, level: number}|null} - Viewer for player view, null for GM view
+ */
+export function resolveViewer(options = {}) {
+  const mode = game.user.isGM
+    ? options.mode ?? game.settings.get(MODULE_ID, 'exportMode')
+    : 'player';
+
+  if (mode !== 'player') {
+    return null;
+  }
+
+  const user = game.user.isGM && options.userId
+    ? game.users.get(options.userId)
+    : game.user;
+
+  if (!user) {
+    throw new Error(`Unknown user: ${options.userId}`);
+  }
+
+  const levels = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  let level = options.ownershipLevel ?? game.settings.get(MODULE_ID, 'playerOwnershipLevel');
+  if (typeof level === 'string') {
+    level = levels[level];
+  }
+
+  return { user, level: level ?? levels.OBSERVER };
+}
+
+/**
+ * Check whether the viewer may see a journal page
+ * @param {JournalEntryPage} page - The journal page
+ * @param {{user: User, level: number}|null} viewer - Viewer from resolveViewer
+ * @returns {boolean} - True if the page belongs in the export
+ */
+export function canViewPage(page, viewer) {
+  if (!viewer) return true;
+  return page.testUserPermission(viewer.user, viewer.level);
+}
+
+/**
+ * Check whether the viewer may see the document behind a content link
+ * @param {string} uuid - Document UUID
+ * @param {{user: User, level: number}|null} viewer - Viewer from resolveViewer
+ * @returns {boolean} - True if the link can be shown
+ */
+export function canViewDocument(uuid, viewer) {
+  if (!viewer) return true;
+
+  let doc;
+  try {
+    doc = fromUuidSync(uuid);
+  } catch (error) {
+    doc = null;
+  }
+
+  const { user } = viewer;
+  const limited = CONST.DOCUMENT_OWNERSHIP_LEVELS.LIMITED;
+
+  // Compendium index entries have no permissions of their own, so defer to the pack
+  if (doc && typeof doc.testUserPermission !== 'function') {
+    const pack = game.packs.get(doc.pack ?? uuid.split('.').slice(1, 3).join('.'));
+    return pack ? pack.testUserPermission?.(user, 'OBSERVER') ?? pack.visible : false;
+  }
+
+  return doc ? doc.testUserPermission(user, limited) : false;
+}
+
+/**
+ * Remove unrevealed secret sections
+ * @param {HTMLElement} container - Enriched content
+ */
+export function stripSecrets(container) {
+  for (const secret of container.querySelectorAll('section.secret:not(.revealed)')) {
+    secret.remove();
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Sanitizer - Makes exported HTML safe to open outside Foundry
+ * Allow-lists tags and attributes, drops event handlers and script URLs, and handles iframes
+ */
+
+/**
+ * Iframe handling modes
+ */
+export const IFRAME_MODES = {
+  remove: 'Remove',
+  link: 'Replace with a link',
+  keep: 'Keep (sandboxed, no scripts)'
+};
+
+/**
+ * Elements that are removed together with their content
+ */
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'object', 'embed', 'applet',
+  'base', 'link', 'meta', 'frame', 'frameset', 'form', 'input', 'button',
+  'select', 'textarea'
+]);
+
+/**
+ * Elements kept as-is; anything else not listed is unwrapped and its content kept
+ */
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'address', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+  'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl',
+  'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 'q', 's',
+  'samp', 'section', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'video', 'wbr',
+  // Inline SVG
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'text',
+  'tspan', 'image', 'defs', 'lineargradient', 'radialgradient', 'stop', 'title', 'desc'
+]);
+
+/**
+ * Attributes allowed on any element (plus data-* and aria-*)
+ */
+const ALLOWED_ATTRIBUTES = new Set([
+  'class', 'id', 'style', 'title', 'lang', 'dir', 'role',
+  'alt', 'src', 'srcset', 'sizes', 'media', 'href', 'target', 'rel', 'width', 'height',
+  'colspan', 'rowspan', 'scope', 'headers', 'align', 'valign', 'start', 'reversed', 'type',
+  'open', 'datetime', 'cite', 'poster', 'controls', 'loop', 'muted', 'preload'
+]);
+
+/**
+ * Extra attributes allowed on SVG elements
+ */
+const SVG_ATTRIBUTES = new Set([
+  'viewbox', 'xmlns', 'xmlns:xlink', 'xlink:href', 'preserveaspectratio', 'd', 'fill',
+  'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-dasharray', 'opacity', 'transform', 'x', 'y', 'x1', 'x2', 'y1',
+  'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'points', 'offset', 'stop-color', 'stop-opacity',
+  'gradientunits', 'gradienttransform', 'font-size', 'font-family', 'font-weight',
+  'text-anchor', 'dominant-baseline', 'dx', 'dy'
+]);
+
+/**
+ * Attributes holding a URL
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'cite', 'xlink:href']);
+
+/**
+ * Sanitize an HTML fragment
+ * @param {string} html - HTML to sanitize
+ * @param {Object} options - Sanitizer options
+ * @param {string} [options.iframeMode='link'] - One of IFRAME_MODES
+ * @returns {{html: string, removed: Array<{type: string, detail: string}>}} - Safe HTML and what was removed
+ */
+export function sanitizeHTML(html, { iframeMode = 'link' } = {}) {
+  // A template's content is inert: nothing loads and no handler fires while we work on it
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const removed = [];
+  sanitizeChildren(template.content, { iframeMode }, removed);
+
+  const container = document.createElement('div');
+  container.appendChild(template.content);
+
+  return { html: container.innerHTML, removed };
+}
+
+/**
+ * Sanitize every child of a node, depth first
+ * @param {Node} parent - Parent node
+ * @param {Object} options - Sanitizer options
+ * @param {Array} removed - Collected removals
+ */
+function sanitizeChildren(parent, options, removed) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      node.remove();
+      continue;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      continue;
+    }
+
+    const tag = node.localName.toLowerCase();
+
+    if (tag === 'iframe') {
+      handleIframe(node, options.iframeMode, removed);
+      continue;
+    }
+
+    if (DROPPED_TAGS.has(tag)) {
+      removed.push({ type: 'element', detail: `<${tag}>` });
+      node.remove();
+      continue;
+    }
+
+    sanitizeChildren(node, options, removed);
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      // Unknown wrappers (custom elements, font, center...) keep their content
+      node.replaceWith(...node.childNodes);
+      continue;
+    }
+
+    sanitizeAttributes(node, tag, removed);
+  }
+}
+
+/**
+ * Remove attributes that are not allow-listed or carry unsafe values
+ * @param {Element} element - Element to clean
+ * @param {string} tag - Lowercase tag name
+ * @param {Array} removed - Collected removals
+ */
+function sanitizeAttributes(element, tag, removed) {
+  const isSVG = element.namespaceURI === 'http://www.w3.org/2000/svg';
+
+  for (const attribute of Array.from(element.attributes)) {
+    const name = attribute.name.toLowerCase();
+    const value = attribute.value;
+
+    if (name.startsWith('on')) {
+      removed.push({ type: 'attribute', detail: `${name} on <${tag}>` });
+      element.removeAttribute(attribute.name);
+      continue;
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES.has(name)
+      || name.startsWith('data-')
+      || name.startsWith('aria-')
+      || (isSVG && SVG_ATTRIBUTES.has(name));
+
+    if (!allowed) {
+      element.removeAttribute(attribute.name);
+      continue;
+    }
+
+    if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value, name)) {
+      removed.push({ type: 'url', detail: `${name}="${value.slice(0, 80)}" on <${tag}>` });
+      element.removeAttribute(attribute.name);
+      continue;
+    }
+
+    if (name === 'srcset' && value.split(',').some(candidate => !isSafeUrl(candidate.trim().split(/\s+/)[0], 'src'))) {
+      removed.push({ type: 'url', detail: `srcset on <${tag}>` });
+      element.removeAttribute(attribute.name);
+      continue;
+    }
+
+    if (name === 'style' && /javascript:|expression\s*\(|behavior\s*:|-moz-binding/i.test(value)) {
+      removed.push({ type: 'attribute', detail: `unsafe style on <${tag}>` });
+      element.removeAttribute(attribute.name);
+    }
+  }
+
+  // Links opening a new tab must not get a handle on the opener
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+/**
+ * Check whether a URL is safe to keep
+ * Relative paths, anchors, http(s) and mailto are allowed; data URIs only for images
+ * @param {string} value - Attribute value
+ * @param {string} attribute - Attribute name
+ * @returns {boolean} - True if safe
+ */
+function isSafeUrl(value, attribute) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const normalized = value.replace(/[\u0000- ]/g, '').toLowerCase();
+
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/)?.[1];
+  if (!scheme) return true;
+
+  if (scheme === 'data') {
+    return attribute !== 'href' && normalized.startsWith('data:image/');
+  }
+
+  return ['http', 'https', 'mailto'].includes(scheme);
+}
+
+/**
+ * Apply the iframe setting to an iframe
+ * @param {HTMLIFrameElement} iframe - The iframe
+ * @param {string} mode - One of IFRAME_MODES
+ * @param {Array} removed - Collected removals
+ */
+function handleIframe(iframe, mode, removed) {
+  const src = iframe.getAttribute('src') || '';
+  const safe = src && isSafeUrl(src, 'src') && !src.trim().toLowerCase().startsWith('data:');
+
+  if (mode === 'keep' && safe) {
+    const kept = document.createElement('iframe');
+    kept.setAttribute('src', src);
+    kept.setAttribute('sandbox', '');
+    for (const name of ['width', 'height', 'title']) {
+      if (iframe.hasAttribute(name)) kept.setAttribute(name, iframe.getAttribute(name));
+    }
+    iframe.replaceWith(kept);
+    return;
+  }
+
+  removed.push({ type: 'iframe', detail: src || '(no source)' });
+
+  if (mode === 'link' && safe) {
+    const paragraph = document.createElement('p');
+    paragraph.className = 'iframe-reference';
+    const link = document.createElement('a');
+    link.href = src;
+    link.textContent = iframe.getAttribute('title') || src;
+    paragraph.appendChild(link);
+    iframe.replaceWith(paragraph);
+    return;
+  }
+
+  iframe.remove();
+}
@@ -0,0 +1,82 @@
+/**
+ * Server Files - Folders and uploads in the Foundry server's data directory
+ */
+
+import { safeDecodeURIComponent } from './utils.js';
+
+/**
+ * Get the FilePicker implementation for the running Foundry version
+ * @returns {typeof FilePicker} - FilePicker class
+ */
+export function getFilePicker() {
+  return foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+}
+
+/**
+ * Create a folder in the data directory, along with any missing parent folders
+ * @param {string} path - Folder path such as "worlds/my-world/imports"
+ * @returns {Promise<void>}
+ */
+export async function ensureDirectory(path) {
+  const picker = getFilePicker();
+  let current = '';
+
+  for (const part of path.split('/').filter(Boolean)) {
+    current = current ? `${current}/${part}` : part;
+    try {
+      await picker.browse('data', current);
+    } catch (error) {
+      // Browsing a folder that doesn't exist fails
+      await picker.createDirectory('data', current);
+    }
+  }
+}
+
+/**
+ * List the files in a folder of the data directory
+ * @param {string} path - Folder path
+ * @returns {Promise<string[]>} - Filenames, empty if the folder doesn't exist
+ */
+export async function listFiles(path) {
+  let result;
+  try {
+    result = await getFilePicker().browse('data', path);
+  } catch (error) {
+    return [];
+  }
+
+  return (result?.files ?? []).map(file => safeDecodeURIComponent(file.split('/').pop()));
+}
+
+/**
+ * Check whether Foundry accepts uploads of a file type
+ * The server refuses file types outside CONST.UPLOADABLE_FILE_EXTENSIONS, which leaves out HTML and archives
+ * @param {string} name - Filename
+ * @returns {boolean} - Whether the file can be uploaded
+ */
+export function isUploadable(name) {
+  const extensions = globalThis.CONST?.UPLOADABLE_FILE_EXTENSIONS;
+  if (!extensions) return true;
+
+  const extension = name.split('.').pop().toLowerCase();
+  return extension in extensions;
+}
+
+/**
+ * Upload a file into a folder of the data directory, replacing a file of the same name
+ * @param {Blob} blob - File data
+ * @param {string} folder - Folder path, which must exist
+ * @param {string} name - Filename
+ * @returns {Promise<string>} - Path of the uploaded file
+ * @throws {Error} - If the server refuses the upload
+ */
+export async function uploadFile(blob, folder, name) {
+  const file = new File([blob], name, { type: blob.type });
+  const response = await getFilePicker().upload('data', folder, file, {}, { notify: false });
+
+  if (!response || response.status === 'error') {
+    throw new Error(response?.message || `Could not upload ${name}`);
+  }
+
+  return response.path ?? `${folder}/${name}`;
+}
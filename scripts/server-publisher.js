@@ -0,0 +1,221 @@
+/**
+ * Server Publisher - Uploads exports into the world's data directory and shares them in chat
+ * Where a download only reaches the user who exported, a published file can be opened by the whole table
+ */
+
+import { CONFIG, MODULE_ID } from './config.js';
+import { getReportFilename } from './export-report.js';
+import { ensureDirectory, isUploadable, listFiles, uploadFile } from './server-files.js';
+import { escapeHtml, safeDecodeURIComponent } from './utils.js';
+
+/**
+ * Where exported files go
+ */
+export const DESTINATIONS = {
+  download: 'Download to this computer',
+  server: 'Publish to a server folder'
+};
+
+/**
+ * What publishing does when the folder already has a file of the same name
+ */
+export const SERVER_CONFLICTS = {
+  version: 'Keep both, numbering the new file (-v2, -v3, ...)',
+  overwrite: 'Replace the existing file'
+};
+
+/**
+ * Who sees the chat message linking a published file
+ */
+export const SHARE_MODES = {
+  none: 'No chat message',
+  all: 'Everyone',
+  whisper: 'Whisper to chosen players'
+};
+
+/**
+ * File types Foundry refuses that are published as a type it accepts
+ * HTML is rewritten as XHTML with an .xml extension, which browsers open as the same page
+ */
+const CONTAINERS = {
+  html: { extension: 'xml', convert: toXHTML }
+};
+
+/**
+ * Get the folder exports are published to when none is configured
+ * @returns {string} - Folder path such as "worlds/my-world/exports"
+ */
+export function getDefaultServerFolder() {
+  return `worlds/${game.world.id}/${CONFIG.PUBLISH.folder}`;
+}
+
+/**
+ * Get the output formats that can be published
+ * Foundry refuses HTML and archives; HTML is published as XHTML, but EPUB, Word and ZIP exports can only be downloaded
+ * @returns {string[]} - Output format keys
+ */
+export function getPublishableFormats() {
+  return Object.keys(CONFIG.OUTPUT_FORMATS).filter(key => getPublishedName(`export.${CONFIG.OUTPUT_FORMATS[key].extension}`));
+}
+
+/**
+ * Check, before anything is exported, that a file can be published
+ * @param {string} filename - Filename of the export
+ * @param {Object} options - Resolved export options
+ * @throws {Error} - If the user may not upload files, Foundry doesn't accept the file type or the folder is invalid
+ */
+export function validatePublishing(filename, options) {
+  if (!game.user.can('FILES_UPLOAD')) {
+    throw new Error('Publishing to the server uploads a file, which you do not have permission to do');
+  }
+
+  if (!getPublishedName(filename)) {
+    const extension = filename.split('.').pop().toUpperCase();
+    throw new Error(`Foundry does not accept ${extension} uploads, so this export can only be downloaded`);
+  }
+
+  normalizeFolder(options.serverFolder);
+}
+
+/**
+ * Upload an exported file to the server folder and post a chat message linking it
+ * HTML exports are uploaded as XHTML, "name.xml" instead of "name.html"
+ * @param {Blob} blob - Exported file
+ * @param {string} filename - Filename including extension
+ * @param {Object} options - Resolved export options
+ * @param {string} [options.serverFolder] - Folder in the data directory, defaults to getDefaultServerFolder
+ * @param {string} options.serverConflict - 'version' or 'overwrite' when the folder has a file of the same name
+ * @param {string} options.shareChat - 'none', 'all' or 'whisper'
+ * @param {string[]} [options.shareUsers] - Ids of the users a whispered message goes to
+ * @param {Object} [extra] - What else to publish
+ * @param {string} [extra.title] - Title shown in the chat message, defaults to the filename
+ * @param {Object|Object[]} [extra.report] - Export report, uploaded next to the file as JSON
+ * @returns {Promise<{path: string, reportPath: string|null, message: ChatMessage|null}>} - Paths of the uploaded files and the chat message
+ * @throws {Error} - If the upload is not allowed or the server refuses it
+ */
+export async function publishFile(blob, filename, options, { title = filename, report = null } = {}) {
+  validatePublishing(filename, options);
+
+  const folder = normalizeFolder(options.serverFolder) || getDefaultServerFolder();
+  await ensureDirectory(folder);
+
+  const published = getPublishedName(filename);
+  const container = published === filename ? null : CONTAINERS[getExtension(filename)];
+  const data = container ? await container.convert(blob) : blob;
+
+  const name = options.serverConflict === 'overwrite' ? published : getVersionedName(published, await listFiles(folder));
+  const path = await uploadFile(data, folder, name);
+  console.log('Intrinsics HTML Export | Published to', path);
+
+  // The report follows the file's version, so each version keeps its own
+  let reportPath = null;
+  if (report) {
+    const json = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    reportPath = await uploadFile(json, folder, getReportFilename(name));
+  }
+
+  // Converted files are opened in the browser; saving them would keep the container's extension
+  const message = await postPublishedMessage(title, path, options, { open: !!container });
+  return { path, reportPath, message };
+}
+
+/**
+ * Get the name a file is published under
+ * @param {string} filename - Filename of the export
+ * @returns {string|null} - The filename, the filename with its container's extension, or null if Foundry accepts neither
+ */
+function getPublishedName(filename) {
+  if (isUploadable(filename)) return filename;
+
+  const container = CONTAINERS[getExtension(filename)];
+  const renamed = container && filename.replace(/\.[^.]*$/, `.${container.extension}`);
+  return renamed && isUploadable(renamed) ? renamed : null;
+}
+
+/**
+ * Get the lowercase extension of a filename
+ * @param {string} filename - Filename
+ * @returns {string} - Extension without the dot
+ */
+function getExtension(filename) {
+  return filename.split('.').pop().toLowerCase();
+}
+
+/**
+ * Rewrite an HTML document as XHTML, which Foundry accepts as XML and browsers render like the HTML
+ * @param {Blob} blob - HTML document
+ * @returns {Promise<Blob>} - XHTML document
+ */
+async function toXHTML(blob) {
+  const parsed = new DOMParser().parseFromString(await blob.text(), 'text/html');
+  const xhtml = new XMLSerializer().serializeToString(parsed);
+  return new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${xhtml}`], { type: 'application/xml' });
+}
+
+/**
+ * Tidy a folder path typed by the user
+ * @param {string} [folder] - Folder path
+ * @returns {string} - Path without leading, trailing or repeated slashes
+ * @throws {Error} - If the path climbs out of the data directory
+ */
+function normalizeFolder(folder) {
+  const parts = (folder ?? '').trim().split(/[\\/]+/).filter(Boolean);
+  if (parts.some(part => part === '..' || part === '.')) {
+    throw new Error(`Invalid server folder: ${folder}`);
+  }
+  return parts.join('/');
+}
+
+/**
+ * Find a free name for a new version of a file
+ * @param {string} filename - Wanted filename
+ * @param {string[]} existing - Filenames already in the folder
+ * @returns {string} - The filename, or "name-v2.ext", "name-v3.ext"... if it is taken
+ */
+function getVersionedName(filename, existing) {
+  const taken = new Set(existing.map(name => name.toLowerCase()));
+  if (!taken.has(filename.toLowerCase())) return filename;
+
+  const [, stem, extension] = filename.match(/^(.*?)(\.[^.]*)?$/);
+  let version = 2;
+  while (taken.has(`${stem}-v${version}${extension ?? ''}`.toLowerCase())) version++;
+  return `${stem}-v${version}${extension ?? ''}`;
+}
+
+/**
+ * Post a chat message linking a published file
+ * @param {string} title - What was exported
+ * @param {string} path - Path of the uploaded file
+ * @param {Object} options - Resolved export options
+ * @param {Object} [link] - How the link behaves
+ * @param {boolean} [link.open=false] - Open the file in a new tab instead of downloading it
+ * @returns {Promise<ChatMessage|null>} - The message, null if sharing is off
+ */
+async function postPublishedMessage(title, path, { shareChat, shareUsers = [] }, { open = false } = {}) {
+  if (shareChat === 'none') return null;
+
+  const filename = escapeHtml(safeDecodeURIComponent(path.split('/').pop()));
+  const link = open
+    ? `<a href="${escapeHtml(path)}" target="_blank" rel="noopener"><i class="fas fa-file-lines"></i> ${filename}</a>`
+    : `<a href="${escapeHtml(path)}" target="_blank" rel="noopener" download="${filename}"><i class="fas fa-file-arrow-down"></i> ${filename}</a>`;
+  const content = `
+    <div class="intrinsics-published">
+      <p><strong>${escapeHtml(title)}</strong> has been exported.</p>
+      <p>${link}</p>
+    </div>`;
+
+  const data = {
+    content,
+    speaker: { alias: game.user.name },
+    flags: { [MODULE_ID]: { published: path } }
+  };
+
+  if (shareChat === 'whisper') {
+    // A whisper to nobody would be public; the exporting user always gets a copy
+    const users = new Set(shareUsers.filter(id => game.users.get(id)));
+    users.add(game.user.id);
+    data.whisper = [...users];
+  }
+
+  return ChatMessage.create(data);
+}
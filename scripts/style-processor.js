@@ -274,3 +274,160 @@ function fixContrastIssues(element) {
     }
   }
 }
+
+/**
+ * Keep the colors of exported content where they stay readable on white paper
+ * Content is rendered off-screen so both inline and stylesheet (class) colors are read.
+ * Dark backgrounds are stripped, text that fails the contrast threshold is darkened,
+ * and every color that survives is written inline so theme rules cannot override it.
+ * @param {string} html - Sanitized page content
+ * @returns {{html: string, adjustments: Array<{element: string, property: string, from: string, to: string, reason: string}>}} - Recolored HTML and every change made
+ */
+export function preserveColors(html) {
+  const { width, backgroundColor, position, left, top } = CONFIG.RENDER_CONTAINER;
+
+  // Wrapped like a journal page so Foundry's own journal styles apply
+  const container = document.createElement('div');
+  container.className = 'journal-entry-page text';
+  Object.assign(container.style, { width: `${width}px`, backgroundColor, color: '#000000', position, left, top });
+
+  const content = document.createElement('div');
+  content.className = 'journal-page-content';
+  content.innerHTML = html;
+  container.appendChild(content);
+  document.body.appendChild(container);
+
+  const adjustments = [];
+
+  try {
+    // Read every color before changing any, so later elements still see the original cascade
+    const elements = Array.from(content.querySelectorAll('*')).map(element => {
+      const computed = window.getComputedStyle(element);
+      return { element, color: computed.color, background: computed.backgroundColor };
+    });
+
+    const colors = new Map(elements.map(({ element, color }) => [element, color]));
+    colors.set(content, window.getComputedStyle(content).color);
+    const backgrounds = new Map([[content, [255, 255, 255]]]);
+
+    for (const { element, color, background } of elements) {
+      const label = describeElement(element);
+      const parentBackground = backgrounds.get(element.parentElement) ?? [255, 255, 255];
+      let effectiveBackground = parentBackground;
+
+      // Backgrounds: keep light ones, strip dark ones
+      const bg = toRGBA(background);
+      if (bg && bg.alpha > 0) {
+        const blended = blend(bg, parentBackground);
+        if (calculateLuminance(blended) < CONFIG.COLOR_THRESHOLDS.lightThreshold) {
+          element.style.setProperty('background-color', 'transparent', 'important');
+          adjustments.push({ element: label, property: 'background-color', from: background, to: 'transparent', reason: 'dark background' });
+        } else {
+          element.style.setProperty('background-color', toCss(blended), 'important');
+          effectiveBackground = blended;
+        }
+      }
+      backgrounds.set(element, effectiveBackground);
+
+      // Text: only colors set on this element, not inherited ones
+      const fg = toRGBA(color);
+      if (!fg || (color === colors.get(element.parentElement) && effectiveBackground === parentBackground)) {
+        continue;
+      }
+
+      const text = blend(fg, effectiveBackground);
+      const readable = darkenToContrast(text, effectiveBackground);
+      if (readable !== text) {
+        element.style.setProperty('color', toCss(readable), 'important');
+        adjustments.push({
+          element: label,
+          property: 'color',
+          from: color,
+          to: toCss(readable),
+          reason: `contrast ${contrastOf(text, effectiveBackground).toFixed(2)} below ${CONFIG.COLOR_THRESHOLDS.contrastRatio}`
+        });
+      } else {
+        element.style.setProperty('color', toCss(text), 'important');
+      }
+    }
+
+    return { html: content.innerHTML, adjustments };
+  } finally {
+    container.remove();
+  }
+}
+
+/**
+ * Parse a computed rgb()/rgba() color
+ * @param {string} color - Computed CSS color
+ * @returns {{rgb: number[], alpha: number}|null} - Color and alpha, null for other color formats
+ */
+function toRGBA(color) {
+  const match = color?.match(/^rgba?\((\d+(?:\.\d+)?),\s*(\d+(?:\.\d+)?),\s*(\d+(?:\.\d+)?)(?:,\s*([\d.]+))?\)$/);
+  if (!match) return null;
+
+  return {
+    rgb: [Number(match[1]), Number(match[2]), Number(match[3])],
+    alpha: match[4] === undefined ? 1 : Number(match[4])
+  };
+}
+
+/**
+ * Composite a translucent color over an opaque background
+ * @param {{rgb: number[], alpha: number}} color - Foreground color
+ * @param {number[]} background - Opaque [r, g, b] background
+ * @returns {number[]} - Opaque [r, g, b]
+ */
+function blend({ rgb, alpha }, background) {
+  if (alpha >= 1) return rgb;
+  return rgb.map((value, i) => Math.round(value * alpha + background[i] * (1 - alpha)));
+}
+
+/**
+ * Contrast ratio between two opaque colors
+ * @param {number[]} a - [r, g, b]
+ * @param {number[]} b - [r, g, b]
+ * @returns {number} - Contrast ratio
+ */
+function contrastOf(a, b) {
+  return calculateContrastRatio(calculateLuminance(a), calculateLuminance(b));
+}
+
+/**
+ * Darken a color, keeping its hue, until it meets the contrast threshold
+ * @param {number[]} rgb - Text color [r, g, b]
+ * @param {number[]} background - Background color [r, g, b]
+ * @returns {number[]} - The same array if it already passes, otherwise a darker color
+ */
+function darkenToContrast(rgb, background) {
+  const threshold = CONFIG.COLOR_THRESHOLDS.contrastRatio;
+  if (contrastOf(rgb, background) >= threshold) return rgb;
+
+  for (let factor = 0.9; factor > 0; factor -= 0.1) {
+    const darker = rgb.map(value => Math.round(value * factor));
+    if (contrastOf(darker, background) >= threshold) return darker;
+  }
+
+  return [0, 0, 0];
+}
+
+/**
+ * Format [r, g, b] as a CSS color
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {string} - rgb() color
+ */
+function toCss(rgb) {
+  return `rgb(${rgb.join(', ')})`;
+}
+
+/**
+ * Short description of an element for the adjustment log
+ * @param {HTMLElement} element - The element
+ * @returns {string} - Tag name with id and classes, e.g. "div.callout.warning"
+ */
+function describeElement(element) {
+  let label = element.localName;
+  if (element.id) label += `#${element.id}`;
+  for (const name of element.classList) label += `.${name}`;
+  return label;
+}
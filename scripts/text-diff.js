@@ -0,0 +1,184 @@
+/**
+ * Text Diff - Line-by-line comparison of journal page content
+ * Pages are compared by the text of their blocks and the images they show, not by their markup
+ */
+
+import { CONFIG } from './config.js';
+import { escapeHtml, safeDecodeURIComponent } from './utils.js';
+
+/**
+ * Elements that start a new line of text
+ */
+const LINE_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section',
+  'summary', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+/**
+ * Split page HTML into the lines a reader sees
+ * Images become "[image: filename]" lines; @UUID links get their label spelled out, so links written
+ * with and without their default label compare equal
+ * @param {string} html - Page content HTML
+ * @returns {string[]} - Trimmed, non-empty lines
+ */
+export function getTextLines(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html ?? '';
+
+  let text = '';
+  const walk = node => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.data.replace(/\s+/g, ' ');
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const tag = child.localName;
+        if (tag === 'img') {
+          text += `\n[image: ${describeImage(child.getAttribute('src'))}]\n`;
+          continue;
+        }
+        if (tag === 'script' || tag === 'style' || tag === 'template') continue;
+
+        const line = LINE_TAGS.has(tag);
+        if (line) text += '\n';
+        walk(child);
+        if (line) text += '\n';
+      }
+    }
+  };
+  walk(template.content);
+
+  return text.split('\n')
+    .map(line => labelLinks(line.trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Compare two lists of lines
+ * Uses a longest common subsequence; when both sides are too long for that (CONFIG.IMPORT.maxDiffSize)
+ * every line past the shared start and end is shown as changed
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{type: string, text: string}>} - Lines in order, typed 'same', 'removed' or 'added'
+ */
+export function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  const old = before.slice(start, before.length - end);
+  const changed = after.slice(start, after.length - end);
+  const same = text => ({ type: 'same', text });
+
+  let middle;
+  if (old.length * changed.length > CONFIG.IMPORT.maxDiffSize) {
+    middle = [...old.map(text => ({ type: 'removed', text })), ...changed.map(text => ({ type: 'added', text }))];
+  } else {
+    middle = diffMiddle(old, changed);
+  }
+
+  return [...before.slice(0, start).map(same), ...middle, ...after.slice(after.length - end).map(same)];
+}
+
+/**
+ * Render a diff, with long runs of unchanged lines collapsed
+ * @param {Array<{type: string, text: string}>} diff - From diffLines
+ * @param {number} [context=2] - Unchanged lines kept around each change
+ * @returns {string} - Diff HTML
+ */
+export function renderDiff(diff, context = 2) {
+  const changed = diff.map(line => line.type !== 'same');
+  const near = index => changed.slice(Math.max(0, index - context), index + context + 1).some(Boolean);
+
+  let html = '<div class="text-diff">';
+  let skipping = false;
+
+  diff.forEach((line, index) => {
+    if (line.type === 'same' && !near(index)) {
+      if (!skipping) html += '<div class="diff-line diff-skipped">&hellip;</div>';
+      skipping = true;
+      return;
+    }
+
+    skipping = false;
+    const marker = { same: ' ', removed: '-', added: '+' }[line.type];
+    html += `<div class="diff-line diff-${line.type}"><span class="diff-marker">${marker}</span>${escapeHtml(line.text)}</div>`;
+  });
+
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Look up a document's name without loading it
+ * @param {string} uuid - Document UUID
+ * @returns {string|null} - Name, null if the document isn't available
+ */
+export function getDocumentName(uuid) {
+  try {
+    return fromUuidSync(uuid)?.name ?? null;
+  } catch (error) {
+    // Documents inside compendium packs can't be read synchronously
+    return null;
+  }
+}
+
+/**
+ * Diff two lists that share no start or end, by longest common subsequence
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{type: string, text: string}>} - Diff lines
+ */
+function diffMiddle(before, after) {
+  // lengths[i][j] is the LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      diff.push({ type: 'same', text: before[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', text: before[i++] });
+    } else {
+      diff.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) diff.push({ type: 'removed', text: before[i++] });
+  while (j < after.length) diff.push({ type: 'added', text: after[j++] });
+
+  return diff;
+}
+
+/**
+ * Name an image for a diff line
+ * @param {string|null} src - Image source
+ * @returns {string} - Filename, or what kind of source it is
+ */
+function describeImage(src) {
+  if (!src) return 'none';
+  if (src.startsWith('data:')) return 'embedded';
+
+  return safeDecodeURIComponent(src.split(/[?#]/)[0].split('/').pop()) || src;
+}
+
+/**
+ * Give every @UUID link in a line its label
+ * @param {string} line - Line of text
+ * @returns {string} - Line with "@UUID[...]{label}" links
+ */
+function labelLinks(line) {
+  return line.replace(/@UUID\[([^\]]+)\](?:\{([^}]*)\})?/g, (match, target, label) => {
+    return `@UUID[${target}]{${label ?? getDocumentName(target.split('#')[0]) ?? ''}}`;
+  });
+}
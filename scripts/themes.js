@@ -0,0 +1,586 @@
+/**
+ * Themes - Print themes for exported documents
+ * Every export gets the base layout styles plus one theme; other modules can register their own themes
+ */
+
+/**
+ * Layout shared by every theme: page breaks, table of contents, book pages and exporter markup
+ * Colors and typography belong to the themes
+ */
+const BASE_STYLES = `
+    body {
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+
+    /* Page breaks */
+    .journal-page {
+      margin-bottom: 40px;
+    }
+
+    .page-break {
+      page-break-before: always;
+    }
+
+    /* Titles */
+    .journal-category-title {
+      font-size: 28pt;
+      font-weight: bold;
+      text-align: center;
+      margin: 0 0 30px 0;
+    }
+
+    .journal-page-title {
+      font-size: 24pt;
+      font-weight: bold;
+      text-align: center;
+      margin: 0 0 20px 0;
+      padding-bottom: 10px;
+      border-bottom: 2px solid #333333;
+    }
+
+    h2.journal-page-title {
+      font-size: 18pt;
+      text-align: left;
+      border-bottom-width: 1px;
+    }
+
+    h3.journal-page-title {
+      font-size: 14pt;
+      text-align: left;
+      border-bottom: none;
+    }
+
+    /* Table of contents */
+    .export-toc {
+      page-break-after: always;
+    }
+
+    .export-toc-title {
+      font-size: 24pt;
+      text-align: center;
+    }
+
+    .export-toc-list {
+      list-style: none;
+      padding: 0;
+    }
+
+    .export-toc-list li {
+      margin: 0.25em 0;
+    }
+
+    .export-toc-list a {
+      text-decoration: none;
+    }
+
+    .toc-depth-0 { font-weight: bold; }
+    .toc-depth-1 { padding-left: 1.5em; }
+    .toc-depth-2 { padding-left: 3em; }
+    .toc-depth-3 { padding-left: 4.5em; }
+    .toc-depth-4 { padding-left: 6em; }
+    .toc-depth-5 { padding-left: 7.5em; }
+
+    @media print {
+      /* Page numbers for Paged.js, Prince and other CSS paged media tools; ignored where unsupported */
+      .export-toc-list a::after {
+        content: target-counter(attr(href url), page);
+      }
+
+      .export-toc-list a::after {
+        content: leader('.') target-counter(attr(href url), page);
+      }
+    }
+
+    /* Book pages */
+    .book-title-page,
+    .book-chapter {
+      padding-top: 30%;
+      text-align: center;
+      page-break-after: always;
+    }
+
+    .book-title {
+      font-size: 36pt;
+      margin: 0;
+    }
+
+    .book-chapter-title {
+      font-size: 30pt;
+      margin: 0;
+    }
+
+    /* Cover page */
+    .export-cover {
+      padding-top: 15%;
+      text-align: center;
+      page-break-after: always;
+    }
+
+    .export-cover-image {
+      display: block;
+      max-width: 100%;
+      max-height: 60vh;
+      margin: 0 auto 2em;
+      object-fit: contain;
+    }
+
+    .export-cover-title {
+      font-size: 36pt;
+      margin: 0;
+    }
+
+    /* Headings */
+    h1, h2, h3, h4, h5, h6 {
+      margin-top: 1em;
+      margin-bottom: 0.5em;
+    }
+
+    /* Tables */
+    table {
+      border-collapse: collapse;
+      width: 100%;
+      margin: 1em 0;
+    }
+
+    th, td {
+      border: 1px solid #333333;
+      padding: 8px;
+      text-align: left;
+    }
+
+    th {
+      font-weight: bold;
+    }
+
+    /* Images */
+    img,
+    svg.export-image {
+      max-width: 100%;
+      height: auto;
+    }
+
+    /* Resolved Foundry enrichers */
+    .document-reference {
+      font-style: italic;
+    }
+
+    .document-reference.broken {
+      text-decoration: line-through;
+    }
+
+    .redacted {
+      font-style: normal;
+      letter-spacing: 0.1em;
+    }
+
+    .inline-roll-formula {
+      font-family: 'Courier New', Courier, monospace;
+      font-weight: bold;
+    }
+
+    .content-embed {
+      margin: 1em 0;
+    }
+
+    .content-embed figcaption {
+      font-size: 10pt;
+      font-style: italic;
+      text-align: center;
+    }
+
+    /* Non-text pages */
+    .journal-page-image,
+    .journal-page-video {
+      margin: 0;
+      text-align: center;
+    }
+
+    .journal-page-image figcaption,
+    .journal-page-video figcaption {
+      margin-top: 0.5em;
+      font-style: italic;
+    }
+
+    .page-reference {
+      padding: 12px 16px;
+      border: 1px solid #333333;
+    }
+
+    .page-reference-label {
+      margin: 0 0 0.5em 0;
+      font-weight: bold;
+      text-transform: uppercase;
+      font-size: 10pt;
+    }
+
+    .page-unsupported {
+      font-style: italic;
+    }
+
+    .iframe-reference {
+      font-style: italic;
+    }
+
+    iframe {
+      max-width: 100%;
+      border: 1px solid #333333;
+    }
+
+    .export-footnotes {
+      margin-top: 2em;
+      padding-top: 0.5em;
+      border-top: 1px solid #333333;
+      font-size: 10pt;
+    }
+
+    /* Kept content colors need their backgrounds printed */
+    .preserve-colors {
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+
+    /* Print styles */
+    @media print {
+      body {
+        padding: 0;
+      }
+
+      .journal-page {
+        margin-bottom: 0;
+      }
+    }
+`;
+
+/**
+ * Black text on white, overriding the dark colors Foundry content is written for
+ */
+const CLEAN_STYLES = `
+    body {
+      font-family: Georgia, 'Times New Roman', serif;
+      font-size: 12pt;
+      line-height: 1.6;
+      color: #000000;
+      background-color: #ffffff;
+    }
+
+    .journal-page-title,
+    .journal-page-content,
+    h1, h2, h3, h4, h5, h6,
+    .export-toc-list a {
+      color: #000000 !important;
+    }
+
+    /* Force readable colors */
+    .journal-page-content * {
+      color: #000000 !important;
+      background-color: transparent !important;
+    }
+
+    th {
+      background-color: #f0f0f0 !important;
+    }
+
+    a {
+      color: #0066cc !important;
+      text-decoration: underline;
+    }
+
+    @media print {
+      a {
+        color: #000000 !important;
+      }
+    }
+`;
+
+/**
+ * Registered themes, in the order they are offered
+ */
+const themes = new Map([
+  ['clean', {
+    label: 'Clean',
+    css: CLEAN_STYLES
+  }],
+  ['parchment', {
+    label: 'Parchment',
+    css: `
+    body {
+      font-family: 'Palatino Linotype', 'Book Antiqua', Palatino, Georgia, serif;
+      font-size: 12pt;
+      line-height: 1.6;
+      color: #3b2a1a;
+      background-color: #f4e9d0;
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+
+    .journal-page-content * {
+      color: #3b2a1a !important;
+      background-color: transparent !important;
+    }
+
+    .journal-page-title,
+    .journal-category-title,
+    .book-title,
+    .book-chapter-title,
+    .export-toc-title,
+    h1, h2, h3, h4, h5, h6,
+    .journal-page-content :is(h1, h2, h3, h4, h5, h6) {
+      color: #6b1d0f !important;
+      font-variant: small-caps;
+    }
+
+    .journal-page-title {
+      border-bottom-color: #8a5a2b;
+    }
+
+    th, td,
+    .page-reference,
+    .export-footnotes {
+      border-color: #8a5a2b;
+    }
+
+    th {
+      background-color: #e6d3a8 !important;
+    }
+
+    .journal-page-content blockquote {
+      margin: 1em 0;
+      padding: 0.5em 1em;
+      border-left: 4px solid #8a5a2b;
+      background-color: #eadbb8 !important;
+    }
+
+    a,
+    .journal-page-content a,
+    .export-toc-list a {
+      color: #6b1d0f !important;
+    }
+`
+  }],
+  ['two-column', {
+    label: 'Two-column sourcebook',
+    css: `${CLEAN_STYLES}
+    body {
+      max-width: 1100px;
+      font-size: 10.5pt;
+      line-height: 1.45;
+      text-align: justify;
+    }
+
+    .journal-page-title,
+    .journal-category-title,
+    .journal-page-content :is(h1, h2, h3, h4, h5, h6) {
+      font-family: 'Trebuchet MS', Arial, sans-serif;
+      text-align: left;
+    }
+
+    .journal-page-content {
+      column-count: 2;
+      column-gap: 8mm;
+      column-rule: 1px solid #cccccc;
+    }
+
+    .journal-page-content :is(h1, h2, h3, h4, h5, h6) {
+      break-after: avoid;
+    }
+
+    .journal-page-content :is(img, figure, table, blockquote, .content-embed) {
+      break-inside: avoid;
+    }
+
+    .journal-page-image,
+    .journal-page-video,
+    .export-footnotes {
+      column-span: all;
+    }
+`
+  }],
+  ['large-print', {
+    label: 'High-contrast large print',
+    css: `
+    body {
+      font-family: Verdana, Arial, Helvetica, sans-serif;
+      font-size: 16pt;
+      line-height: 1.8;
+      color: #000000;
+      background-color: #ffffff;
+      max-width: 900px;
+    }
+
+    .journal-page-content * {
+      color: #000000 !important;
+      background-color: transparent !important;
+    }
+
+    .journal-page-title,
+    h1, h2, h3, h4, h5, h6 {
+      color: #000000 !important;
+    }
+
+    .journal-page-title {
+      font-size: 28pt;
+      border-bottom: 4px solid #000000;
+    }
+
+    h2.journal-page-title {
+      font-size: 24pt;
+      border-bottom-width: 3px;
+    }
+
+    h3.journal-page-title {
+      font-size: 20pt;
+    }
+
+    th, td,
+    .page-reference,
+    iframe {
+      border: 2px solid #000000;
+    }
+
+    .export-footnotes {
+      border-top: 2px solid #000000;
+      font-size: 14pt;
+    }
+
+    .content-embed figcaption,
+    .page-reference-label {
+      font-size: 14pt;
+    }
+
+    /* Italic is harder to read at a distance */
+    .document-reference,
+    .iframe-reference,
+    .page-unsupported,
+    figcaption {
+      font-style: normal;
+      font-weight: bold;
+    }
+
+    a,
+    .export-toc-list a {
+      color: #000000 !important;
+      text-decoration: underline;
+    }
+`
+  }],
+  ['ink-saver', {
+    label: 'Ink saver',
+    css: `
+    body {
+      font-family: Georgia, 'Times New Roman', serif;
+      font-size: 11pt;
+      line-height: 1.5;
+      color: #222222;
+      background-color: #ffffff;
+    }
+
+    .journal-page-content * {
+      color: #222222 !important;
+      background: none !important;
+      box-shadow: none !important;
+    }
+
+    .journal-page-title,
+    h1, h2, h3, h4, h5, h6,
+    .export-toc-list a {
+      color: #222222 !important;
+    }
+
+    /* Thin rules instead of solid bars and fills */
+    .journal-page-title {
+      border-bottom: 1px solid #999999;
+    }
+
+    th, td,
+    .page-reference,
+    iframe,
+    .export-footnotes {
+      border-color: #999999;
+    }
+
+    th {
+      background: none !important;
+    }
+
+    /* Grayscale, smaller images */
+    img,
+    svg.export-image {
+      filter: grayscale(100%);
+      max-height: 40vh;
+      width: auto;
+    }
+
+    a {
+      color: #222222 !important;
+      text-decoration: underline;
+    }
+`
+  }]
+]);
+
+/**
+ * Register a print theme
+ * Registering an existing id replaces that theme
+ * @param {string} id - Theme id, used in export options
+ * @param {Object} theme - Theme definition
+ * @param {string} theme.label - Name shown in the export dialog
+ * @param {string} theme.css - CSS added after the base layout styles
+ */
+export function registerTheme(id, { label, css } = {}) {
+  if (typeof id !== 'string' || !id.trim()) {
+    throw new Error('Theme id must be a non-empty string');
+  }
+  if (typeof css !== 'string') {
+    throw new Error(`Theme "${id}" needs a css string`);
+  }
+
+  themes.set(id, { label: label || id, css });
+  console.log('Intrinsics HTML Export | Registered theme:', id);
+}
+
+/**
+ * Get the registered themes for a select
+ * @returns {Object<string, string>} - Theme labels keyed by id
+ */
+export function getThemeChoices() {
+  return Object.fromEntries([...themes].map(([id, theme]) => [id, theme.label]));
+}
+
+/**
+ * Check whether a theme is registered
+ * @param {string} id - Theme id
+ * @returns {boolean} - True if registered
+ */
+export function hasTheme(id) {
+  return themes.has(id);
+}
+
+/**
+ * Build the stylesheet for an export
+ * @param {string} id - Theme id; unknown themes fall back to clean
+ * @param {Object} [extra] - Additional CSS
+ * @param {string} [extra.contentCSS=''] - Rules harvested from Foundry for the exported content, placed before the theme
+ * @param {string} [extra.customCSS=''] - CSS appended after the theme
+ * @returns {string} - Stylesheet contents
+ */
+export function getThemeStyles(id, { contentCSS = '', customCSS = '' } = {}) {
+  const theme = themes.get(id) ?? themes.get('clean');
+
+  let css = BASE_STYLES;
+  if (contentCSS.trim()) {
+    css += `
+    /* System and module styles used by the content */
+${contentCSS.replace(/<\/style/gi, '<\\/style')}
+`;
+  }
+  css += theme.css;
+
+  if (customCSS.trim()) {
+    // Custom CSS must not be able to close the style element
+    css += `\n    /* Custom CSS */\n${customCSS.replace(/<\/style/gi, '<\\/style')}\n`;
+  }
+
+  return css;
+}
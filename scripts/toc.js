@@ -0,0 +1,94 @@
+/**
+ * Table of Contents - Heading anchors and a generated, print-ready contents list
+ * Page numbers come from CSS target-counter(), filled in by Paged.js-style tools when printing
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Table of contents depth choices (highest in-page heading level included)
+ */
+export const TOC_DEPTHS = {
+  0: 'Page titles only',
+  1: 'Page titles and H1 headings',
+  2: 'Page titles and H1-H2 headings',
+  3: 'Page titles and H1-H3 headings'
+};
+
+/**
+ * Slugify heading text the same way Foundry does for @UUID[...#heading] links
+ * @param {string} text - Heading text
+ * @returns {string} - Slug
+ */
+export function slugifyHeading(text) {
+  // Foundry's own CONFIG, so slugs match the hashes in enriched links
+  const slugify = globalThis.CONFIG?.JournalEntryPage?.documentClass?.slugifyHeading;
+  if (slugify) {
+    return slugify.call(globalThis.CONFIG.JournalEntryPage.documentClass, text);
+  }
+
+  return text.toLowerCase()
+    .replace(/["']/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 64);
+}
+
+/**
+ * Give every heading in a page a stable id derived from the page anchor and heading text
+ * @param {string} html - Page content HTML
+ * @param {string} prefix - Page anchor id
+ * @returns {{html: string, headings: Array<{id: string, text: string, level: number}>}} - Anchored HTML and its headings in order
+ */
+export function addHeadingAnchors(html, prefix) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const headings = [];
+  const used = new Set();
+
+  for (const heading of template.content.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    const text = heading.textContent.trim();
+    if (!text) continue;
+
+    const base = `${prefix}-${slugifyHeading(text) || 'heading'}`;
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+
+    heading.id = id;
+    headings.push({ id, text, level: Number(heading.localName[1]) });
+  }
+
+  const container = document.createElement('div');
+  container.appendChild(template.content);
+
+  return { html: container.innerHTML, headings };
+}
+
+/**
+ * Create the table of contents
+ * @param {Array<{id: string, text: string, depth: number}>} entries - Entries in document order; depth 0 is outermost
+ * @param {Object} [options] - TOC options
+ * @param {string} [options.title='Contents'] - TOC heading
+ * @returns {string} - TOC HTML, empty if there are no entries
+ */
+export function createTableOfContents(entries, { title = 'Contents' } = {}) {
+  if (!entries.length) return '';
+
+  const minDepth = Math.min(...entries.map(entry => entry.depth));
+
+  let html = '<nav class="export-toc">';
+  html += `<h1 class="export-toc-title">${escapeHtml(title)}</h1>`;
+  html += '<ol class="export-toc-list">';
+
+  for (const entry of entries) {
+    const depth = Math.min(entry.depth - minDepth, 5);
+    html += `<li class="toc-depth-${depth}"><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`;
+  }
+
+  html += '</ol></nav>';
+  return html;
+}
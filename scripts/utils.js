@@ -0,0 +1,174 @@
+/**
+ * Shared helpers for the HTML exporter
+ */
+
+/**
+ * Escape HTML special characters, including quotes so the result is safe in attributes
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for XML documents, which know none of the HTML named entities
+ * Characters XML doesn't allow at all are dropped
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text, safe in attributes
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Sanitize filename for safe file saving
+ * @param {string} filename - The filename to sanitize
+ * @returns {string} - Sanitized filename
+ */
+export function sanitizeFilename(filename) {
+  return filename
+    .replace(/[^a-z0-9]/gi, '_')
+    .replace(/_+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Resolve a Foundry-relative path to an absolute URL
+ * @param {string} path - Relative or absolute path
+ * @returns {string} - Absolute URL
+ */
+export function toAbsoluteUrl(path) {
+  try {
+    return new URL(path, window.location.href).href;
+  } catch (error) {
+    return path;
+  }
+}
+
+/**
+ * Decode a URL-encoded string, such as a filename taken from a path
+ * Names like "50%-off.pdf" aren't valid escapes, so they are returned as they are
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text, or the text unchanged if it can't be decoded
+ */
+export function safeDecodeURIComponent(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File data
+ * @param {string} filename - Filename including extension
+ */
+export function downloadFile(blob, filename) {
+  // Use saveDataToFile from Foundry's core utilities if available (better desktop support)
+  if (typeof saveDataToFile === 'function') {
+    saveDataToFile(blob, blob.type, filename);
+    return;
+  }
+
+  // Fallback: Traditional browser download
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+
+  // Make the click more reliable
+  document.body.appendChild(link);
+  link.dispatchEvent(new MouseEvent('click', {
+    bubbles: true,
+    cancelable: true,
+    view: window
+  }));
+
+  // Cleanup after download starts
+  setTimeout(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, 250);
+}
+
+/**
+ * Fetch a file
+ * @param {string} url - File URL
+ * @param {Object} [options] - fetch options, such as an abort signal
+ * @returns {Promise<Blob>} - File data
+ * @throws {Error} - With the HTTP status in error.status when the server answers with an error
+ */
+export async function fetchBlob(url, options = {}) {
+  return (await fetchFile(url, options)).blob;
+}
+
+/**
+ * Fetch a file, keeping the HTTP status the server answered with
+ * @param {string} url - File URL
+ * @param {Object} [options] - fetch options, such as an abort signal
+ * @returns {Promise<{blob: Blob, status: number}>} - File data and HTTP status
+ * @throws {Error} - With the HTTP status in error.status when the server answers with an error
+ */
+export async function fetchFile(url, options = {}) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { blob: await response.blob(), status: response.status };
+}
+
+/**
+ * Read a blob as a data URI
+ * @param {Blob} blob - File data
+ * @param {string} [type] - MIME type to use instead of the blob's own
+ * @returns {Promise<string>} - Base64 data URI
+ */
+export function readAsDataURL(blob, type) {
+  const data = type ? new Blob([blob], { type }) : blob;
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(data);
+  });
+}
+
+/**
+ * Run an async task over a list, at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of tasks running at once
+ * @param {function(*, number): Promise<*>} task - Called with each item and its index
+ * @param {AbortSignal} [signal] - Stops starting new tasks once aborted
+ * @returns {Promise<Array>} - Task results, in item order
+ */
+export async function mapWithConcurrency(items, limit, task, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
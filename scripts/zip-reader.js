@@ -0,0 +1,87 @@
+/**
+ * ZIP Reader - Reads ZIP archives in the browser
+ * Handles stored and deflated entries (deflate through DecompressionStream); ZIP64 archives are not supported
+ */
+
+/**
+ * Read every file in a ZIP archive
+ * @param {Blob} blob - ZIP archive
+ * @returns {Promise<Map<string, Blob>>} - File data keyed by entry name, folders left out
+ * @throws {Error} - If the archive is damaged or uses an unsupported compression method
+ */
+export async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  const end = findEndOfDirectory(view);
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Damaged ZIP central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    // The local header's own name and extra field may differ in length from the central directory's
+    if (view.getUint32(localOffset, true) !== 0x04034b50) {
+      throw new Error(`Damaged ZIP entry: ${name}`);
+    }
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+
+    if (method === 0) {
+      files.set(name, new Blob([data]));
+    } else if (method === 8) {
+      files.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the end of central directory record, which ends the archive apart from its comment
+ * @param {DataView} view - Archive bytes
+ * @returns {number} - Offset of the record, -1 if there is none
+ */
+function findEndOfDirectory(view) {
+  const last = Math.max(0, view.byteLength - 22 - 0xFFFF);
+  for (let offset = view.byteLength - 22; offset >= last; offset--) {
+    if (view.getUint32(offset, true) === 0x06054b50) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Inflate raw deflate data with the browser's DecompressionStream
+ * @param {Uint8Array} data - Raw deflate data
+ * @returns {Promise<Blob>} - Inflated data
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream !== 'function') {
+    throw new Error('This browser cannot decompress ZIP archives');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
@@ -0,0 +1,144 @@
+/**
+ * ZIP Writer - Builds ZIP archives in the browser
+ * Entries are deflated with CompressionStream where available, stored otherwise
+ */
+
+/**
+ * CRC-32 lookup table
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, data: Blob|string|Uint8Array, compress?: boolean}>} entries - Files to add; names may contain folders
+ * @returns {Promise<Blob>} - ZIP archive
+ */
+export async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = await toBytes(entry.data, encoder);
+    const crc = crc32(data);
+
+    let stored = data;
+    let method = 0;
+    if (entry.compress !== false) {
+      const deflated = await deflateRaw(data);
+      if (deflated && deflated.length < data.length) {
+        stored = deflated;
+        method = 8;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);   // Local file header signature
+    local.setUint16(4, 20, true);           // Version needed to extract
+    local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);           // Extra field length
+    parts.push(local, name, stored);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);    // Local header offset (other fields stay zero)
+    directory.push(central, name);
+
+    offset += 30 + name.length + stored.length;
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // End of central directory signature
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Convert entry data to bytes
+ * @param {Blob|string|Uint8Array} data - Entry data
+ * @param {TextEncoder} encoder - Encoder for strings
+ * @returns {Promise<Uint8Array>} - Bytes
+ */
+async function toBytes(data, encoder) {
+  if (typeof data === 'string') return encoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * Deflate bytes with the browser's CompressionStream
+ * @param {Uint8Array} data - Bytes to compress
+ * @returns {Promise<Uint8Array|null>} - Raw deflate data, null if unsupported
+ */
+async function deflateRaw(data) {
+  if (typeof CompressionStream !== 'function') return null;
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Calculate the CRC-32 of some bytes
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} value - Date to convert
+ * @returns {{time: number, date: number}} - DOS time and date
+ */
+function toDosDateTime(value) {
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
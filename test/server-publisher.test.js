@@ -0,0 +1,219 @@
+/**
+ * Tests for the server publisher, against an in-memory FilePicker and ChatMessage
+ * Run with: node --test test/
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import { MODULE_ID } from '../scripts/config.js';
+import { getPublishableFormats, publishFile, validatePublishing } from '../scripts/server-publisher.js';
+
+/**
+ * Stand-in for the Foundry server's data directory
+ */
+const server = {
+  folders: new Set(),
+  files: new Map(),
+  refuse: null
+};
+
+/**
+ * FilePicker with the browse, createDirectory and upload calls the publisher makes
+ */
+const FilePickerStub = {
+  async browse(source, path) {
+    if (!server.folders.has(path)) throw new Error(`Directory ${path} does not exist`);
+    const files = [...server.files.keys()].filter(file => file.slice(0, file.lastIndexOf('/')) === path);
+    return { target: path, files: files.map(file => encodeURI(file)) };
+  },
+  async createDirectory(source, path) {
+    server.folders.add(path);
+  },
+  async upload(source, folder, file) {
+    if (server.refuse) return { status: 'error', message: server.refuse };
+    const path = `${folder}/${file.name}`;
+    server.files.set(path, file);
+    return { status: 'success', path: encodeURI(path) };
+  }
+};
+
+const messages = [];
+
+globalThis.CONST = { UPLOADABLE_FILE_EXTENSIONS: { pdf: 'application/pdf', json: 'application/json', md: 'text/markdown', xml: 'application/xml' } };
+globalThis.foundry = { applications: { apps: { FilePicker: { implementation: FilePickerStub } } } };
+globalThis.ChatMessage = { create: async data => { messages.push(data); return data; } };
+
+// HTML is serialized as XHTML; the stand-in only marks the document as converted
+globalThis.DOMParser = class {
+  parseFromString(text) {
+    return { text };
+  }
+};
+globalThis.XMLSerializer = class {
+  serializeToString(document) {
+    return `<html xmlns="http://www.w3.org/1999/xhtml">${document.text}</html>`;
+  }
+};
+
+// escapeHtml only needs an element that escapes its text
+globalThis.document = {
+  createElement: () => ({
+    set textContent(text) {
+      this.innerHTML = String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+  })
+};
+
+const OPTIONS = { serverFolder: '', serverConflict: 'version', shareChat: 'none', shareUsers: [] };
+
+/**
+ * Publish a small PDF
+ * @param {string} filename - Filename
+ * @param {Object} [options] - Export options over OPTIONS
+ * @param {Object} [extra] - Title and report
+ * @returns {Promise<Object>} - publishFile result
+ */
+function publish(filename, options = {}, extra = {}) {
+  return publishFile(new Blob(['%PDF-1.7'], { type: 'application/pdf' }), filename, { ...OPTIONS, ...options }, extra);
+}
+
+beforeEach(() => {
+  server.folders.clear();
+  server.files.clear();
+  server.refuse = null;
+  messages.length = 0;
+
+  globalThis.game = {
+    world: { id: 'my-world' },
+    user: { id: 'gm', name: 'Gamemaster', can: permission => permission === 'FILES_UPLOAD' },
+    users: new Map([['gm', {}], ['alice', {}], ['bob', {}]])
+  };
+});
+
+describe('publishFile', () => {
+  it('uploads to the world exports folder, creating it', async () => {
+    const { path } = await publish('lost_mine.pdf');
+
+    assert.equal(path, 'worlds/my-world/exports/lost_mine.pdf');
+    assert.ok(server.folders.has('worlds/my-world/exports'));
+    assert.ok(server.files.has('worlds/my-world/exports/lost_mine.pdf'));
+  });
+
+  it('numbers new versions of a file that already exists', async () => {
+    await publish('lost_mine.pdf');
+    const second = await publish('lost_mine.pdf');
+    const third = await publish('lost_mine.pdf');
+
+    assert.equal(second.path, 'worlds/my-world/exports/lost_mine-v2.pdf');
+    assert.equal(third.path, 'worlds/my-world/exports/lost_mine-v3.pdf');
+    assert.equal(server.files.size, 3);
+  });
+
+  it('treats names that only differ in case as taken', async () => {
+    server.folders.add('worlds/my-world/exports');
+    server.files.set('worlds/my-world/exports/Lost_Mine.PDF', new Blob());
+
+    const { path } = await publish('lost_mine.pdf');
+    assert.equal(path, 'worlds/my-world/exports/lost_mine-v2.pdf');
+  });
+
+  it('replaces the file in overwrite mode', async () => {
+    await publish('lost_mine.pdf');
+    const { path } = await publish('lost_mine.pdf', { serverConflict: 'overwrite' });
+
+    assert.equal(path, 'worlds/my-world/exports/lost_mine.pdf');
+    assert.equal(server.files.size, 1);
+  });
+
+  it('throws when the server refuses the upload', async () => {
+    server.refuse = 'The file is too large';
+    await assert.rejects(publish('lost_mine.pdf'), /The file is too large/);
+  });
+
+  it('rejects folders that climb out of the data directory', async () => {
+    await assert.rejects(publish('lost_mine.pdf', { serverFolder: 'worlds/../../etc' }), /Invalid server folder/);
+    await assert.rejects(publish('lost_mine.pdf', { serverFolder: './exports' }), /Invalid server folder/);
+    assert.equal(server.files.size, 0);
+  });
+
+  it('names the report after the version of the file', async () => {
+    await publish('lost_mine.pdf', {}, { report: { title: 'first' } });
+    const { path, reportPath } = await publish('lost_mine.pdf', {}, { report: { title: 'second' } });
+
+    assert.equal(path, 'worlds/my-world/exports/lost_mine-v2.pdf');
+    assert.equal(reportPath, 'worlds/my-world/exports/lost_mine-v2.report.json');
+    assert.equal(JSON.parse(await server.files.get('worlds/my-world/exports/lost_mine-v2.report.json').text()).title, 'second');
+  });
+
+  it('posts no message when sharing is off', async () => {
+    const { message } = await publish('lost_mine.pdf');
+    assert.equal(message, null);
+    assert.equal(messages.length, 0);
+  });
+
+  it('posts a public message linking the file', async () => {
+    await publish('lost_mine.pdf', { shareChat: 'all' }, { title: 'Lost Mine' });
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].whisper, undefined);
+    assert.match(messages[0].content, /href="worlds\/my-world\/exports\/lost_mine.pdf"/);
+    assert.deepEqual(messages[0].flags[MODULE_ID], { published: 'worlds/my-world/exports/lost_mine.pdf' });
+  });
+
+  it('publishes HTML as XHTML with an .xml extension, versioned like any other file', async () => {
+    const html = new Blob(['<p>Hello</p>'], { type: 'text/html' });
+    const first = await publishFile(html, 'lost_mine.html', { ...OPTIONS, shareChat: 'all' });
+    const second = await publishFile(html, 'lost_mine.html', OPTIONS, { report: {} });
+
+    assert.equal(first.path, 'worlds/my-world/exports/lost_mine.xml');
+    assert.equal(second.path, 'worlds/my-world/exports/lost_mine-v2.xml');
+    assert.equal(second.reportPath, 'worlds/my-world/exports/lost_mine-v2.report.json');
+
+    const file = server.files.get('worlds/my-world/exports/lost_mine.xml');
+    assert.equal(file.type, 'application/xml');
+    assert.match(await file.text(), /^<\?xml version="1.0" encoding="UTF-8"\?>\n<html xmlns="http:\/\/www.w3.org\/1999\/xhtml"><p>Hello<\/p><\/html>$/);
+
+    // The page is opened, not saved under its .xml name
+    assert.doesNotMatch(messages[0].content, /download=/);
+  });
+
+  it('always whispers to the exporting user, and skips unknown users', async () => {
+    await publish('lost_mine.pdf', { shareChat: 'whisper', shareUsers: ['alice', 'nobody'] });
+    assert.deepEqual(messages[0].whisper, ['alice', 'gm']);
+
+    await publish('lost_mine.pdf', { shareChat: 'whisper', shareUsers: [] });
+    assert.deepEqual(messages[1].whisper, ['gm']);
+  });
+});
+
+describe('validatePublishing', () => {
+  it('requires the upload permission', () => {
+    game.user.can = () => false;
+    assert.throws(() => validatePublishing('lost_mine.pdf', OPTIONS), /permission/);
+  });
+
+  it('accepts HTML, which is published as XHTML', () => {
+    assert.doesNotThrow(() => validatePublishing('lost_mine.html', OPTIONS));
+  });
+
+  it('refuses file types Foundry does not accept', () => {
+    assert.throws(() => validatePublishing('book.epub', OPTIONS), /EPUB/);
+    assert.throws(() => validatePublishing('book.docx', OPTIONS), /DOCX/);
+    assert.throws(() => validatePublishing('export.zip', OPTIONS), /ZIP/);
+  });
+
+  it('lists the formats that can be published', () => {
+    assert.deepEqual(getPublishableFormats(), ['html', 'pdf']);
+  });
+
+  it('refuses HTML when Foundry does not accept XML either', () => {
+    CONST.UPLOADABLE_FILE_EXTENSIONS = { pdf: 'application/pdf' };
+    try {
+      assert.throws(() => validatePublishing('lost_mine.html', OPTIONS), /HTML/);
+      assert.deepEqual(getPublishableFormats(), ['pdf']);
+    } finally {
+      CONST.UPLOADABLE_FILE_EXTENSIONS = { pdf: 'application/pdf', json: 'application/json', md: 'text/markdown', xml: 'application/xml' };
+    }
+  });
+});